@@ -1,10 +1,16 @@
 # backend/main.py
 from fastapi import FastAPI, File, UploadFile, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import FileResponse
 from pydantic import BaseModel
 import ifcopenshell
+import ifcopenshell.api
 import ifcopenshell.util.element as element_util
-from typing import Optional, Dict, Any
+from typing import Optional, Dict, Any, List
+from datetime import datetime, timezone
+import hashlib
+import json
+import math
 import os
 import tempfile
 import uuid
@@ -23,10 +29,121 @@ app.add_middleware(
 # Store loaded IFC files in memory (in production, use Redis or database)
 ifc_files = {}
 
+# Notes and placements outlive the in-memory models: they are stored on disk
+# per model, keyed by the SHA-256 of the uploaded IFC, so everyone who uploads
+# the same file shares them and they survive removals and restarts
+DATA_DIR = os.environ.get("BIM_DATA_DIR", os.path.join(os.path.dirname(os.path.abspath(__file__)), "data"))
+
+def read_json(path, default):
+    try:
+        with open(path, encoding="utf-8") as f:
+            return json.load(f)
+    except FileNotFoundError:
+        return default
+
+def write_json(path, data):
+    """
+    Write through a temporary file, so a crash never leaves half a file
+    """
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    tmp_path = f"{path}.tmp"
+    with open(tmp_path, "w", encoding="utf-8") as f:
+        json.dump(data, f, indent=2)
+    os.replace(tmp_path, path)
+
+# Every upload, removed models included. Models live in memory, so the ones
+# still open when the server stopped are marked removed when it starts.
+UPLOADS_PATH = os.path.join(DATA_DIR, "uploads.json")
+upload_history = read_json(UPLOADS_PATH, [])
+for upload in upload_history:
+    if upload["removed_at"] is None:
+        upload["removed_at"] = datetime.now(timezone.utc).isoformat()
+
+def write_upload_history():
+    write_json(UPLOADS_PATH, upload_history)
+
+def model_record_path(model_id):
+    return os.path.join(DATA_DIR, "models", f"{ifc_files[model_id]['content_hash']}.json")
+
+def read_model_record(model_id):
+    """
+    Stored data of a loaded model: {"notes": [...], "placement": {...}}
+    """
+    get_model_file(model_id)
+    return read_json(model_record_path(model_id), {})
+
+def write_model_record(model_id, record):
+    write_json(model_record_path(model_id), record)
+
 class GUIDRequest(BaseModel):
     model_id: str
     guid: str
 
+class PropertyUpdateRequest(BaseModel):
+    model_id: str
+    guid: str
+    pset: str  # Pset/Qto name, or "Attributes" for direct IFC attributes
+    name: str
+    value: Any
+
+# Direct attributes that can be edited through /update-property
+EDITABLE_ATTRIBUTES = {"Name", "Description", "ObjectType", "Tag"}
+
+class PropertyValuesRequest(BaseModel):
+    model_id: str
+    pset: str  # Pset/Qto name, or "Attributes" for the values from get_element_attributes
+    name: str
+
+class SearchRule(BaseModel):
+    pset: str  # Pset/Qto name, or "Attributes"
+    name: str
+    operator: str  # One of SEARCH_OPERATORS
+    value: Optional[Any] = None
+
+class SearchRequest(BaseModel):
+    model_id: str
+    rules: List[SearchRule]
+
+class QuantitiesRequest(BaseModel):
+    model_id: str
+    guids: Optional[List[str]] = None  # Limit the takeoff to these elements
+
+class AnalyticsElementsRequest(BaseModel):
+    model_id: str
+    type: Optional[str] = None  # IFC class
+    storey: Optional[str] = None  # "" for elements without a storey
+    pset: Optional[str] = None
+    has_pset: bool = True  # Elements with the pset, or without it
+
+class CompareRequest(BaseModel):
+    base_model_id: str
+    revised_model_id: str
+
+class NoteCreateRequest(BaseModel):
+    model_id: str
+    guid: str
+    point: List[float]  # Hit point in model coordinates
+    title: str
+    text: str = ""
+    author: Optional[str] = None
+
+class NoteUpdateRequest(BaseModel):
+    title: Optional[str] = None
+    text: Optional[str] = None
+
+class PlacementRequest(BaseModel):
+    # IFC axes: X east, Y north, Z up, metres; rotation in degrees about Z
+    x: float = 0
+    y: float = 0
+    z: float = 0
+    rotation: float = 0
+    scale: float = 1
+
+SEARCH_OPERATORS = {
+    "equals", "not_equals", "contains", "not_contains",
+    "is_empty", "is_not_empty", "greater_than", "less_than",
+}
+
 class ElementResponse(BaseModel):
     guid: str
     name: Optional[str]
@@ -52,22 +169,45 @@ async def upload_ifc(file: UploadFile = File(...)):
         
         # Load IFC file with ifcopenshell
         ifc_file = ifcopenshell.open(tmp_path)
+        uploaded_at = datetime.now(timezone.utc).isoformat()
+        
+        content_hash = hashlib.sha256(content).hexdigest()
+        
+        # Get basic info, kept with the model so listing models stays cheap
+        project = ifc_file.by_type("IfcProject")[0] if ifc_file.by_type("IfcProject") else None
+        project_name = project.Name if project else "Unknown"
+        total_elements = len(ifc_file.by_type("IfcProduct"))
         
         # Store in memory
         ifc_files[model_id] = {
             "file": ifc_file,
             "path": tmp_path,
-            "filename": file.filename
+            "filename": file.filename,
+            "file_size": len(content),
+            "content_hash": content_hash,
+            "project_name": project_name,
+            "total_elements": total_elements,
+            "uploaded_at": uploaded_at,
+            "changes": []
         }
         
-        # Get basic info
-        project = ifc_file.by_type("IfcProject")[0] if ifc_file.by_type("IfcProject") else None
+        upload_history.append({
+            "model_id": model_id,
+            "filename": file.filename,
+            "file_size": len(content),
+            "total_elements": total_elements,
+            "uploaded_at": uploaded_at,
+            "removed_at": None
+        })
+        write_upload_history()
         
         return {
             "model_id": model_id,
             "filename": file.filename,
-            "project_name": project.Name if project else "Unknown",
-            "total_elements": len(ifc_file.by_type("IfcProduct")),
+            "project_name": project_name,
+            "total_elements": total_elements,
+            "content_hash": content_hash,
+            "placement": read_model_record(model_id).get("placement"),
             "message": "IFC file uploaded successfully"
         }
         
@@ -119,28 +259,7 @@ async def get_element_by_guid(request: GUIDRequest):
         
         # Get quantities
         try:
-            quantities = {}
-            for rel in element.IsDefinedBy:
-                if rel.is_a('IfcRelDefinesByProperties'):
-                    prop_def = rel.RelatingPropertyDefinition
-                    if prop_def.is_a('IfcElementQuantity'):
-                        for quantity in prop_def.Quantities:
-                            if hasattr(quantity, 'LengthValue'):
-                                quantities[quantity.Name] = {
-                                    "value": quantity.LengthValue,
-                                    "unit": "m"
-                                }
-                            elif hasattr(quantity, 'AreaValue'):
-                                quantities[quantity.Name] = {
-                                    "value": quantity.AreaValue,
-                                    "unit": "m²"
-                                }
-                            elif hasattr(quantity, 'VolumeValue'):
-                                quantities[quantity.Name] = {
-                                    "value": quantity.VolumeValue,
-                                    "unit": "m³"
-                                }
-            
+            quantities = get_element_quantities(element)
             if quantities:
                 element_data["psets"]["Quantities"] = quantities
                 
@@ -154,22 +273,527 @@ async def get_element_by_guid(request: GUIDRequest):
     except Exception as e:
         raise HTTPException(status_code=500, detail=f"Error retrieving element: {str(e)}")
 
+# Quantity value attribute and the unit reported for it
+QUANTITY_UNITS = {
+    "LengthValue": "m",
+    "AreaValue": "m²",
+    "VolumeValue": "m³",
+}
+
+def get_element_quantities(element):
+    """
+    Lengths, areas and volumes from the element's IfcElementQuantity sets,
+    keyed by quantity name
+    """
+    quantities = {}
+    for rel in getattr(element, "IsDefinedBy", None) or []:
+        if rel.is_a('IfcRelDefinesByProperties'):
+            prop_def = rel.RelatingPropertyDefinition
+            if prop_def.is_a('IfcElementQuantity'):
+                for quantity in prop_def.Quantities:
+                    for attribute, unit in QUANTITY_UNITS.items():
+                        if hasattr(quantity, attribute):
+                            quantities[quantity.Name] = {
+                                "value": getattr(quantity, attribute),
+                                "unit": unit
+                            }
+                            break
+    return quantities
+
+def coerce_value(value, current):
+    """
+    Convert an edited value (usually a string from the UI) to the type of the
+    current value, so ifcopenshell keeps the property's IFC data type
+    """
+    if value is None or value == "":
+        return None
+    if current is None or not isinstance(value, str):
+        return value
+    if isinstance(current, bool):
+        lowered = value.strip().lower()
+        if lowered in ("true", "yes", "1"):
+            return True
+        if lowered in ("false", "no", "0"):
+            return False
+        raise ValueError(f"Expected a boolean (true/false), got '{value}'")
+    if isinstance(current, int):
+        return int(value)
+    if isinstance(current, float):
+        return float(value)
+    return value
+
+@app.post("/update-property")
+async def update_property(request: PropertyUpdateRequest):
+    """
+    Edit one pset value or direct attribute of an element.
+    Changes are applied to the in-memory ifcopenshell model and recorded in
+    the model's change log.
+    """
+    if request.model_id not in ifc_files:
+        raise HTTPException(status_code=404, detail="Model not found")
+
+    model = ifc_files[request.model_id]
+    ifc_file = model["file"]
+
+    try:
+        element = ifc_file.by_guid(request.guid)
+    except RuntimeError:
+        element = None
+    if not element:
+        raise HTTPException(status_code=404, detail=f"Element with GUID {request.guid} not found")
+
+    try:
+        if request.pset == "Attributes":
+            if request.name not in EDITABLE_ATTRIBUTES or not hasattr(element, request.name):
+                raise HTTPException(status_code=400, detail=f"Attribute {request.name} cannot be edited")
+            old_value = getattr(element, request.name)
+            new_value = coerce_value(request.value, old_value)
+            ifcopenshell.api.run("attribute.edit_attributes", ifc_file,
+                                 product=element, attributes={request.name: new_value})
+        else:
+            psets = element_util.get_psets(element)
+            if request.pset not in psets:
+                raise HTTPException(status_code=404, detail=f"Property set {request.pset} not found on element")
+            if request.name == "id":
+                raise HTTPException(status_code=400, detail="The pset id cannot be edited")
+
+            old_value = psets[request.pset].get(request.name)
+            new_value = coerce_value(request.value, old_value)
+            pset_entity = ifc_file.by_id(psets[request.pset]["id"])
+
+            if pset_entity.is_a("IfcElementQuantity"):
+                ifcopenshell.api.run("pset.edit_qto", ifc_file,
+                                     qto=pset_entity, properties={request.name: new_value})
+            else:
+                ifcopenshell.api.run("pset.edit_pset", ifc_file,
+                                     pset=pset_entity, properties={request.name: new_value})
+    except HTTPException:
+        raise
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error updating property: {str(e)}")
+
+    change = {
+        "id": str(uuid.uuid4()),
+        "guid": element.GlobalId,
+        "element_name": element.Name if hasattr(element, 'Name') else None,
+        "element_type": element.is_a(),
+        "pset": request.pset,
+        "name": request.name,
+        "old_value": old_value,
+        "new_value": new_value,
+        "timestamp": datetime.now(timezone.utc).isoformat()
+    }
+    model["changes"].append(change)
+
+    return {"message": "Property updated successfully", "change": change}
+
+def get_parent(element):
+    return element_util.get_container(element) or element_util.get_aggregate(element)
+
+def get_storey(element):
+    """
+    The building storey an element is on. Its spatial container can be a
+    space, and parts of an assembly (stair flights, members) have no
+    container of their own, so this walks up through both.
+    """
+    parent = get_parent(element)
+    while parent is not None and not parent.is_a("IfcBuildingStorey"):
+        # Above the storeys: a building, a site
+        if parent.is_a("IfcSpatialStructureElement") and not parent.is_a("IfcSpace"):
+            return None
+        parent = get_parent(parent)
+    return parent
+
+def get_element_attributes(element):
+    """
+    Direct attributes shown under "Attributes" in the viewer, plus the IFC
+    class and the building storey the element is on
+    """
+    storey = get_storey(element)
+    return {
+        "Type": element.is_a(),
+        "Name": getattr(element, "Name", None),
+        "ObjectType": getattr(element, "ObjectType", None),
+        "Tag": getattr(element, "Tag", None),
+        "Description": getattr(element, "Description", None),
+        "Storey": storey.Name if storey else None,
+    }
+
+def get_model_file(model_id):
+    if model_id not in ifc_files:
+        raise HTTPException(status_code=404, detail="Model not found")
+    return ifc_files[model_id]["file"]
+
+@app.get("/property-keys/{model_id}")
+async def list_property_keys(model_id: str):
+    """
+    List every attribute and pset property found on the model's elements
+    """
+    ifc_file = get_model_file(model_id)
+
+    keys = set()
+    try:
+        for element in ifc_file.by_type("IfcProduct"):
+            for pset_name, props in element_util.get_psets(element).items():
+                keys.update((pset_name, name) for name in props if name != "id")
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error reading properties: {str(e)}")
+
+    attributes = [{"pset": "Attributes", "name": name}
+                  for name in ("Type", "Storey", "Name", "ObjectType", "Tag", "Description")]
+    properties = [{"pset": pset, "name": name} for pset, name in sorted(keys)]
+    return {"properties": attributes + properties}
+
+@app.post("/property-values")
+async def get_property_values(request: PropertyValuesRequest):
+    """
+    Value of one attribute or pset property for every element that has it,
+    keyed by GUID
+    """
+    ifc_file = get_model_file(request.model_id)
+
+    values = {}
+    try:
+        for element in ifc_file.by_type("IfcProduct"):
+            if request.pset == "Attributes":
+                value = get_element_attributes(element).get(request.name)
+            else:
+                value = element_util.get_psets(element).get(request.pset, {}).get(request.name)
+            if value is not None:
+                values[element.GlobalId] = value
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error reading property values: {str(e)}")
+
+    return {"values": values}
+
+def is_empty_value(value):
+    return value is None or (isinstance(value, str) and value.strip() == "")
+
+def matches_rule(value, rule):
+    """
+    Compare an element's value with a search rule. Text comparisons ignore
+    case; greater_than / less_than compare numerically.
+    """
+    if rule.operator == "is_empty":
+        return is_empty_value(value)
+    if rule.operator == "is_not_empty":
+        return not is_empty_value(value)
+    if rule.operator == "not_equals" and value is None:
+        return True
+    if value is None:
+        return False
+
+    if rule.operator in ("greater_than", "less_than"):
+        try:
+            left, right = float(value), float(rule.value)
+        except (TypeError, ValueError):
+            return False
+        return left > right if rule.operator == "greater_than" else left < right
+
+    text = str(value).strip().lower()
+    expected = str(rule.value if rule.value is not None else "").strip().lower()
+    if rule.operator == "equals":
+        return text == expected
+    if rule.operator == "not_equals":
+        return text != expected
+    if rule.operator == "contains":
+        return expected in text
+    if rule.operator == "not_contains":
+        return expected not in text
+    return False
+
+@app.post("/search")
+async def search_elements(request: SearchRequest):
+    """
+    Find the elements matching every rule (rules are combined with AND)
+    """
+    ifc_file = get_model_file(request.model_id)
+    for rule in request.rules:
+        if rule.operator not in SEARCH_OPERATORS:
+            raise HTTPException(status_code=400, detail=f"Unknown operator {rule.operator}")
+
+    results = []
+    try:
+        for element in ifc_file.by_type("IfcProduct"):
+            attributes = get_element_attributes(element)
+            psets = None
+            matched = True
+            for rule in request.rules:
+                if rule.pset == "Attributes":
+                    value = attributes.get(rule.name)
+                else:
+                    if psets is None:
+                        psets = element_util.get_psets(element)
+                    value = psets.get(rule.pset, {}).get(rule.name)
+                if not matches_rule(value, rule):
+                    matched = False
+                    break
+            if matched:
+                results.append({
+                    "guid": element.GlobalId,
+                    "name": attributes["Name"],
+                    "type": attributes["Type"],
+                    "storey": attributes["Storey"],
+                })
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error searching elements: {str(e)}")
+
+    return {"results": results}
+
+def get_type_name(element):
+    element_type = element_util.get_type(element)
+    return element_type.Name if element_type else None
+
+def get_material_name(element):
+    """
+    Names of the element's materials (layers, profiles and constituents
+    included), joined with commas
+    """
+    materials = element_util.get_materials(element)
+    names = sorted({material.Name for material in materials if material.Name})
+    return ", ".join(names) or None
+
+@app.post("/quantities")
+async def get_quantities(request: QuantitiesRequest):
+    """
+    Quantities of every element of a model (or of the given GUIDs) with what
+    a takeoff groups them by: class, type name, storey and material. Spatial
+    containers other than spaces are left out.
+    """
+    ifc_file = get_model_file(request.model_id)
+
+    if request.guids is None:
+        elements = ifc_file.by_type("IfcProduct")
+    else:
+        elements = []
+        for guid in request.guids:
+            try:
+                elements.append(ifc_file.by_guid(guid))
+            except RuntimeError:
+                continue
+
+    results = []
+    units = {}
+    try:
+        for element in elements:
+            if not element.is_a("IfcProduct") or not is_counted_element(element):
+                continue
+            quantities = get_element_quantities(element)
+            for name, quantity in quantities.items():
+                units.setdefault(name, quantity["unit"])
+            results.append({
+                **get_element_record(element, get_element_attributes(element)),
+                "type_name": get_type_name(element),
+                "material": get_material_name(element),
+                "quantities": {name: quantity["value"] for name, quantity in quantities.items()},
+            })
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error reading quantities: {str(e)}")
+
+    return {"elements": results, "units": units}
+
+def get_element_record(element, attributes):
+    return {
+        "guid": element.GlobalId,
+        "name": attributes["Name"],
+        "type": attributes["Type"],
+        "storey": attributes["Storey"],
+    }
+
+def get_comparable_values(element, attributes):
+    """
+    Attribute and pset values of an element, keyed by (pset, name)
+    """
+    values = {("Attributes", name): value for name, value in attributes.items()}
+    for pset_name, props in element_util.get_psets(element).items():
+        for name, value in props.items():
+            if name != "id":
+                values[(pset_name, name)] = value
+    return values
+
+def values_differ(old, new):
+    if isinstance(old, float) and isinstance(new, float):
+        return not math.isclose(old, new, rel_tol=1e-9, abs_tol=1e-9)
+    return old != new
+
+@app.post("/compare")
+async def compare_models(request: CompareRequest):
+    """
+    Compare two revisions of a model by GlobalId: elements only in the revised
+    model are added, elements only in the base model are deleted, and shared
+    elements with different attribute or pset values are modified
+    """
+    base_file = get_model_file(request.base_model_id)
+    revised_file = get_model_file(request.revised_model_id)
+
+    added, deleted, modified, unchanged = [], [], [], []
+    try:
+        base = {element.GlobalId: element for element in base_file.by_type("IfcProduct")}
+        revised = {element.GlobalId: element for element in revised_file.by_type("IfcProduct")}
+
+        for guid, element in base.items():
+            if guid not in revised:
+                deleted.append(get_element_record(element, get_element_attributes(element)))
+
+        for guid, element in revised.items():
+            attributes = get_element_attributes(element)
+            record = get_element_record(element, attributes)
+            if guid not in base:
+                added.append(record)
+                continue
+
+            base_element = base[guid]
+            old_values = get_comparable_values(base_element, get_element_attributes(base_element))
+            new_values = get_comparable_values(element, attributes)
+            changes = []
+            for key in sorted(old_values.keys() | new_values.keys()):
+                old, new = old_values.get(key), new_values.get(key)
+                if values_differ(old, new):
+                    changes.append({"pset": key[0], "name": key[1], "old": old, "new": new})
+            if changes:
+                modified.append({**record, "changes": changes})
+            else:
+                unchanged.append(record)
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error comparing models: {str(e)}")
+
+    return {"added": added, "deleted": deleted, "modified": modified, "unchanged": unchanged}
+
+@app.get("/changes/{model_id}")
+async def list_changes(model_id: str):
+    """
+    List the edits applied to a model since it was uploaded
+    """
+    if model_id not in ifc_files:
+        raise HTTPException(status_code=404, detail="Model not found")
+
+    return {"changes": ifc_files[model_id]["changes"]}
+
+@app.get("/notes/{model_id}")
+async def list_notes(model_id: str):
+    """
+    List the notes pinned to a model's elements
+    """
+    return {"notes": read_model_record(model_id).get("notes", [])}
+
+@app.post("/notes")
+async def create_note(request: NoteCreateRequest):
+    """
+    Pin a note to an element at a point on its surface
+    """
+    record = read_model_record(request.model_id)
+    if len(request.point) != 3:
+        raise HTTPException(status_code=400, detail="A note point needs x, y and z")
+    if not request.title.strip():
+        raise HTTPException(status_code=400, detail="A note needs a title")
+
+    now = datetime.now(timezone.utc).isoformat()
+    note = {
+        "id": str(uuid.uuid4()),
+        "guid": request.guid,
+        "point": request.point,
+        "title": request.title.strip(),
+        "text": request.text,
+        "author": request.author,
+        "created_at": now,
+        "updated_at": now
+    }
+    record.setdefault("notes", []).append(note)
+    write_model_record(request.model_id, record)
+    return {"note": note}
+
+def get_note(model_id, note_id):
+    """
+    The model's stored record and one of its notes
+    """
+    record = read_model_record(model_id)
+    note = next((n for n in record.get("notes", []) if n["id"] == note_id), None)
+    if not note:
+        raise HTTPException(status_code=404, detail="Note not found")
+    return record, note
+
+@app.put("/notes/{model_id}/{note_id}")
+async def update_note(model_id: str, note_id: str, request: NoteUpdateRequest):
+    """
+    Edit a note's title or text
+    """
+    record, note = get_note(model_id, note_id)
+    if request.title is not None:
+        if not request.title.strip():
+            raise HTTPException(status_code=400, detail="A note needs a title")
+        note["title"] = request.title.strip()
+    if request.text is not None:
+        note["text"] = request.text
+    note["updated_at"] = datetime.now(timezone.utc).isoformat()
+    write_model_record(model_id, record)
+    return {"note": note}
+
+@app.delete("/notes/{model_id}/{note_id}")
+async def delete_note(model_id: str, note_id: str):
+    """
+    Remove a note
+    """
+    record, note = get_note(model_id, note_id)
+    record["notes"].remove(note)
+    write_model_record(model_id, record)
+    return {"message": "Note deleted successfully"}
+
+@app.put("/placement/{model_id}")
+async def set_placement(model_id: str, request: PlacementRequest):
+    """
+    Store where the viewer places a model, so it opens in place next time
+    """
+    if request.scale <= 0:
+        raise HTTPException(status_code=400, detail="Scale must be greater than 0")
+
+    record = read_model_record(model_id)
+    record["placement"] = request.model_dump()
+    write_model_record(model_id, record)
+    return {"placement": record["placement"]}
+
+@app.get("/download-ifc/{model_id}")
+async def download_ifc(model_id: str):
+    """
+    Write the (possibly edited) model to disk and return it as an IFC file
+    """
+    if model_id not in ifc_files:
+        raise HTTPException(status_code=404, detail="Model not found")
+
+    model = ifc_files[model_id]
+    try:
+        export_path = f"{model['path']}.export.ifc"
+        model["file"].write(export_path)
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error writing IFC: {str(e)}")
+
+    base_name = os.path.splitext(model["filename"] or "model.ifc")[0]
+    filename = f"{base_name}_modified.ifc" if model["changes"] else f"{base_name}.ifc"
+    return FileResponse(export_path, media_type="application/x-step", filename=filename)
+
 @app.delete("/remove-model/{model_id}")
 async def remove_model(model_id: str):
     """
-    Remove a model from memory and delete temporary file
+    Remove a model from memory and delete temporary file.
+    Its notes stay on disk for the next upload of the same IFC.
     """
     if model_id not in ifc_files:
         raise HTTPException(status_code=404, detail="Model not found")
     
     try:
-        # Delete temporary file
+        # Delete temporary files
         tmp_path = ifc_files[model_id]["path"]
-        if os.path.exists(tmp_path):
-            os.remove(tmp_path)
+        for path in (tmp_path, f"{tmp_path}.export.ifc"):
+            if os.path.exists(path):
+                os.remove(path)
         
         # Remove from memory
         del ifc_files[model_id]
+        for upload in upload_history:
+            if upload["model_id"] == model_id:
+                upload["removed_at"] = datetime.now(timezone.utc).isoformat()
+        write_upload_history()
         
         return {"message": "Model removed successfully"}
         
@@ -185,10 +809,95 @@ async def list_models():
     for model_id, data in ifc_files.items():
         models.append({
             "model_id": model_id,
-            "filename": data["filename"]
+            "filename": data["filename"],
+            "project_name": data["project_name"],
+            "total_elements": data["total_elements"],
+            "file_size": data["file_size"],
+            "content_hash": data["content_hash"],
+            "placement": read_json(model_record_path(model_id), {}).get("placement"),
+            "uploaded_at": data["uploaded_at"]
         })
     return {"models": models}
 
+@app.get("/uploads")
+async def list_uploads():
+    """
+    List every upload, oldest first, including models removed since
+    """
+    return {"uploads": upload_history}
+
+def is_counted_element(element):
+    """
+    Products that analytics and takeoffs count: spatial containers other
+    than spaces are left out
+    """
+    return not (element.is_a("IfcSpatialStructureElement") and not element.is_a("IfcSpace"))
+
+@app.get("/analytics/{model_id}")
+async def get_analytics(model_id: str):
+    """
+    Element counts by IFC class and storey, and how many elements carry
+    each property or quantity set
+    """
+    ifc_file = get_model_file(model_id)
+
+    distribution = {}
+    coverage = {}
+    total = 0
+    try:
+        for element in ifc_file.by_type("IfcProduct"):
+            if not is_counted_element(element):
+                continue
+            total += 1
+            key = (element.is_a(), get_element_attributes(element)["Storey"])
+            distribution[key] = distribution.get(key, 0) + 1
+            for pset_name in element_util.get_psets(element):
+                coverage[pset_name] = coverage.get(pset_name, 0) + 1
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error computing analytics: {str(e)}")
+
+    return {
+        "total_elements": total,
+        "distribution": [{"type": type_name, "storey": storey, "count": count}
+                         for (type_name, storey), count in distribution.items()],
+        "pset_coverage": sorted(({"pset": pset, "count": count} for pset, count in coverage.items()),
+                                key=lambda item: -item["count"]),
+    }
+
+@app.post("/analytics/elements")
+async def get_analytics_elements(request: AnalyticsElementsRequest):
+    """
+    GUIDs of the elements behind one chart segment of /analytics
+    """
+    ifc_file = get_model_file(request.model_id)
+
+    elements = ifc_file.by_type("IfcProduct")
+    if request.type:
+        # by_type raises for names the model's schema doesn't define
+        try:
+            elements = ifc_file.by_type(request.type)
+        except Exception:
+            raise HTTPException(status_code=400, detail=f"Unknown IFC class for {ifc_file.schema}: {request.type}")
+        if elements and not elements[0].is_a("IfcProduct"):
+            raise HTTPException(status_code=400, detail=f"{request.type} is not an IfcProduct class")
+
+    guids = []
+    try:
+        for element in elements:
+            if not is_counted_element(element):
+                continue
+            if request.type and element.is_a() != request.type:
+                continue
+            if request.storey is not None and (get_element_attributes(element)["Storey"] or "") != request.storey:
+                continue
+            if request.pset and (request.pset in element_util.get_psets(element)) != request.has_pset:
+                continue
+            guids.append(element.GlobalId)
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=f"Error reading elements: {str(e)}")
+
+    return {"guids": guids}
+
 @app.get("/")
 async def root():
     return {
@@ -196,8 +905,24 @@ async def root():
         "endpoints": {
             "POST /upload-ifc": "Upload IFC file",
             "POST /get-element-by-guid": "Get element details by GUID",
+            "POST /update-property": "Edit a pset value or attribute",
+            "GET /changes/{model_id}": "List edits applied to a model",
+            "GET /property-keys/{model_id}": "List attribute and pset property names",
+            "POST /property-values": "Get one property's value for every element",
+            "POST /search": "Find elements matching a set of rules",
+            "POST /compare": "Compare two revisions of a model by GlobalId",
+            "POST /quantities": "Get element quantities for a takeoff",
+            "GET /notes/{model_id}": "List notes pinned to a model",
+            "POST /notes": "Pin a note to an element",
+            "PUT /notes/{model_id}/{note_id}": "Edit a note",
+            "DELETE /notes/{model_id}/{note_id}": "Delete a note",
+            "PUT /placement/{model_id}": "Store where the viewer places a model",
+            "GET /download-ifc/{model_id}": "Download the model as IFC, including edits",
             "DELETE /remove-model/{model_id}": "Remove model",
-            "GET /models": "List loaded models"
+            "GET /models": "List loaded models",
+            "GET /uploads": "List every upload, including removed models",
+            "GET /analytics/{model_id}": "Element counts by class and storey, and pset coverage",
+            "POST /analytics/elements": "Get the GUIDs behind an analytics chart segment"
         }
     }
 
@@ -1,6 +1,235 @@
+/**
+ * Analysis Page
+ * Live charts of the models the backend holds: element distribution by IFC
+ * class and storey and pset coverage for one model, file size and element
+ * count per model, and the upload history. Clicking a segment opens the
+ * viewer with that segment's elements isolated.
+ */
 import { setupNavbar } from "./components/Navbar.js";
+import { showToast } from "./components/Toast.js";
+import { renderBarChart, renderColumnChart, renderChartMessage, chartColor } from "./components/Charts.js";
+import { api } from "./services/ApiClient.js";
 import "./styles/global.css";
 
 setupNavbar('analysis');
 
-console.log("Analysis page loaded");
+const NO_STOREY = '(no storey)';
+const MISSING_COLOR = '#3f3f46';
+const REMOVED_COLOR = '#52525b';
+
+const modelSelect = document.getElementById('analysis-model');
+const refreshButton = document.getElementById('analysis-refresh');
+const summary = document.getElementById('analysis-summary');
+const charts = {
+  distribution: document.getElementById('chart-distribution'),
+  coverage: document.getElementById('chart-coverage'),
+  fileSize: document.getElementById('chart-file-size'),
+  elementCount: document.getElementById('chart-element-count'),
+  uploads: document.getElementById('chart-uploads'),
+};
+
+// Guards against a slow response for a model that is no longer selected
+let analyticsRequest = 0;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatCount = (count) => count.toLocaleString();
+
+const byLabel = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Open the viewer on a backend model, isolating the elements that match the
+ * filter (see the viewer's "Open from the Analysis Page")
+ * @param {{ type?: string, storey?: string, pset?: string, has_pset?: boolean }} [filter]
+ */
+function openViewer(modelId, filter = {}) {
+  const params = new URLSearchParams({ model: modelId });
+  for (const [key, value] of Object.entries(filter)) {
+    params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+  }
+  window.location.href = `/viewer.html?${params}`;
+}
+
+function renderDistribution(modelId, distribution) {
+  const storeys = [...new Set(distribution.map((entry) => entry.storey ?? NO_STOREY))].sort(byLabel);
+  const colors = new Map(storeys.map((storey, i) => [storey, chartColor(i)]));
+
+  const byType = new Map();
+  for (const entry of distribution) {
+    if (!byType.has(entry.type)) byType.set(entry.type, []);
+    byType.get(entry.type).push(entry);
+  }
+
+  const rows = Array.from(byType, ([type, entries]) => ({
+    label: type,
+    segments: entries
+      .sort((a, b) => byLabel(a.storey ?? NO_STOREY, b.storey ?? NO_STOREY))
+      .map((entry) => {
+        const storey = entry.storey ?? NO_STOREY;
+        return {
+          value: entry.count,
+          color: colors.get(storey),
+          title: `${type} on ${storey}: ${formatCount(entry.count)}`,
+          onClick: () => openViewer(modelId, { type, storey: entry.storey ?? '' }),
+        };
+      }),
+  }));
+  rows.sort((a, b) =>
+    b.segments.reduce((sum, s) => sum + s.value, 0) - a.segments.reduce((sum, s) => sum + s.value, 0));
+
+  renderBarChart(charts.distribution, {
+    rows,
+    legend: storeys.map((storey) => ({ label: storey, color: colors.get(storey) })),
+    formatValue: formatCount,
+    emptyText: 'This model has no elements',
+  });
+}
+
+function renderCoverage(modelId, coverage, total) {
+  renderBarChart(charts.coverage, {
+    rows: coverage.map(({ pset, count }) => ({
+      label: pset,
+      total: `${Math.round((count / total) * 100)}%`,
+      segments: [
+        {
+          value: count,
+          color: chartColor(0),
+          title: `${formatCount(count)} elements with ${pset}`,
+          onClick: () => openViewer(modelId, { pset, has_pset: true }),
+        },
+        {
+          value: total - count,
+          color: MISSING_COLOR,
+          title: `${formatCount(total - count)} elements without ${pset}`,
+          onClick: () => openViewer(modelId, { pset, has_pset: false }),
+        },
+      ],
+    })),
+    legend: [
+      { label: 'With the set', color: chartColor(0) },
+      { label: 'Without', color: MISSING_COLOR },
+    ],
+    emptyText: 'No element has a property set',
+  });
+}
+
+async function loadModelAnalytics(modelId) {
+  const request = ++analyticsRequest;
+  renderChartMessage(charts.distribution, 'Loading…');
+  renderChartMessage(charts.coverage, 'Loading…');
+  try {
+    const analytics = await api.getAnalytics(modelId);
+    if (request !== analyticsRequest) return;
+    renderDistribution(modelId, analytics.distribution);
+    renderCoverage(modelId, analytics.pset_coverage, analytics.total_elements);
+  } catch (error) {
+    if (request !== analyticsRequest) return;
+    console.error("❌ Error loading analytics:", error);
+    renderChartMessage(charts.distribution, `Could not load analytics: ${error.message}`);
+    renderChartMessage(charts.coverage, `Could not load analytics: ${error.message}`);
+  }
+}
+
+function renderModels(models) {
+  const rows = (value, format, title) => models.map((model, i) => ({
+    label: model.filename,
+    total: format(value(model)),
+    segments: [{
+      value: value(model),
+      color: chartColor(i),
+      title: `${model.filename}: ${title(model)}`,
+      onClick: () => openViewer(model.model_id),
+    }],
+  }));
+
+  renderBarChart(charts.fileSize, {
+    rows: rows((model) => model.file_size, formatBytes, (model) => formatBytes(model.file_size)),
+    emptyText: 'No models uploaded',
+  });
+  renderBarChart(charts.elementCount, {
+    rows: rows((model) => model.total_elements, formatCount, (model) => `${formatCount(model.total_elements)} elements`),
+    emptyText: 'No models uploaded',
+  });
+}
+
+/**
+ * One column per day, one block per upload
+ */
+function renderUploads(uploads) {
+  const days = new Map();
+  for (const upload of uploads) {
+    const date = new Date(upload.uploaded_at);
+    const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push({
+      color: upload.removed_at ? REMOVED_COLOR : chartColor(1),
+      title: [
+        upload.filename,
+        date.toLocaleString(),
+        `${formatBytes(upload.file_size)} · ${formatCount(upload.total_elements)} elements`,
+        upload.removed_at ? `Removed ${new Date(upload.removed_at).toLocaleString()}` : null,
+      ].filter(Boolean).join('\n'),
+      onClick: upload.removed_at ? undefined : () => openViewer(upload.model_id),
+    });
+  }
+
+  renderColumnChart(charts.uploads, {
+    columns: Array.from(days, ([label, blocks]) => ({ label, blocks })),
+    legend: [
+      { label: 'Loaded', color: chartColor(1) },
+      { label: 'Removed', color: REMOVED_COLOR },
+    ],
+    emptyText: 'No uploads yet',
+  });
+}
+
+function fillModelSelect(models, selectedId) {
+  modelSelect.replaceChildren(...models.map((model) => {
+    const option = document.createElement('option');
+    option.value = model.model_id;
+    option.textContent = `${model.filename} (${model.project_name})`;
+    option.selected = model.model_id === selectedId;
+    return option;
+  }));
+  modelSelect.disabled = models.length === 0;
+}
+
+async function refresh() {
+  refreshButton.disabled = true;
+  try {
+    const [models, uploads] = await Promise.all([api.listModels(), api.listUploads()]);
+    const totalElements = models.reduce((sum, model) => sum + model.total_elements, 0);
+    summary.textContent = `${models.length} model${models.length === 1 ? '' : 's'} · ${formatCount(totalElements)} elements · ${uploads.length} upload${uploads.length === 1 ? '' : 's'}`;
+
+    renderModels(models);
+    renderUploads(uploads);
+
+    const selectedId = models.some((model) => model.model_id === modelSelect.value)
+      ? modelSelect.value
+      : models[0]?.model_id;
+    fillModelSelect(models, selectedId);
+    if (selectedId) {
+      await loadModelAnalytics(selectedId);
+    } else {
+      renderChartMessage(charts.distribution, 'Upload a model in the Viewer to see its statistics');
+      renderChartMessage(charts.coverage, 'Upload a model in the Viewer to see its statistics');
+    }
+  } catch (error) {
+    console.error("❌ Error loading dashboard:", error);
+    summary.textContent = '';
+    for (const container of Object.values(charts)) {
+      renderChartMessage(container, `Backend unavailable: ${error.message}`);
+    }
+    showToast('Could not reach the backend', { type: 'error' });
+  } finally {
+    refreshButton.disabled = false;
+  }
+}
+
+modelSelect.addEventListener('change', () => loadModelAnalytics(modelSelect.value));
+refreshButton.addEventListener('click', refresh);
+
+refresh();
@@ -0,0 +1,122 @@
+/**
+ * Charts Component
+ * Bar charts built from plain elements for the Analysis page: horizontal
+ * bars split into segments, and columns of stacked blocks along a time axis.
+ * Segments and blocks with an onClick are clickable.
+ */
+export const CHART_COLORS = [
+  '#4ade80', '#60a5fa', '#f59e0b', '#f472b6', '#a78bfa',
+  '#22d3ee', '#f87171', '#facc15', '#34d399', '#fb923c',
+];
+
+export const chartColor = (index) => CHART_COLORS[index % CHART_COLORS.length];
+
+const element = (tag, className, text) => {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+};
+
+const addPart = (parent, className, { color, title, onClick }) => {
+  const part = element('div', className);
+  part.style.background = color;
+  part.title = title ?? '';
+  if (onClick) {
+    part.classList.add('clickable');
+    part.addEventListener('click', onClick);
+  }
+  parent.appendChild(part);
+  return part;
+};
+
+/**
+ * Show a message instead of a chart
+ */
+export function renderChartMessage(container, message) {
+  container.replaceChildren(element('div', 'chart-empty', message));
+}
+
+/**
+ * Horizontal bars, each split into segments, scaled to the longest bar
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {Array<{ label: string, total?: string, segments: Array<{ value: number, color: string, title?: string, onClick?: () => void }> }>} options.rows
+ * @param {Array<{ label: string, color: string }>} [options.legend]
+ * @param {(value: number) => string} [options.formatValue] - Total shown after each bar
+ * @param {string} [options.emptyText] - Shown when there are no rows
+ */
+export function renderBarChart(container, { rows, legend = [], formatValue = String, emptyText = 'No data' }) {
+  if (rows.length === 0) {
+    renderChartMessage(container, emptyText);
+    return;
+  }
+
+  const sums = rows.map((row) => row.segments.reduce((sum, segment) => sum + segment.value, 0));
+  const max = Math.max(...sums) || 1;
+  const chart = element('div', 'bar-chart');
+
+  rows.forEach((row, i) => {
+    const rowEl = element('div', 'bar-chart-row');
+    const label = element('div', 'bar-chart-label', row.label);
+    label.title = row.label;
+    const track = element('div', 'bar-chart-track');
+    const bar = element('div', 'bar-chart-bar');
+    bar.style.width = `${(sums[i] / max) * 100}%`;
+    for (const segment of row.segments) {
+      if (segment.value <= 0) continue;
+      addPart(bar, 'bar-chart-segment', segment).style.flexGrow = segment.value;
+    }
+    track.appendChild(bar);
+    rowEl.append(label, track, element('div', 'bar-chart-value', row.total ?? formatValue(sums[i])));
+    chart.appendChild(rowEl);
+  });
+
+  container.replaceChildren(chart);
+  if (legend.length > 0) container.appendChild(renderLegend(legend));
+}
+
+/**
+ * Columns of equal blocks, one block per event, oldest column first
+ * @param {HTMLElement} container
+ * @param {object} options
+ * @param {Array<{ label: string, blocks: Array<{ color: string, title?: string, onClick?: () => void }> }>} options.columns
+ * @param {Array<{ label: string, color: string }>} [options.legend]
+ * @param {string} [options.emptyText] - Shown when there are no columns
+ */
+export function renderColumnChart(container, { columns, legend = [], emptyText = 'No data' }) {
+  if (columns.length === 0) {
+    renderChartMessage(container, emptyText);
+    return;
+  }
+
+  const max = Math.max(...columns.map((column) => column.blocks.length)) || 1;
+  const chart = element('div', 'column-chart');
+
+  for (const column of columns) {
+    const columnEl = element('div', 'column-chart-column');
+    const area = element('div', 'column-chart-area');
+    const stack = element('div', 'column-chart-stack');
+    // Leave room for the count above the stack
+    stack.style.height = `calc((100% - 18px) * ${column.blocks.length / max})`;
+    for (const block of column.blocks) addPart(stack, 'column-chart-block', block);
+    area.append(element('div', 'column-chart-count', String(column.blocks.length)), stack);
+    columnEl.append(area, element('div', 'column-chart-label', column.label));
+    chart.appendChild(columnEl);
+  }
+
+  container.replaceChildren(chart);
+  if (legend.length > 0) container.appendChild(renderLegend(legend));
+}
+
+function renderLegend(legend) {
+  const list = element('div', 'chart-legend');
+  for (const { label, color } of legend) {
+    const item = element('span', 'chart-legend-item');
+    const swatch = element('span', 'chart-legend-swatch');
+    swatch.style.background = color;
+    item.append(swatch, label);
+    list.appendChild(item);
+  }
+  return list;
+}
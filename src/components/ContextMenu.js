@@ -3,7 +3,7 @@
  * Context Menu Component
  * Creates a custom right-click menu for the viewer
  */
-export function setupContextMenu(container, { onIsolate, onHide, onShowAll }) {
+export function setupContextMenu(container, { onIsolate, onHide, onShowAll, onAddNote }) {
   // Create menu element
   const menu = document.createElement('div');
   menu.className = 'context-menu';
@@ -15,7 +15,16 @@ export function setupContextMenu(container, { onIsolate, onHide, onShowAll }) {
     { type: 'divider' },
     { label: 'Show All', icon: '👁️', action: onShowAll },
   ];
-  
+  if (onAddNote) {
+    items.push(
+      { type: 'divider' },
+      { label: 'Add note here', icon: '📌', action: onAddNote, needsPoint: true },
+    );
+  }
+
+  // Items that need a point in the model, disabled when shown without one
+  const pointItems = [];
+
   // Build menu items
   items.forEach(item => {
     if (item.type === 'divider') {
@@ -28,9 +37,11 @@ export function setupContextMenu(container, { onIsolate, onHide, onShowAll }) {
     const div = document.createElement('div');
     div.className = 'context-menu-item';
     div.innerHTML = `<span>${item.icon}</span> ${item.label}`;
+    if (item.needsPoint) pointItems.push(div);
     
     div.addEventListener('click', (e) => {
         e.stopPropagation(); // Prevent falling through
+        if (div.classList.contains('disabled')) return;
         if (item.action) item.action();
         hide();
     });
@@ -41,7 +52,9 @@ export function setupContextMenu(container, { onIsolate, onHide, onShowAll }) {
   document.body.appendChild(menu);
   
   // Helper to show menu
-  const show = (x, y) => {
+  // hasPoint: whether the menu was opened on a point in the model
+  const show = (x, y, { hasPoint = false } = {}) => {
+    pointItems.forEach(div => div.classList.toggle('disabled', !hasPoint));
     // Adjust position to keep in viewport
     const rect = menu.getBoundingClientRect();
     let top = y;
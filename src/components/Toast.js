@@ -0,0 +1,40 @@
+/**
+ * Toast Component
+ * Shows a short-lived message at the bottom of the screen
+ */
+let toast = null;
+let hideTimer = null;
+
+/**
+ * @param {string} message
+ * @param {{ type?: 'info'|'error', duration?: number }} [options]
+ */
+export function showToast(message, { type = 'info', duration = 2000 } = {}) {
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.className = 'toast';
+    document.body.appendChild(toast);
+  }
+
+  toast.textContent = message;
+  toast.classList.toggle('toast-error', type === 'error');
+  toast.classList.add('toast-visible');
+
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(() => toast.classList.remove('toast-visible'), duration);
+}
+
+/**
+ * Copy text to the clipboard and confirm with a toast
+ * @param {string} text
+ * @param {string} [label] - What was copied, for the confirmation message
+ */
+export async function copyToClipboard(text, label = 'Value') {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast(`${label} copied to clipboard`);
+  } catch (error) {
+    console.error("❌ Clipboard write failed:", error);
+    showToast('Could not access the clipboard', { type: 'error' });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * App Configuration
+ * Each setting is resolved in this order:
+ *  1. Runtime override: window.BIM_VIEWER_CONFIG, set by a <script> before the app loads
+ *  2. Build-time env: VITE_* variables (see .env.example)
+ *  3. Built-in default
+ */
+const runtimeConfig = window.BIM_VIEWER_CONFIG ?? {};
+const env = import.meta.env;
+
+const withTrailingSlash = (path) => (path.endsWith('/') ? path : `${path}/`);
+
+/**
+ * Base URL of the FastAPI backend (no trailing slash)
+ */
+export const API_BASE_URL = (
+  runtimeConfig.apiBaseUrl ?? env.VITE_API_BASE_URL ?? 'http://localhost:8000'
+).replace(/\/+$/, '');
+
+/**
+ * Per-request timeout for backend calls, in milliseconds
+ */
+export const API_TIMEOUT = Number(runtimeConfig.apiTimeout ?? env.VITE_API_TIMEOUT ?? 30000);
+
+/**
+ * Absolute URL of the directory holding web-ifc.wasm.
+ * Defaults to the app's public folder, which ships the WASM.
+ */
+export const WEB_IFC_WASM_PATH = withTrailingSlash(
+  new URL(
+    runtimeConfig.wasmPath ?? env.VITE_WEB_IFC_WASM_PATH ?? env.BASE_URL,
+    window.location.href
+  ).href
+);
@@ -0,0 +1,413 @@
+/**
+ * API Client
+ * Shared client for the FastAPI backend, used by the viewer and analysis
+ * pages. Adds timeouts, cancellation, retries with backoff for idempotent
+ * calls, and typed errors carrying the backend's `detail` message.
+ */
+import { API_BASE_URL, API_TIMEOUT } from "../config.js";
+
+/**
+ * The backend answered with an error status
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, detail = null, path = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.detail = detail;
+    this.path = path;
+  }
+}
+
+/**
+ * The backend could not be reached (offline, CORS, DNS, connection refused)
+ */
+export class ApiNetworkError extends ApiError {
+  constructor(path, cause) {
+    super(`Backend unreachable (${path})`, { path });
+    this.name = "ApiNetworkError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * The backend did not answer within the request timeout
+ */
+export class ApiTimeoutError extends ApiNetworkError {
+  constructor(path, timeout) {
+    super(path);
+    this.name = "ApiTimeoutError";
+    this.message = `Backend did not respond within ${timeout / 1000}s (${path})`;
+  }
+}
+
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+/**
+ * Whether an error means the backend is down or unreachable, rather than
+ * the backend rejecting the request
+ */
+export const isBackendUnavailable = (error) =>
+  error instanceof ApiNetworkError || RETRYABLE_STATUS.has(error?.status);
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  // An abort before the backoff starts fires no event
+  signal?.throwIfAborted();
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  // Long-lived signals would otherwise collect one listener per retry
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * FastAPI errors look like { detail: "..." } or, for validation errors,
+ * { detail: [{ msg, loc }, ...] }
+ */
+async function readErrorDetail(response) {
+  try {
+    const body = await response.json();
+    if (typeof body?.detail === "string") return body.detail;
+    if (Array.isArray(body?.detail)) return body.detail.map((d) => d.msg).join("; ");
+  } catch {
+    // Not JSON
+  }
+  return null;
+}
+
+/**
+ * Create a client bound to a backend base URL
+ * @param {object} [options]
+ * @param {string} [options.baseUrl]
+ * @param {number} [options.timeout] - Default per-attempt timeout in ms (0 disables)
+ * @param {number} [options.retries] - Default retry count for idempotent requests
+ */
+export function createApiClient({ baseUrl = API_BASE_URL, timeout = API_TIMEOUT, retries = 2 } = {}) {
+  /**
+   * Send one request. Only idempotent requests are retried, and only on
+   * network failures, timeouts and 502/503/504.
+   * @param {string} path
+   * @param {object} [options]
+   * @param {string} [options.method]
+   * @param {object} [options.json] - JSON body
+   * @param {FormData} [options.body] - Raw body
+   * @param {AbortSignal} [options.signal] - Caller cancellation
+   * @param {number} [options.timeout]
+   * @param {boolean} [options.idempotent] - Defaults to true for GET/HEAD/DELETE
+   * @param {'json'|'blob'} [options.responseType]
+   */
+  async function request(path, {
+    method = "GET",
+    json,
+    body,
+    signal,
+    timeout: requestTimeout = timeout,
+    idempotent = ["GET", "HEAD", "DELETE"].includes(method),
+    responseType = "json",
+  } = {}) {
+    const attempts = idempotent ? retries + 1 : 1;
+    const headers = json !== undefined ? { "Content-Type": "application/json" } : undefined;
+    const payload = json !== undefined ? JSON.stringify(json) : body;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) {
+        // Exponential backoff: 500ms, 1s, 2s...
+        await sleep(500 * 2 ** (attempt - 1), signal);
+      }
+
+      const signals = [signal, requestTimeout > 0 && AbortSignal.timeout(requestTimeout)].filter(Boolean);
+      const attemptSignal = signals.length > 0 ? AbortSignal.any(signals) : undefined;
+      const isLastAttempt = attempt === attempts - 1;
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body: payload,
+          signal: attemptSignal,
+        });
+      } catch (error) {
+        // Caller cancellation is not an API error: let AbortError through
+        if (signal?.aborted) throw signal.reason;
+        const wrapped = error.name === "TimeoutError"
+          ? new ApiTimeoutError(path, requestTimeout)
+          : new ApiNetworkError(path, error);
+        if (isLastAttempt) throw wrapped;
+        continue;
+      }
+
+      if (response.ok) {
+        if (response.status === 204) return null;
+        return responseType === "blob" ? response.blob() : response.json();
+      }
+
+      if (RETRYABLE_STATUS.has(response.status) && !isLastAttempt) continue;
+
+      const detail = await readErrorDetail(response);
+      throw new ApiError(detail ?? `Backend error: ${response.status} ${response.statusText}`, {
+        status: response.status,
+        detail,
+        path,
+      });
+    }
+  }
+
+  return {
+    baseUrl,
+    request,
+
+    /**
+     * Check whether the backend is up
+     */
+    async ping({ signal } = {}) {
+      try {
+        await request("/", { signal, timeout: 3000, idempotent: false });
+        return true;
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        return false;
+      }
+    },
+
+    /**
+     * Upload IFC to backend and get model_id.
+     * Large uploads are not bounded by the default timeout.
+     */
+    uploadIFC(file, { signal } = {}) {
+      const formData = new FormData();
+      formData.append("file", file);
+      return request("/upload-ifc", { method: "POST", body: formData, signal, timeout: 0 });
+    },
+
+    /**
+     * Get element details from backend by GUID (read-only, so safe to retry)
+     */
+    getElementByGUID(modelId, guid, { signal } = {}) {
+      return request("/get-element-by-guid", {
+        method: "POST",
+        json: { model_id: modelId, guid },
+        signal,
+        idempotent: true,
+      });
+    },
+
+    /**
+     * Edit one pset value, or a direct attribute when pset is "Attributes"
+     * @returns {Promise<{ change: object }>} The change log entry
+     */
+    updateProperty(modelId, guid, pset, name, value, { signal } = {}) {
+      return request("/update-property", {
+        method: "POST",
+        json: { model_id: modelId, guid, pset, name, value },
+        signal,
+      });
+    },
+
+    /**
+     * List the edits applied to a model
+     */
+    async listChanges(modelId, { signal } = {}) {
+      const { changes } = await request(`/changes/${encodeURIComponent(modelId)}`, { signal });
+      return changes;
+    },
+
+    /**
+     * List the attribute and pset property names found in a model
+     * @returns {Promise<Array<{ pset: string, name: string }>>}
+     */
+    async listPropertyKeys(modelId, { signal } = {}) {
+      const { properties } = await request(`/property-keys/${encodeURIComponent(modelId)}`, {
+        signal,
+        timeout: 0,
+      });
+      return properties;
+    },
+
+    /**
+     * One property's value for every element that has it
+     * @returns {Promise<Record<string, any>>} Values keyed by GUID
+     */
+    async getPropertyValues(modelId, pset, name, { signal } = {}) {
+      const { values } = await request("/property-values", {
+        method: "POST",
+        json: { model_id: modelId, pset, name },
+        signal,
+        timeout: 0,
+        idempotent: true,
+      });
+      return values;
+    },
+
+    /**
+     * Find the elements matching every rule
+     * @param {Array<{ pset: string, name: string, operator: string, value?: any }>} rules
+     * @returns {Promise<Array<{ guid: string, name: string, type: string, storey: string }>>}
+     */
+    async search(modelId, rules, { signal } = {}) {
+      const { results } = await request("/search", {
+        method: "POST",
+        json: { model_id: modelId, rules },
+        signal,
+        timeout: 0,
+        idempotent: true,
+      });
+      return results;
+    },
+
+    /**
+     * Compare two revisions by GlobalId: added, deleted, modified (attributes
+     * and psets, with the changed values) and unchanged elements
+     * @returns {Promise<{ added: object[], deleted: object[], modified: object[], unchanged: object[] }>}
+     */
+    compareModels(baseModelId, revisedModelId, { signal } = {}) {
+      return request("/compare", {
+        method: "POST",
+        json: { base_model_id: baseModelId, revised_model_id: revisedModelId },
+        signal,
+        timeout: 0,
+        idempotent: true,
+      });
+    },
+
+    /**
+     * Quantities of a model's elements, or of some of them, for a takeoff
+     * @param {string[]|null} [guids] - All elements when null
+     * @returns {Promise<{ elements: Array<{ guid, name, type, storey, type_name, material, quantities: Record<string, number> }>, units: Record<string, string> }>}
+     */
+    getQuantities(modelId, guids = null, { signal } = {}) {
+      return request("/quantities", {
+        method: "POST",
+        json: { model_id: modelId, guids },
+        signal,
+        timeout: 0,
+        idempotent: true,
+      });
+    },
+
+    /**
+     * List the notes pinned to a model
+     * @returns {Promise<Array<object>>}
+     */
+    async listNotes(modelId, { signal } = {}) {
+      const { notes } = await request(`/notes/${encodeURIComponent(modelId)}`, { signal });
+      return notes;
+    },
+
+    /**
+     * Pin a note to an element
+     * @param {{ guid: string, point: number[], title: string, text?: string, author?: string }} note
+     */
+    async createNote(modelId, note, { signal } = {}) {
+      const { note: created } = await request("/notes", {
+        method: "POST",
+        json: { model_id: modelId, ...note },
+        signal,
+      });
+      return created;
+    },
+
+    /**
+     * Edit a note's title and/or text
+     */
+    async updateNote(modelId, noteId, changes, { signal } = {}) {
+      const { note } = await request(`/notes/${encodeURIComponent(modelId)}/${encodeURIComponent(noteId)}`, {
+        method: "PUT",
+        json: changes,
+        signal,
+      });
+      return note;
+    },
+
+    deleteNote(modelId, noteId, { signal } = {}) {
+      return request(`/notes/${encodeURIComponent(modelId)}/${encodeURIComponent(noteId)}`, {
+        method: "DELETE",
+        signal,
+      });
+    },
+
+    /**
+     * Store a model's placement, restored when the same IFC is uploaded again
+     * @param {{ x: number, y: number, z: number, rotation: number, scale: number }} placement
+     */
+    async setPlacement(modelId, placement, { signal } = {}) {
+      const { placement: stored } = await request(`/placement/${encodeURIComponent(modelId)}`, {
+        method: "PUT",
+        json: placement,
+        signal,
+        idempotent: true,
+      });
+      return stored;
+    },
+
+    /**
+     * Download the model as IFC, including any edits
+     * @returns {Promise<Blob>}
+     */
+    downloadIFC(modelId, { signal } = {}) {
+      return request(`/download-ifc/${encodeURIComponent(modelId)}`, {
+        signal,
+        timeout: 0,
+        responseType: "blob",
+      });
+    },
+
+    /**
+     * Remove model from backend
+     */
+    removeModel(modelId, { signal } = {}) {
+      return request(`/remove-model/${encodeURIComponent(modelId)}`, { method: "DELETE", signal });
+    },
+
+    /**
+     * List models the backend currently holds in memory
+     */
+    async listModels({ signal } = {}) {
+      const { models } = await request("/models", { signal, timeout: 5000 });
+      return models;
+    },
+
+    /**
+     * List every upload, removed models included
+     * @returns {Promise<Array<{ model_id, filename, file_size, total_elements, uploaded_at, removed_at }>>}
+     */
+    async listUploads({ signal } = {}) {
+      const { uploads } = await request("/uploads", { signal, timeout: 5000 });
+      return uploads;
+    },
+
+    /**
+     * Element counts by class and storey, and pset coverage, of one model
+     * @returns {Promise<{ total_elements: number, distribution: Array<{ type, storey, count }>, pset_coverage: Array<{ pset, count }> }>}
+     */
+    getAnalytics(modelId, { signal } = {}) {
+      return request(`/analytics/${encodeURIComponent(modelId)}`, { signal, timeout: 0 });
+    },
+
+    /**
+     * GUIDs of the elements behind one analytics chart segment
+     * @param {{ type?: string, storey?: string, pset?: string, has_pset?: boolean }} filter - Storey "" for no storey
+     * @returns {Promise<string[]>}
+     */
+    async getAnalyticsElements(modelId, filter, { signal } = {}) {
+      const { guids } = await request("/analytics/elements", {
+        method: "POST",
+        json: { model_id: modelId, ...filter },
+        signal,
+        timeout: 0,
+        idempotent: true,
+      });
+      return guids;
+    },
+  };
+}
+
+/**
+ * Client for the configured backend
+ */
+export const api = createApiClient();
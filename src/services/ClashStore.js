@@ -0,0 +1,54 @@
+/**
+ * Clash Store
+ * Clash statuses kept in localStorage per model pair, so they carry over
+ * between runs and sessions. Models are identified by the content hash of
+ * their IFC or .frag file (the fragment cache key) and clashes by the GUIDs
+ * of their two elements; both pairs are order independent.
+ */
+const STORAGE_KEY = 'bim-viewer-clash-status';
+
+export const CLASH_STATUSES = ['new', 'active', 'resolved'];
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Key of a clash between two elements
+ */
+export const clashKey = (guidA, guidB) => pairKey(guidA, guidB);
+
+/**
+ * @param {string} modelKeyA
+ * @param {string} modelKeyB
+ * @returns {Record<string, 'new'|'active'|'resolved'>} Statuses keyed by clashKey()
+ */
+export function readClashStatuses(modelKeyA, modelKeyB) {
+  return readAll()[pairKey(modelKeyA, modelKeyB)] ?? {};
+}
+
+/**
+ * Set the status of some clashes of a model pair
+ * @param {Record<string, 'new'|'active'|'resolved'>} statuses - Keyed by clashKey()
+ */
+export function writeClashStatuses(modelKeyA, modelKeyB, statuses) {
+  const all = readAll();
+  const key = pairKey(modelKeyA, modelKeyB);
+  all[key] = { ...all[key], ...statuses };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+/**
+ * Status of a clash found by a run: new the first time, active when found
+ * again. A resolved clash that is found again is active again.
+ * @param {'new'|'active'|'resolved'|undefined} stored
+ */
+export function statusAfterRun(stored) {
+  return stored ? 'active' : 'new';
+}
@@ -0,0 +1,61 @@
+/**
+ * Classification Groups
+ * Reads the classifier's groups (models, categories, storeys) with their
+ * items, and combines checked groups into one filter: groups of the same
+ * classification add up, different classifications narrow each other down
+ * ("IFCWALL" + "Level 02" gives the walls on Level 02).
+ */
+import * as OBC from "@thatopen/components";
+
+/**
+ * Number of items in a ModelIdMap
+ */
+export function countItems(modelIdMap) {
+  let count = 0;
+  for (const localIds of Object.values(modelIdMap)) count += localIds.size;
+  return count;
+}
+
+/**
+ * Resolve every classifier group
+ * @param {OBC.Classifier} classifier
+ * @returns {Promise<Array<{ name: string, groups: Array<{ name: string, items: object, count: number }> }>>}
+ */
+export async function listClassificationGroups(classifier) {
+  const result = [];
+
+  for (const [classificationName, groups] of classifier.list) {
+    const resolved = [];
+    for (const [groupName, group] of groups) {
+      const items = await group.get();
+      const count = countItems(items);
+      if (count > 0) resolved.push({ name: groupName, items, count });
+    }
+    resolved.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    result.push({ name: classificationName, groups: resolved });
+  }
+
+  return result;
+}
+
+/**
+ * Items matching every classification that has checked groups
+ * @param {Array<{ name: string, groups: Array<{ name: string, items: object }> }>} classifications - From listClassificationGroups()
+ * @param {Map<string, Set<string>>} checked - Classification name -> checked group names
+ * @returns {object|null} ModelIdMap, or null when nothing is checked
+ */
+export function combineGroups(classifications, checked) {
+  const perClassification = [];
+
+  for (const classification of classifications) {
+    const names = checked.get(classification.name);
+    if (!names || names.size === 0) continue;
+    const maps = classification.groups
+      .filter((group) => names.has(group.name))
+      .map((group) => group.items);
+    perClassification.push(OBC.ModelIdMapUtils.join(maps));
+  }
+
+  if (perClassification.length === 0) return null;
+  return OBC.ModelIdMapUtils.intersect(perClassification);
+}
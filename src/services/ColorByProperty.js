@@ -0,0 +1,101 @@
+/**
+ * Color By Property
+ * Turns one property's values into legend entries: discrete values get a
+ * color each, numeric values are binned along a gradient.
+ */
+import * as THREE from "three";
+import { formatPropertyValue } from "./PropertyCompare.js";
+
+// Distinct hues for discrete values; anything past the last one goes to "Other"
+const CATEGORY_COLORS = [
+  "#60a5fa", "#f87171", "#4ade80", "#facc15", "#c084fc", "#fb923c",
+  "#2dd4bf", "#f472b6", "#a3e635", "#818cf8", "#fbbf24", "#94a3b8",
+];
+const OTHER_COLOR = "#52525b";
+
+// Gradient from low (blue) to high (red), split into this many bins
+const GRADIENT_FROM = new THREE.Color("#3b82f6");
+const GRADIENT_TO = new THREE.Color("#ef4444");
+const GRADIENT_STEPS = 7;
+
+const addItem = (items, modelId, localId) => {
+  (items[modelId] ??= new Set()).add(localId);
+};
+
+const formatNumber = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(2);
+
+function buildCategoryLegend(values) {
+  const groups = new Map(); // label -> { items, count }
+  for (const { modelId, localId, value } of values) {
+    const label = formatPropertyValue(value);
+    if (!groups.has(label)) groups.set(label, { items: {}, count: 0 });
+    const group = groups.get(label);
+    addItem(group.items, modelId, localId);
+    group.count++;
+  }
+
+  const sorted = Array.from(groups, ([label, group]) => ({ label, ...group }))
+    .sort((a, b) => b.count - a.count);
+
+  const entries = sorted.slice(0, CATEGORY_COLORS.length).map((entry, i) => ({
+    ...entry,
+    color: CATEGORY_COLORS[i],
+  }));
+
+  const rest = sorted.slice(CATEGORY_COLORS.length);
+  if (rest.length > 0) {
+    const other = { label: `Other (${rest.length} values)`, color: OTHER_COLOR, items: {}, count: 0 };
+    for (const entry of rest) {
+      for (const [modelId, localIds] of Object.entries(entry.items)) {
+        for (const localId of localIds) addItem(other.items, modelId, localId);
+      }
+      other.count += entry.count;
+    }
+    entries.push(other);
+  }
+
+  return { type: "category", entries };
+}
+
+function buildGradientLegend(values) {
+  const numbers = values.map(({ value }) => value);
+  // Not Math.min(...numbers): large models overflow the argument limit
+  const min = numbers.reduce((a, b) => Math.min(a, b));
+  const max = numbers.reduce((a, b) => Math.max(a, b));
+  const steps = min === max ? 1 : Math.min(GRADIENT_STEPS, new Set(numbers).size);
+  const width = (max - min) / steps;
+
+  const entries = Array.from({ length: steps }, (_, i) => {
+    const from = min + width * i;
+    const to = i === steps - 1 ? max : from + width;
+    const t = steps === 1 ? 0 : i / (steps - 1);
+    return {
+      label: steps === 1 ? formatNumber(min) : `${formatNumber(from)} – ${formatNumber(to)}`,
+      color: `#${GRADIENT_FROM.clone().lerp(GRADIENT_TO, t).getHexString()}`,
+      items: {},
+      count: 0,
+    };
+  });
+
+  for (const { modelId, localId, value } of values) {
+    const index = width === 0 ? 0 : Math.min(steps - 1, Math.floor((value - min) / width));
+    addItem(entries[index].items, modelId, localId);
+    entries[index].count++;
+  }
+
+  return { type: "gradient", entries: entries.filter((entry) => entry.count > 0) };
+}
+
+/**
+ * Build the legend for a set of element values
+ * @param {Array<{ modelId: string, localId: number, value: any }>} values
+ * @returns {{ type: 'category'|'gradient', entries: Array<{
+ *   label: string, color: string, items: object, count: number
+ * }> }} Entries hold the ModelIdMap of the elements they color
+ */
+export function buildLegend(values) {
+  const numeric = values.length > 0 &&
+    values.every(({ value }) => typeof value === "number" && Number.isFinite(value));
+  return numeric ? buildGradientLegend(values) : buildCategoryLegend(values);
+}
@@ -0,0 +1,119 @@
+/**
+ * Fragment Cache
+ * Persists converted fragment bytes in IndexedDB, keyed by the SHA-256 hash
+ * of the source IFC, so reopening the same file skips IFC conversion.
+ * Opened .frag files are kept too, keyed by the hash of the .frag itself.
+ *
+ * Metadata and bytes live in separate stores so listing the cache never
+ * pulls hundreds of megabytes of fragments into memory.
+ */
+import { createDatabase } from './IndexedDB.js';
+
+const ENTRIES_STORE = 'entries';
+const BYTES_STORE = 'fragments';
+
+const db = createDatabase('bim-viewer-cache', 1, (database) => {
+  if (!database.objectStoreNames.contains(ENTRIES_STORE)) {
+    database.createObjectStore(ENTRIES_STORE, { keyPath: 'hash' });
+  }
+  if (!database.objectStoreNames.contains(BYTES_STORE)) {
+    database.createObjectStore(BYTES_STORE);
+  }
+});
+
+const withStores = (mode, fn) =>
+  db.transaction([ENTRIES_STORE, BYTES_STORE], mode, (stores, done) =>
+    fn({ entries: stores[ENTRIES_STORE], bytes: stores[BYTES_STORE] }, done));
+
+/**
+ * Hashes file contents (SHA-256, hex encoded) to use as the cache key
+ * @param {ArrayBuffer|Uint8Array} buffer
+ */
+export async function hashBuffer(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Returns the cache entry metadata for a hash, or null on a miss
+ */
+export async function getCachedEntry(hash) {
+  return withStores('readonly', ({ entries }, done) => {
+    const request = entries.get(hash);
+    request.onsuccess = () => done(request.result ?? null);
+  });
+}
+
+/**
+ * Returns the stored fragment bytes for a hash, or null on a miss
+ */
+export async function getCachedFragments(hash) {
+  return withStores('readonly', ({ bytes }, done) => {
+    const request = bytes.get(hash);
+    request.onsuccess = () => done(request.result ? new Uint8Array(request.result) : null);
+  });
+}
+
+/**
+ * Stores converted fragments and the backend metadata for a file
+ * @param {string} hash - Content hash of the source IFC or .frag file
+ * @param {Uint8Array} fragmentBytes - Output of the IFC importer
+ * @param {{ name: string, size: number, backend: object }} metadata
+ */
+export async function putCachedModel(hash, fragmentBytes, { name, size, backend }) {
+  const now = Date.now();
+  const entry = {
+    hash,
+    name,
+    size,
+    fragmentSize: fragmentBytes.byteLength,
+    backend,
+    createdAt: now,
+    lastOpenedAt: now,
+  };
+
+  await withStores('readwrite', ({ entries, bytes }) => {
+    entries.put(entry);
+    bytes.put(fragmentBytes, hash);
+  });
+
+  return entry;
+}
+
+/**
+ * Updates stored metadata (e.g. the backend response after a re-upload)
+ */
+export async function updateCachedEntry(hash, changes) {
+  return withStores('readwrite', ({ entries }, done) => {
+    const request = entries.get(hash);
+    request.onsuccess = () => {
+      if (!request.result) return done(null);
+      const entry = { ...request.result, ...changes };
+      entries.put(entry);
+      done(entry);
+    };
+  });
+}
+
+/**
+ * Lists cached models, most recently opened first
+ */
+export async function listCachedModels() {
+  const list = await withStores('readonly', ({ entries }, done) => {
+    const request = entries.getAll();
+    request.onsuccess = () => done(request.result);
+  });
+  return list.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+}
+
+/**
+ * Evicts one cached model
+ */
+export async function removeCachedModel(hash) {
+  await withStores('readwrite', ({ entries, bytes }) => {
+    entries.delete(hash);
+    bytes.delete(hash);
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * IFC Converter
+ * Promise wrapper around the IFC converter worker. Each conversion gets its
+ * own worker so cancelling is as simple as terminating it.
+ */
+
+/**
+ * Raised when the web-ifc WASM cannot be fetched from the configured path
+ */
+export class WasmUnavailableError extends Error {
+  constructor(url, reason) {
+    super(`Could not load the IFC engine (web-ifc.wasm) from ${url}: ${reason}. ` +
+      `Check that the file is served there, or set VITE_WEB_IFC_WASM_PATH.`);
+    this.name = "WasmUnavailableError";
+    this.url = url;
+  }
+}
+
+/**
+ * Make sure web-ifc.wasm is reachable before starting a conversion.
+ * A missing WASM otherwise surfaces as an opaque failure inside the worker.
+ * @param {{ path: string }} wasm
+ */
+export async function checkWasmAvailable(wasm, { signal } = {}) {
+  const url = new URL("web-ifc.wasm", wasm.path).href;
+  let response;
+  try {
+    response = await fetch(url, { method: "HEAD", signal });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw new WasmUnavailableError(url, "network error");
+  }
+  if (!response.ok) {
+    throw new WasmUnavailableError(url, `HTTP ${response.status}`);
+  }
+  // Static hosts with an SPA fallback answer missing files with index.html
+  if (response.headers.get("content-type")?.includes("text/html")) {
+    throw new WasmUnavailableError(url, "the server returned an HTML page instead");
+  }
+}
+
+/**
+ * Convert IFC bytes to fragment bytes in a dedicated worker
+ * @param {Uint8Array} bytes - IFC file contents (transferred to the worker)
+ * @param {object} options
+ * @param {{ path: string, absolute: boolean }} options.wasm - web-ifc WASM location
+ * @param {(progress: number, stage: string|null) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker
+ * @returns {Promise<Uint8Array>}
+ */
+export function convertIFC(bytes, { wasm, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Conversion cancelled", "AbortError"));
+      return;
+    }
+
+    const worker = new Worker(
+      new URL("../workers/ifcConverter.worker.js", import.meta.url),
+      { type: "module" }
+    );
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(new DOMException("Conversion cancelled", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        onProgress?.(message.progress, message.stage);
+      } else if (message.type === "done") {
+        finish();
+        resolve(message.bytes);
+      } else if (message.type === "error") {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || "IFC converter worker failed"));
+    };
+
+    worker.postMessage({ bytes, wasm }, [bytes.buffer]);
+  });
+}
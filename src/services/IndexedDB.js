@@ -0,0 +1,52 @@
+/**
+ * IndexedDB
+ * Shared helpers for the stores that keep viewer data in the browser (the
+ * fragment cache and saved viewpoints): open a database once per page and
+ * run callbacks inside its transactions.
+ */
+
+/**
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade - Creates the stores and indexes
+ * @returns {{ transaction: (storeNames: string[], mode: IDBTransactionMode, fn: (stores: Record<string, IDBObjectStore>, done: (value: any) => void) => void) => Promise<any> }}
+ */
+export function createDatabase(name, version, upgrade) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  };
+
+  /**
+   * Runs `fn` with the named object stores inside one transaction, and
+   * resolves with the value passed to `done` once the transaction commits
+   */
+  const transaction = async (storeNames, mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+
+      const stores = Object.fromEntries(storeNames.map((storeName) => [storeName, tx.objectStore(storeName)]));
+      fn(stores, (value) => { result = value; });
+    });
+  };
+
+  return { transaction };
+}
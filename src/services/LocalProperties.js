@@ -0,0 +1,87 @@
+/**
+ * Local Properties
+ * Builds element data from the fragments model itself, in the same shape as
+ * the backend's /get-element-by-guid response, for when the API is down.
+ */
+
+const QUANTITY_UNITS = {
+  LengthValue: 'm',
+  AreaValue: 'm²',
+  VolumeValue: 'm³',
+  CountValue: '',
+  WeightValue: 'kg',
+  TimeValue: 's',
+};
+
+const valueOf = (attribute) => {
+  if (attribute === undefined || attribute === null) return null;
+  return typeof attribute === 'object' && 'value' in attribute ? attribute.value : attribute;
+};
+
+/**
+ * Flatten one IfcPropertySet / IfcElementQuantity item into { name: value }
+ */
+function readPropertyDefinition(definition) {
+  const values = {};
+
+  for (const property of definition.HasProperties ?? []) {
+    const name = valueOf(property.Name);
+    if (name) values[name] = valueOf(property.NominalValue);
+  }
+
+  for (const quantity of definition.Quantities ?? []) {
+    const name = valueOf(quantity.Name);
+    if (!name) continue;
+    const valueKey = Object.keys(QUANTITY_UNITS).find((key) => key in quantity);
+    values[name] = valueKey
+      ? { value: valueOf(quantity[valueKey]), unit: QUANTITY_UNITS[valueKey] }
+      : null;
+  }
+
+  return values;
+}
+
+/**
+ * Read attributes and psets for one element from a loaded fragments model
+ * @param {import("@thatopen/fragments").FragmentsModel} model
+ * @param {number} localId
+ * @returns {Promise<{ guid, name, type, properties, psets, source: 'local' }>}
+ */
+export async function getLocalElementData(model, localId) {
+  const [item] = await model.getItemsData([localId], {
+    attributesDefault: true,
+    relations: {
+      IsDefinedBy: { attributes: true, relations: true },
+      DefinesOcurrence: { attributes: false, relations: false },
+    },
+  });
+
+  const psets = {};
+  const quantities = {};
+
+  for (const definition of item?.IsDefinedBy ?? []) {
+    const name = valueOf(definition.Name) ?? 'Unnamed';
+    if (definition.Quantities) {
+      Object.assign(quantities, readPropertyDefinition(definition));
+    } else {
+      psets[name] = readPropertyDefinition(definition);
+    }
+  }
+
+  if (Object.keys(quantities).length > 0) {
+    psets.Quantities = quantities;
+  }
+
+  return {
+    guid: valueOf(item?._guid),
+    name: valueOf(item?.Name),
+    type: valueOf(item?._category),
+    properties: {
+      ObjectType: valueOf(item?.ObjectType),
+      Tag: valueOf(item?.Tag),
+      Description: valueOf(item?.Description),
+    },
+    psets,
+    source: 'local',
+  };
+}
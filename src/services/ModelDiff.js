@@ -0,0 +1,141 @@
+/**
+ * Model Diff
+ * Completes the backend's comparison of two revisions (attributes and psets,
+ * matched by GlobalId) with a comparison of each shared element's bounding
+ * box, and exports the resulting diff as CSV.
+ */
+import * as THREE from "three";
+import { formatPropertyValue } from "./PropertyCompare.js";
+import { rowsToCSV } from "./PropertyExport.js";
+
+export const DIFF_STATUSES = ["added", "deleted", "modified"];
+
+// Bounds that moved less than this (meters) count as unchanged
+const BOUNDS_TOLERANCE = 0.001;
+
+// Geometry is fetched from the fragments worker this many items at a time
+const GEOMETRY_BATCH = 200;
+
+/**
+ * Element boxes keyed by GUID. With `local`, boxes are built from the
+ * geometry in the model's own coordinates, so a different placement of the
+ * two revisions is not reported as a change (transforming the world boxes
+ * back would inflate them under a rotation). Otherwise they are the world
+ * boxes the model already holds.
+ * @returns {Promise<Map<string, THREE.Box3>>}
+ */
+async function getBoxes(model, guids, { local }) {
+  const localIds = await model.getLocalIdsByGuids(guids);
+  const found = guids
+    .map((guid, i) => ({ guid, localId: localIds[i] }))
+    .filter(({ localId }) => localId !== null);
+  if (found.length === 0) return new Map();
+
+  const ids = found.map(({ localId }) => localId);
+  const boxes = local ? await getGeometryBoxes(model, ids) : await model.getBoxes(ids);
+  return new Map(found.map(({ guid }, i) => [guid, boxes[i]]));
+}
+
+async function getGeometryBoxes(model, localIds) {
+  const boxes = [];
+  const point = new THREE.Vector3();
+  for (let start = 0; start < localIds.length; start += GEOMETRY_BATCH) {
+    const batch = localIds.slice(start, start + GEOMETRY_BATCH);
+    const meshesPerItem = await model.getItemsGeometry(batch);
+    batch.forEach((_, i) => {
+      const box = new THREE.Box3();
+      for (const mesh of meshesPerItem[i] ?? []) {
+        if (!mesh.positions) continue;
+        for (let j = 0; j < mesh.positions.length; j += 3) {
+          box.expandByPoint(point.fromArray(mesh.positions, j).applyMatrix4(mesh.transform));
+        }
+      }
+      boxes.push(box);
+    });
+  }
+  return boxes;
+}
+
+const boxesDiffer = (a, b) => {
+  if (a.isEmpty() || b.isEmpty()) return a.isEmpty() !== b.isEmpty();
+  return ["x", "y", "z"].some((axis) =>
+    Math.abs(a.min[axis] - b.min[axis]) > BOUNDS_TOLERANCE ||
+    Math.abs(a.max[axis] - b.max[axis]) > BOUNDS_TOLERANCE);
+};
+
+/**
+ * Size and center in IFC axes (Z up)
+ */
+const formatBox = (box) => {
+  if (box.isEmpty()) return "no geometry";
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const f = (value) => value.toFixed(3);
+  return `${f(size.x)} × ${f(size.z)} × ${f(size.y)} at (${f(center.x)}, ${f(-center.z)}, ${f(center.y)})`;
+};
+
+/**
+ * Shared elements whose bounding box changed between the revisions
+ * @param {import("@thatopen/fragments").FragmentsModel} baseModel
+ * @param {import("@thatopen/fragments").FragmentsModel} revisedModel
+ * @param {string[]} guids - GUIDs found in both revisions
+ * @returns {Promise<Map<string, { old: string, new: string }>>} Formatted bounds keyed by GUID
+ */
+export async function compareBounds(baseModel, revisedModel, guids) {
+  // Same placement: the world boxes compare as they are
+  const local = !baseModel.object.matrixWorld.equals(revisedModel.object.matrixWorld);
+  const [oldBoxes, newBoxes] = await Promise.all([
+    getBoxes(baseModel, guids, { local }),
+    getBoxes(revisedModel, guids, { local }),
+  ]);
+  const changed = new Map();
+  for (const guid of guids) {
+    const oldBox = oldBoxes.get(guid);
+    const newBox = newBoxes.get(guid);
+    if (!oldBox || !newBox || !boxesDiffer(oldBox, newBox)) continue;
+    changed.set(guid, { old: formatBox(oldBox), new: formatBox(newBox) });
+  }
+  return changed;
+}
+
+/**
+ * One list of diff items from the backend report and the bounds changes
+ * @param {{ added: object[], deleted: object[], modified: object[], unchanged: object[] }} report
+ * @param {Map<string, { old: string, new: string }>} boundsChanges
+ * @returns {Array<{ status: 'added'|'deleted'|'modified', guid, name, type, storey, changes: Array<{ pset, name, old, new }> }>}
+ */
+export function buildDiffItems(report, boundsChanges) {
+  const withBounds = (record, changes) => {
+    const bounds = boundsChanges.get(record.guid);
+    return bounds ? [...changes, { pset: "Geometry", name: "Bounds", ...bounds }] : changes;
+  };
+
+  return [
+    ...report.added.map((record) => ({ ...record, status: "added", changes: [] })),
+    ...report.deleted.map((record) => ({ ...record, status: "deleted", changes: [] })),
+    ...report.modified.map((record) => ({ ...record, status: "modified", changes: withBounds(record, record.changes) })),
+    ...report.unchanged
+      .filter((record) => boundsChanges.has(record.guid))
+      .map((record) => ({ ...record, status: "modified", changes: withBounds(record, []) })),
+  ];
+}
+
+/**
+ * One row per changed value; added and deleted elements get a single row
+ * @param {ReturnType<typeof buildDiffItems>} items
+ */
+export function diffToCSV(items) {
+  const rows = [["Status", "GUID", "Name", "Class", "Storey", "Group", "Property", "Old Value", "New Value"]];
+  const cell = (value) => (value === null || value === undefined ? "" : formatPropertyValue(value));
+  for (const item of items) {
+    const base = [item.status, item.guid, item.name, item.type, item.storey];
+    if (item.changes.length === 0) {
+      rows.push(base);
+      continue;
+    }
+    for (const change of item.changes) {
+      rows.push([...base, change.pset, change.name, cell(change.old), cell(change.new)]);
+    }
+  }
+  return rowsToCSV(rows);
+}
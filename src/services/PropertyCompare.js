@@ -0,0 +1,61 @@
+/**
+ * Property Compare
+ * Merges the psets of several elements so the Properties panel can show
+ * which values are shared across a selection and which differ.
+ */
+
+/**
+ * Display string for a property value, as rendered in the Properties panel
+ */
+export function formatPropertyValue(value) {
+  if (value === null || value === undefined) return String(value);
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Compare psets across elements
+ * @param {Array<{ type, properties, psets }>} elements - Element data as returned by the backend
+ * @returns {Array<{ name: string, properties: Array<{
+ *   name: string,
+ *   identical: boolean,
+ *   missing: number,
+ *   values: Array<{ value: string, count: number }>
+ * }> }>} One entry per pset, values sorted by how many elements share them
+ */
+export function comparePsets(elements) {
+  const groups = new Map(); // pset name -> Map(property name -> display values)
+
+  for (const element of elements) {
+    const sets = {
+      Attributes: { Type: element.type, ...element.properties },
+      ...element.psets,
+    };
+
+    for (const [psetName, props] of Object.entries(sets)) {
+      if (!groups.has(psetName)) groups.set(psetName, new Map());
+      const group = groups.get(psetName);
+
+      for (const [name, value] of Object.entries(props ?? {})) {
+        if (!group.has(name)) group.set(name, []);
+        group.get(name).push(formatPropertyValue(value));
+      }
+    }
+  }
+
+  return Array.from(groups, ([psetName, props]) => ({
+    name: psetName,
+    properties: Array.from(props, ([name, values]) => {
+      const counts = new Map();
+      for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+
+      const missing = elements.length - values.length;
+      return {
+        name,
+        identical: counts.size === 1 && missing === 0,
+        missing,
+        values: Array.from(counts, ([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count),
+      };
+    }),
+  }));
+}
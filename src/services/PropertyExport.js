@@ -0,0 +1,140 @@
+/**
+ * Property Export
+ * Serializes element data from the Properties panel as JSON or CSV, and
+ * tables of rows as CSV or XLSX
+ */
+import JSZip from "jszip";
+import { formatPropertyValue } from "./PropertyCompare.js";
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Element data without viewer-internal fields
+ */
+function exportable(element) {
+  const { guid, name, type, properties, psets } = element;
+  return { guid, name, type, properties, psets };
+}
+
+/**
+ * @param {{ guid, name, type, properties, psets }} element
+ */
+export function elementToJSON(element) {
+  return JSON.stringify(exportable(element), null, 2);
+}
+
+/**
+ * One row per property: Group,Property,Value
+ * @param {{ guid, name, type, properties, psets }} element
+ */
+export function elementToCSV(element) {
+  const { guid, name, type, properties, psets } = exportable(element);
+  const rows = [
+    ['Group', 'Property', 'Value'],
+    ['Basic Info', 'GUID', guid],
+    ['Basic Info', 'Name', name],
+    ['Basic Info', 'Type', type],
+  ];
+
+  for (const [key, value] of Object.entries(properties ?? {})) {
+    rows.push(['Attributes', key, value === null ? '' : formatPropertyValue(value)]);
+  }
+  for (const [psetName, props] of Object.entries(psets ?? {})) {
+    for (const [key, value] of Object.entries(props ?? {})) {
+      rows.push([psetName, key, value === null ? '' : formatPropertyValue(value)]);
+    }
+  }
+
+  return rowsToCSV(rows);
+}
+
+/**
+ * @param {Array<Array<any>>} rows - First row is the header
+ */
+export function rowsToCSV(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+const xmlEscape = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// A1-style column letters: 0 -> A, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+  // Style 0 is plain, style 1 bold (header and highlighted rows)
+  'xl/styles.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border/></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`,
+};
+
+/**
+ * Single-sheet workbook. Numbers stay numeric so they can be summed in Excel.
+ * @param {Array<Array<any>>} rows - First row is the header
+ * @param {{ sheetName?: string, boldRows?: Set<number> }} [options] - Indexes of rows to set in bold besides the header
+ * @returns {Promise<Blob>}
+ */
+export async function rowsToXLSX(rows, { sheetName = 'Sheet1', boldRows = new Set() } = {}) {
+  const sheetRows = rows.map((row, r) => {
+    const style = r === 0 || boldRows.has(r) ? ' s="1"' : '';
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  const zip = new JSZip();
+  for (const [path, content] of Object.entries(XLSX_PARTS)) zip.file(path, content);
+  // Sheet names are limited to 31 characters without []:*?/\
+  const name = xmlEscape(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${sheetRows.join('')}</sheetData>
+</worksheet>`);
+
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  });
+}
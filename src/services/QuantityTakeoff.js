@@ -0,0 +1,121 @@
+/**
+ * Quantity Takeoff
+ * Sums the element quantities returned by the backend into a tree grouped
+ * by up to three levels (class, type name, storey or material), and exports
+ * it as CSV or XLSX with a subtotal row after every group.
+ */
+import { rowsToCSV, rowsToXLSX } from "./PropertyExport.js";
+
+export const TAKEOFF_LEVELS = {
+  type: "IFC Class",
+  type_name: "Type",
+  storey: "Storey",
+  material: "Material",
+};
+
+export const DEFAULT_TAKEOFF_LEVELS = ["type", "type_name", "storey"];
+
+// Shown first when the model has them
+const PREFERRED_QUANTITIES = ["NetVolume", "GrossVolume", "NetArea", "GrossArea", "NetSideArea", "Length"];
+
+const NONE_LABEL = "(none)";
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Quantity names sorted with the most useful ones first
+ * @param {Record<string, string>} units - Unit keyed by quantity name
+ */
+export function listQuantityNames(units) {
+  const names = Object.keys(units).sort();
+  const preferred = PREFERRED_QUANTITIES.filter((name) => names.includes(name));
+  return [...preferred, ...names.filter((name) => !preferred.includes(name))];
+}
+
+const newNode = (key, label, level) => ({ key, label, level, count: 0, totals: {}, elements: [], children: [] });
+
+const addTo = (node, element) => {
+  node.count++;
+  node.elements.push(element);
+  for (const [name, value] of Object.entries(element.quantities)) {
+    if (typeof value === "number") node.totals[name] = (node.totals[name] ?? 0) + value;
+  }
+};
+
+/**
+ * @param {Array<{ guid, type, type_name, storey, material, quantities: Record<string, number> }>} elements
+ * @param {string[]} levels - Keys of TAKEOFF_LEVELS, outermost first
+ * @returns {{ key, label, level, count, totals, elements, children }} Root node (level -1) holding the grand total
+ */
+export function buildTakeoff(elements, levels) {
+  const root = newNode("", "Total", -1);
+  const byKey = new Map();
+
+  for (const element of elements) {
+    addTo(root, element);
+    let parent = root;
+    levels.forEach((level, depth) => {
+      const label = element[level] || NONE_LABEL;
+      const key = `${parent.key}/${label}`;
+      let node = byKey.get(key);
+      if (!node) {
+        node = newNode(key, label, depth);
+        byKey.set(key, node);
+        parent.children.push(node);
+      }
+      addTo(node, element);
+      parent = node;
+    });
+  }
+
+  const sort = (node) => {
+    node.children.sort((a, b) =>
+      (a.label === NONE_LABEL) - (b.label === NONE_LABEL) || a.label.localeCompare(b.label, undefined, { numeric: true }));
+    node.children.forEach(sort);
+  };
+  sort(root);
+  return root;
+}
+
+/**
+ * Table rows: one per innermost group, a subtotal after each outer group and
+ * the grand total last
+ * @returns {{ rows: Array<Array<any>>, subtotalRows: Set<number> }}
+ */
+function takeoffToRows(root, levels, units) {
+  const quantityNames = listQuantityNames(units);
+  const rows = [[
+    ...levels.map((level) => TAKEOFF_LEVELS[level]),
+    "Count",
+    ...quantityNames.map((name) => `${name} (${units[name]})`),
+  ]];
+  const subtotalRows = new Set();
+  const values = (node) => [node.count, ...quantityNames.map((name) => (name in node.totals ? round(node.totals[name]) : ""))];
+
+  const visit = (node, path) => {
+    if (node.children.length === 0) {
+      rows.push([...path, ...values(node)]);
+      return;
+    }
+    for (const child of node.children) visit(child, [...path, child.label]);
+    const label = node.level === -1 ? "Total" : `${node.label} subtotal`;
+    const cells = [...path.slice(0, -1), label];
+    while (cells.length < levels.length) cells.push("");
+    subtotalRows.add(rows.length);
+    rows.push([...cells, ...values(node)]);
+  };
+  visit(root, []);
+  return { rows, subtotalRows };
+}
+
+export function takeoffToCSV(root, levels, units) {
+  return rowsToCSV(takeoffToRows(root, levels, units).rows);
+}
+
+/**
+ * @returns {Promise<Blob>}
+ */
+export function takeoffToXLSX(root, levels, units) {
+  const { rows, subtotalRows } = takeoffToRows(root, levels, units);
+  return rowsToXLSX(rows, { sheetName: "Takeoff", boldRows: subtotalRows });
+}
@@ -0,0 +1,35 @@
+/**
+ * Saved Queries
+ * Named query-builder rule sets, kept in localStorage so they survive reloads
+ */
+const STORAGE_KEY = 'bim-viewer-saved-queries';
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @returns {Array<{ name: string, rules: Array<object>, savedAt: string }>} Sorted by name
+ */
+export function listSavedQueries() {
+  return Object.values(readAll()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save (or overwrite) a query under a name
+ */
+export function saveQuery(name, rules) {
+  const queries = readAll();
+  queries[name] = { name, rules, savedAt: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queries));
+}
+
+export function deleteSavedQuery(name) {
+  const queries = readAll();
+  delete queries[name];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queries));
+}
@@ -0,0 +1,53 @@
+/**
+ * Viewpoint Store
+ * Persists saved viewpoints in IndexedDB. Each viewpoint lists the content
+ * hashes of the models it was saved on (the same keys as the fragment
+ * cache, for IFC and .frag files alike), so it shows up again whenever one
+ * of those models is reopened.
+ */
+import { createDatabase } from './IndexedDB.js';
+
+const STORE = 'viewpoints';
+const MODEL_INDEX = 'modelHashes';
+
+const db = createDatabase('bim-viewer-viewpoints', 1, (database) => {
+  const store = database.createObjectStore(STORE, { keyPath: 'id' });
+  store.createIndex(MODEL_INDEX, 'modelHashes', { multiEntry: true });
+});
+
+const withStore = (mode, fn) =>
+  db.transaction([STORE], mode, (stores, done) => fn(stores[STORE], done));
+
+/**
+ * Viewpoints saved on any of the given models, oldest first
+ * @param {string[]} modelHashes
+ */
+export async function listViewpoints(modelHashes) {
+  const byId = new Map();
+  await withStore('readonly', (store) => {
+    const index = store.index(MODEL_INDEX);
+    for (const hash of new Set(modelHashes)) {
+      const request = index.getAll(hash);
+      request.onsuccess = () => {
+        for (const viewpoint of request.result) byId.set(viewpoint.id, viewpoint);
+      };
+    }
+  });
+  return Array.from(byId.values()).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Insert or replace a viewpoint
+ * @param {{ id: string, name: string, modelHashes: string[], thumbnail: string, state: object, createdAt: number }} viewpoint
+ */
+export async function putViewpoint(viewpoint) {
+  await withStore('readwrite', (store) => {
+    store.put(viewpoint);
+  });
+}
+
+export async function deleteViewpoint(id) {
+  await withStore('readwrite', (store) => {
+    store.delete(id);
+  });
+}
@@ -0,0 +1,326 @@
+/**
+ * BCF Tool
+ * Imports and exports BCF 2.1 / 3.0 issue files (.bcfzip) with the OBC
+ * BCFTopics component, creates topics from the current view and restores a
+ * topic's viewpoint through the viewpoint tool.
+ *
+ * BCFTopics neither reads nor writes the clipping planes of a viewpoint, so
+ * those are read from and written into the archive here. BCF is Z-up and a
+ * clipping plane's direction points to the clipped side; three.js is Y-up and
+ * keeps the side the normal points to.
+ */
+import * as OBC from "@thatopen/components";
+import * as THREE from "three";
+import JSZip from "jszip";
+
+export const BCF_VERSIONS = ["2.1", "3"];
+
+// Orbit target distance when there is no model to aim at
+const DEFAULT_TARGET_DISTANCE = 20;
+
+const toThree = ({ x, y, z }) => new THREE.Vector3(x, z, -y);
+const toBcf = (vector) => ({ x: vector.x, y: -vector.z, z: vector.y });
+
+const childValue = (element, name) => Number(element.getElementsByTagName(name)[0]?.textContent);
+const readXYZ = (element) => ({
+  x: childValue(element, "X"),
+  y: childValue(element, "Y"),
+  z: childValue(element, "Z"),
+});
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const createElement = (xml, name, children) => {
+  const element = xml.createElementNS(xml.documentElement.namespaceURI, name);
+  element.append(...children);
+  return element;
+};
+const createXYZ = (xml, name, { x, y, z }) =>
+  createElement(xml, name, [["X", x], ["Y", y], ["Z", z]].map(([axis, value]) => createElement(xml, axis, [String(value)])));
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world
+ * @param {{
+ *   viewpointTool: ReturnType<import("./ViewpointTool.js").setupViewpointTool>,
+ *   onChange?: () => void,
+ * }} options
+ */
+export function setupBcfTool(components, world, { viewpointTool, onChange } = {}) {
+  const fragments = components.get(OBC.FragmentsManager);
+  const viewpoints = components.get(OBC.Viewpoints);
+  viewpoints.world = world;
+  const bcf = components.get(OBC.BCFTopics);
+  // The author is set from the UI before each topic, comment or edit
+  bcf.setup({ version: "3" });
+
+  // Section planes of each viewpoint (in sectionTool.getState() form), by viewpoint GUID
+  const viewpointPlanes = new Map();
+  // Object URLs of viewpoint snapshots, by viewpoint GUID
+  const snapshotUrls = new Map();
+
+  const notify = () => onChange?.();
+
+  // Plane state (scene coordinates) -> BCF clipping plane (project coordinates)
+  const planeToBcf = ({ normal, point }) => {
+    const inverse = fragments.baseCoordinationMatrix.clone().invert();
+    const location = new THREE.Vector3().fromArray(point).applyMatrix4(inverse);
+    const direction = new THREE.Vector3().fromArray(normal).negate().transformDirection(inverse);
+    return { location: toBcf(location), direction: toBcf(direction) };
+  };
+
+  const planeFromBcf = ({ location, direction }, index) => {
+    const matrix = fragments.baseCoordinationMatrix;
+    return {
+      normal: toThree(direction).negate().transformDirection(matrix).toArray(),
+      point: toThree(location).applyMatrix4(matrix).toArray(),
+      title: `BCF Plane ${index + 1}`,
+      enabled: true,
+      isBox: false,
+    };
+  };
+
+  /**
+   * Clipping planes of every viewpoint file in the archive, by viewpoint GUID
+   */
+  const readClippingPlanes = async (zip) => {
+    const parser = new DOMParser();
+    const result = new Map();
+    for (const file of Object.values(zip.files)) {
+      if (!file.name.endsWith(".bcfv")) continue;
+      const xml = parser.parseFromString(await file.async("string"), "application/xml");
+      const guid = xml.documentElement.getAttribute("Guid");
+      const planes = Array.from(xml.getElementsByTagName("ClippingPlane"), (element) => ({
+        location: readXYZ(element.getElementsByTagName("Location")[0]),
+        direction: readXYZ(element.getElementsByTagName("Direction")[0]),
+      })).filter(({ location, direction }) =>
+        [location, direction].every(({ x, y, z }) => [x, y, z].every(Number.isFinite)));
+      if (guid && planes.length > 0) result.set(guid, planes);
+    }
+    return result;
+  };
+
+  /**
+   * Add the stored planes to the viewpoint files BCFTopics wrote.
+   * ClippingPlanes comes after the camera and lines and before the bitmaps
+   * in the schema.
+   */
+  const writeClippingPlanes = async (zip) => {
+    const parser = new DOMParser();
+    const serializer = new XMLSerializer();
+    for (const file of Object.values(zip.files)) {
+      if (!file.name.endsWith(".bcfv")) continue;
+      const xml = parser.parseFromString(await file.async("string"), "application/xml");
+      const root = xml.documentElement;
+      const planes = viewpointPlanes.get(root.getAttribute("Guid"));
+      if (!planes || planes.length === 0) continue;
+
+      const clippingPlanes = createElement(xml, "ClippingPlanes", planes.map((plane) => {
+        const { location, direction } = planeToBcf(plane);
+        return createElement(xml, "ClippingPlane", [createXYZ(xml, "Location", location), createXYZ(xml, "Direction", direction)]);
+      }));
+      for (const child of Array.from(root.children)) {
+        if (child.localName === "ClippingPlanes") child.remove();
+      }
+      // Bitmaps in BCF 3, repeated Bitmap elements in 2.1
+      const bitmaps = Array.from(root.children).find((child) => /^Bitmaps?$/.test(child.localName)) ?? null;
+      root.insertBefore(clippingPlanes, bitmaps);
+      zip.file(file.name, `${XML_DECLARATION}\n${serializer.serializeToString(root)}`);
+    }
+  };
+
+  /**
+   * Load a .bcfzip. Topics are added to the ones already listed.
+   * @param {File} file
+   * @returns {Promise<number>} Number of imported topics
+   */
+  const importFile = async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const planes = await readClippingPlanes(await JSZip.loadAsync(bytes));
+    const { viewpoints: created, topics } = await bcf.load(bytes);
+    for (const viewpoint of created) {
+      viewpoint.world = world;
+      const bcfPlanes = planes.get(viewpoint.guid);
+      if (bcfPlanes) viewpointPlanes.set(viewpoint.guid, bcfPlanes.map(planeFromBcf));
+    }
+    notify();
+    return topics.length;
+  };
+
+  /**
+   * Write every topic to a .bcfzip
+   * @param {'2.1'|'3'} version
+   * @returns {Promise<Blob>}
+   */
+  const exportFile = async (version) => {
+    bcf.config.version = version;
+    const zip = await JSZip.loadAsync(await bcf.export());
+    await writeClippingPlanes(zip);
+    return zip.generateAsync({ type: "blob", mimeType: "application/octet-stream" });
+  };
+
+  /**
+   * Create a topic whose viewpoint is the current view
+   * @param {{ title: string, type: string, status: string, priority?: string, author: string, description?: string, comment?: string }} data
+   */
+  const createTopic = async ({ title, type, status, priority, author, description, comment }) => {
+    bcf.config.author = author;
+    const state = await viewpointTool.captureState();
+
+    const viewpoint = viewpoints.create();
+    await viewpoint.updateCamera(true);
+    viewpoint.defaultVisibility = state.visibility.defaultVisible;
+    for (const guid of state.visibility.exceptions) viewpoint.exceptionComponents.add(guid);
+    for (const guid of state.selection) viewpoint.selectionComponents.add(guid);
+    viewpointPlanes.set(viewpoint.guid, state.planes.filter((plane) => plane.enabled));
+
+    const topic = bcf.create();
+    topic.title = title;
+    topic.type = type;
+    topic.status = status;
+    topic.priority = priority || undefined;
+    topic.description = description || undefined;
+    topic.viewpoints.add(viewpoint.guid);
+    if (comment) topic.createComment(comment, viewpoint.guid);
+    bcf.list.set(topic.guid, topic);
+    notify();
+    return topic;
+  };
+
+  /**
+   * @param {string} topicGuid
+   * @param {string} text
+   * @param {string} author
+   */
+  const addComment = (topicGuid, text, author) => {
+    const topic = bcf.list.get(topicGuid);
+    if (!topic) return;
+    bcf.config.author = author;
+    topic.createComment(text);
+    bcf.list.set(topic.guid, topic);
+    notify();
+  };
+
+  /**
+   * @param {string} topicGuid
+   * @param {object} changes - Topic fields, e.g. { status }
+   * @param {string} author
+   */
+  const updateTopic = (topicGuid, changes, author) => {
+    const topic = bcf.list.get(topicGuid);
+    if (!topic) return;
+    bcf.config.author = author;
+    Object.assign(topic, changes);
+    topic.modifiedDate = new Date();
+    topic.modifiedAuthor = author;
+    bcf.list.set(topic.guid, topic);
+    notify();
+  };
+
+  const removeTopic = (topicGuid) => {
+    const topic = bcf.list.get(topicGuid);
+    if (!topic) return;
+    for (const guid of topic.viewpoints) {
+      viewpoints.list.delete(guid);
+      viewpoints.snapshots.delete(guid);
+      viewpointPlanes.delete(guid);
+      if (snapshotUrls.has(guid)) URL.revokeObjectURL(snapshotUrls.get(guid));
+      snapshotUrls.delete(guid);
+    }
+    bcf.list.delete(topicGuid);
+    notify();
+  };
+
+  const clear = () => {
+    for (const guid of Array.from(bcf.list.keys())) removeTopic(guid);
+  };
+
+  /**
+   * Apply a viewpoint: camera, visibility and selection by GUID, clipping planes
+   * @param {string} viewpointGuid
+   */
+  const restoreViewpoint = async (viewpointGuid) => {
+    const viewpoint = viewpoints.list.get(viewpointGuid);
+    if (!viewpoint) throw new Error("Viewpoint not found");
+
+    const position = viewpoint.position;
+    const direction = viewpoint.direction.normalize();
+    // Aim at the models' center so orbiting afterwards feels natural
+    const box = new THREE.Box3();
+    for (const [, model] of fragments.list) box.union(model.box);
+    const distance = box.isEmpty()
+      ? DEFAULT_TARGET_DISTANCE
+      : Math.max(1, box.getCenter(new THREE.Vector3()).sub(position).dot(direction));
+    const target = position.clone().addScaledVector(direction, distance);
+
+    await world.camera.projection.set(viewpoint.projection);
+    await viewpointTool.applyState({
+      camera: { position: position.toArray(), target: target.toArray() },
+      selection: Array.from(viewpoint.selectionComponents),
+      visibility: {
+        defaultVisible: viewpoint.defaultVisibility,
+        exceptions: Array.from(viewpoint.exceptionComponents),
+      },
+      planes: viewpointPlanes.get(viewpointGuid) ?? [],
+    });
+  };
+
+  /**
+   * Object URL of a viewpoint's snapshot, or null
+   */
+  const snapshotUrl = (viewpointGuid) => {
+    if (snapshotUrls.has(viewpointGuid)) return snapshotUrls.get(viewpointGuid);
+    const viewpoint = viewpoints.list.get(viewpointGuid);
+    const bytes = viewpoint && viewpoints.snapshots.get(viewpoint.snapshot);
+    if (!bytes) return null;
+    const type = `image/${viewpoints.getSnapshotExtension(viewpoint.snapshot)}`;
+    const url = URL.createObjectURL(new Blob([bytes], { type }));
+    snapshotUrls.set(viewpointGuid, url);
+    return url;
+  };
+
+  /**
+   * Topics for the UI, newest first
+   */
+  const list = () =>
+    Array.from(bcf.list.values(), (topic) => ({
+      guid: topic.guid,
+      title: topic.title,
+      type: topic.type,
+      status: topic.status,
+      priority: topic.priority,
+      description: topic.description,
+      author: topic.creationAuthor,
+      date: topic.creationDate,
+      viewpoints: Array.from(topic.viewpoints).filter((guid) => viewpoints.list.has(guid)),
+      comments: Array.from(topic.comments.values(), (comment) => ({
+        guid: comment.guid,
+        author: comment.author,
+        date: comment.date,
+        text: comment.comment,
+        viewpoint: comment.viewpoint,
+      })).sort((a, b) => a.date - b.date),
+    })).sort((a, b) => b.date - a.date);
+
+  return {
+    get types() {
+      return Array.from(bcf.config.types);
+    },
+    get statuses() {
+      return Array.from(bcf.config.statuses);
+    },
+    get priorities() {
+      return Array.from(bcf.config.priorities);
+    },
+    importFile,
+    exportFile,
+    createTopic,
+    addComment,
+    updateTopic,
+    removeTopic,
+    clear,
+    restoreViewpoint,
+    snapshotUrl,
+    list,
+  };
+}
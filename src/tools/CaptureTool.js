@@ -0,0 +1,208 @@
+/**
+ * Capture Tool
+ * Renders the world view into a PNG at any resolution, without the panels.
+ * CSS2D markers (measurement labels, note pins) live in the DOM rather than
+ * the WebGL canvas, so they are redrawn onto the image from their computed
+ * styles; an optional title block names the models and the date.
+ */
+import * as THREE from "three";
+
+/**
+ * @param {import("@thatopen/components").World} world
+ * @param {{ measureTool: ReturnType<import("./MeasurementTool.js").setupMeasurementTool> }} options
+ */
+export function setupCaptureTool(world, { measureTool }) {
+  const isShown = (object) => {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  };
+
+  /**
+   * Largest image the WebGL context can render in one pass
+   */
+  const maxSize = () => {
+    const { maxRenderbufferSize, maxTextureSize } = world.renderer.three.capabilities;
+    return Math.min(maxRenderbufferSize ?? maxTextureSize, maxTextureSize);
+  };
+
+  /**
+   * Copy of the world camera with the aspect ratio of the capture
+   */
+  const captureCamera = (aspect) => {
+    const camera = world.camera.three.clone();
+    if (camera.isPerspectiveCamera) {
+      camera.aspect = aspect;
+    } else {
+      // Keep the vertical extent so the zoom matches the viewport
+      const halfHeight = (camera.top - camera.bottom) / 2;
+      const centerX = (camera.left + camera.right) / 2;
+      camera.left = centerX - halfHeight * aspect;
+      camera.right = centerX + halfHeight * aspect;
+    }
+    camera.updateProjectionMatrix();
+    return camera;
+  };
+
+  /**
+   * Render the scene at width x height onto a 2D canvas
+   */
+  const renderScene = (camera, width, height, transparent) => {
+    const renderer = world.renderer.three;
+    const scene = world.scene.three;
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const background = scene.background;
+
+    const output = document.createElement("canvas");
+    output.width = width;
+    output.height = height;
+
+    try {
+      if (transparent) {
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+      }
+      // Resize the drawing buffer only (not the CSS size) and copy it out
+      // before the browser composites the frame, so the viewport never flickers
+      renderer.setPixelRatio(1);
+      renderer.setSize(width, height, false);
+      renderer.render(scene, camera);
+      output.getContext("2d").drawImage(renderer.domElement, 0, 0);
+    } finally {
+      scene.background = background;
+      renderer.setClearColor(clearColor, clearAlpha);
+      renderer.setPixelRatio(pixelRatio);
+      renderer.setSize(size.x, size.y, false);
+      world.renderer.needsUpdate = true;
+    }
+    return output;
+  };
+
+  /**
+   * Redraw the visible CSS2D elements at their projected positions
+   */
+  const drawMarkers = (context, camera, scale) => {
+    const { width, height } = context.canvas;
+    const objects = [];
+    world.scene.three.traverse((object) => {
+      if (object.isCSS2DObject && isShown(object)) objects.push(object);
+    });
+
+    const position = new THREE.Vector3();
+    for (const object of objects) {
+      object.getWorldPosition(position).project(camera);
+      if (position.z < -1 || position.z > 1) continue;
+
+      const element = object.element;
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      const style = getComputedStyle(element);
+      const w = rect.width * scale;
+      const h = rect.height * scale;
+      const x = ((position.x + 1) / 2) * width - w / 2;
+      const y = ((1 - position.y) / 2) * height - h / 2;
+      const radius = Math.min(parseFloat(style.borderTopLeftRadius) * scale || 0, w / 2, h / 2);
+
+      context.beginPath();
+      context.roundRect(x, y, w, h, radius);
+      context.fillStyle = style.backgroundColor;
+      context.fill();
+      const border = parseFloat(style.borderTopWidth) * scale;
+      if (border > 0) {
+        context.lineWidth = border;
+        context.strokeStyle = style.borderTopColor;
+        context.stroke();
+      }
+
+      const text = element.textContent.trim();
+      if (!text) continue;
+      context.fillStyle = style.color;
+      context.font = `${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`;
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(text, x + w / 2, y + h / 2);
+    }
+  };
+
+  /**
+   * Model names and date in the bottom left corner
+   */
+  const drawTitleBlock = (context, { title, subtitle }, scale) => {
+    const padding = 12 * scale;
+    const titleSize = 16 * scale;
+    const subtitleSize = 12 * scale;
+    const titleFont = `600 ${titleSize}px system-ui, sans-serif`;
+    const subtitleFont = `${subtitleSize}px system-ui, sans-serif`;
+
+    context.font = titleFont;
+    const titleWidth = context.measureText(title).width;
+    context.font = subtitleFont;
+    const subtitleWidth = context.measureText(subtitle).width;
+
+    const w = Math.max(titleWidth, subtitleWidth) + padding * 2;
+    const h = titleSize + subtitleSize + padding * 2.5;
+    const x = padding;
+    const y = context.canvas.height - h - padding;
+
+    context.fillStyle = "rgba(24, 24, 27, 0.85)";
+    context.beginPath();
+    context.roundRect(x, y, w, h, 4 * scale);
+    context.fill();
+
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    context.fillStyle = "#f4f4f5";
+    context.font = titleFont;
+    context.fillText(title, x + padding, y + padding);
+    context.fillStyle = "#a1a1aa";
+    context.font = subtitleFont;
+    context.fillText(subtitle, x + padding, y + padding * 1.5 + titleSize);
+  };
+
+  /**
+   * Render the current view to a PNG
+   * @param {object} options
+   * @param {number} options.width - Pixels, clamped to what the GPU supports
+   * @param {number} options.height
+   * @param {boolean} [options.transparent] - Drop the scene background
+   * @param {boolean} [options.overlays] - Include measurements and markers
+   * @param {{ title: string, subtitle: string }|null} [options.titleBlock]
+   * @returns {Promise<Blob>}
+   */
+  const capture = async ({ width, height, transparent = false, overlays = true, titleBlock = null }) => {
+    const limit = maxSize();
+    const fit = Math.min(1, limit / width, limit / height);
+    width = Math.round(width * fit);
+    height = Math.round(height * fit);
+
+    const camera = captureCamera(width / height);
+    // Overlays are drawn at the scale of the capture relative to the viewport
+    const scale = width / world.renderer.three.domElement.clientWidth;
+
+    const measurementsVisible = measureTool.visible;
+    if (!overlays) measureTool.setVisible(false);
+    let canvas;
+    try {
+      canvas = renderScene(camera, width, height, transparent);
+    } finally {
+      if (!overlays) measureTool.setVisible(measurementsVisible);
+    }
+
+    const context = canvas.getContext("2d");
+    if (overlays) drawMarkers(context, camera, scale);
+    if (titleBlock) drawTitleBlock(context, titleBlock, scale);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not encode the image"))), "image/png");
+    });
+  };
+
+  return {
+    capture,
+    maxSize,
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Clash Tool
+ * Hard and clearance clash detection between two sets of elements of the
+ * loaded models. Bounding boxes narrow the candidates down, then each
+ * candidate pair is tested on its triangles with three-mesh-bvh, in world
+ * coordinates so model placements are taken into account.
+ *
+ * A hard clash is two elements whose surfaces intersect or one of which lies
+ * inside the other, ignoring overlaps no deeper than the tolerance (elements
+ * that merely touch). A clearance clash is two elements closer than the
+ * tolerance.
+ *
+ * Pairs are tested in chunks: geometry is loaded for the elements of a
+ * chunk only, and released as soon as an element's last pair is tested, so
+ * large tests don't hold every element's geometry at once.
+ */
+import * as OBC from "@thatopen/components";
+import * as THREE from "three";
+import { MeshBVH } from "three-mesh-bvh";
+
+export const CLASH_TYPES = ["hard", "clearance"];
+
+// Geometry is fetched from the fragments worker this many items at a time
+const GEOMETRY_BATCH = 200;
+// Pairs tested between two yields to the browser
+const PAIRS_PER_FRAME = 25;
+// Pairs whose missing geometry is loaded in one go
+const PAIRS_PER_CHUNK = 500;
+
+const itemKey = (modelId, localId) => `${modelId}:${localId}`;
+
+const nextFrame = () => new Promise((resolve) => setTimeout(resolve));
+
+/**
+ * @param {OBC.Components} components
+ */
+export function setupClashTool(components) {
+  const fragments = components.get(OBC.FragmentsManager);
+
+  /**
+   * World-space boxes of every item in a ModelIdMap
+   */
+  const getItemBoxes = async (items) => {
+    const result = [];
+    for (const [modelId, localIds] of Object.entries(items)) {
+      const model = fragments.list.get(modelId);
+      if (!model || localIds.size === 0) continue;
+      const ids = Array.from(localIds);
+      const boxes = await model.getBoxes(ids);
+      ids.forEach((localId, i) => {
+        if (!boxes[i].isEmpty()) result.push({ modelId, localId, box: boxes[i] });
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Pairs of A and B items whose boxes, grown by `margin`, overlap by more
+   * than `minDepth` on every axis. Sorting B on X keeps this near linear.
+   */
+  const findCandidates = (itemsA, itemsB, margin, minDepth) => {
+    const sortedB = [...itemsB].sort((a, b) => a.box.min.x - b.box.min.x);
+    const pairs = [];
+    const seen = new Set();
+    const grown = new THREE.Box3();
+
+    for (const a of itemsA) {
+      grown.copy(a.box).expandByScalar(margin);
+      const keyA = itemKey(a.modelId, a.localId);
+      for (const b of sortedB) {
+        if (b.box.min.x > grown.max.x) break;
+        if (!grown.intersectsBox(b.box)) continue;
+        const keyB = itemKey(b.modelId, b.localId);
+        if (keyA === keyB) continue;
+        const pairKey = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+        if (seen.has(pairKey)) continue;
+        if (minDepth > 0) {
+          const overlap = a.box.clone().intersect(b.box);
+          const depth = overlap.isEmpty() ? 0 : Math.min(...overlap.getSize(new THREE.Vector3()).toArray());
+          if (depth <= minDepth) continue;
+        }
+        seen.add(pairKey);
+        pairs.push([a, b]);
+      }
+    }
+    return pairs;
+  };
+
+  /**
+   * One indexed geometry per item with every mesh in world coordinates,
+   * null for items without one. Items already in `geometries` are skipped.
+   */
+  const loadGeometries = async (entries, geometries, signal) => {
+    const byModel = new Map();
+    for (const { modelId, localId } of entries) {
+      if (geometries.has(itemKey(modelId, localId))) continue;
+      if (!byModel.has(modelId)) byModel.set(modelId, new Set());
+      byModel.get(modelId).add(localId);
+    }
+
+    for (const [modelId, localIds] of byModel) {
+      const model = fragments.list.get(modelId);
+      const ids = Array.from(localIds);
+      for (let start = 0; start < ids.length; start += GEOMETRY_BATCH) {
+        signal?.throwIfAborted();
+        const batch = ids.slice(start, start + GEOMETRY_BATCH);
+        const meshesPerItem = await model.getItemsGeometry(batch);
+        batch.forEach((localId, i) => {
+          geometries.set(itemKey(modelId, localId), mergeMeshes(meshesPerItem[i] ?? [], model.object.matrixWorld));
+        });
+      }
+    }
+  };
+
+  const mergeMeshes = (meshes, modelMatrix) => {
+    const parts = meshes.filter((mesh) => mesh.positions && mesh.indices);
+    if (parts.length === 0) return null;
+
+    const vertexCount = parts.reduce((sum, mesh) => sum + mesh.positions.length / 3, 0);
+    const indexCount = parts.reduce((sum, mesh) => sum + mesh.indices.length, 0);
+    const positions = new Float32Array(vertexCount * 3);
+    const indices = new Uint32Array(indexCount);
+    const matrix = new THREE.Matrix4();
+    const vertex = new THREE.Vector3();
+
+    let vertexOffset = 0;
+    let indexOffset = 0;
+    for (const mesh of parts) {
+      matrix.multiplyMatrices(modelMatrix, mesh.transform);
+      for (let i = 0; i < mesh.positions.length; i += 3) {
+        vertex.fromArray(mesh.positions, i).applyMatrix4(matrix).toArray(positions, vertexOffset * 3 + i);
+      }
+      for (let i = 0; i < mesh.indices.length; i++) {
+        indices[indexOffset + i] = mesh.indices[i] + vertexOffset;
+      }
+      vertexOffset += mesh.positions.length / 3;
+      indexOffset += mesh.indices.length;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.boundsTree = new MeshBVH(geometry);
+    return geometry;
+  };
+
+  /**
+   * Whether a closed mesh contains a point: a ray from inside crosses its
+   * surface an odd number of times
+   */
+  const containsPoint = (geometry, point) => {
+    const ray = new THREE.Ray(point, new THREE.Vector3(0, 1, 0));
+    return geometry.boundsTree.raycast(ray, THREE.DoubleSide).length % 2 === 1;
+  };
+
+  const firstVertex = (geometry) => new THREE.Vector3().fromBufferAttribute(geometry.attributes.position, 0);
+
+  const releaseGeometry = (geometry) => {
+    if (!geometry) return;
+    geometry.boundsTree = null;
+    geometry.dispose();
+  };
+
+  const identity = new THREE.Matrix4();
+  const closestA = {};
+  const closestB = {};
+
+  /**
+   * The clash between two items, or null
+   */
+  const testPair = (itemA, itemB, geometryA, geometryB, type, tolerance) => {
+    const clash = {
+      a: { modelId: itemA.modelId, localId: itemA.localId },
+      b: { modelId: itemB.modelId, localId: itemB.localId },
+    };
+    const touching = geometryA.boundsTree.intersectsGeometry(geometryB, identity);
+    // Without touching surfaces, one element can still be inside the other
+    if (
+      touching ||
+      itemA.box.containsBox(itemB.box) && containsPoint(geometryA, firstVertex(geometryB)) ||
+      itemB.box.containsBox(itemA.box) && containsPoint(geometryB, firstVertex(geometryA))
+    ) {
+      const overlap = itemA.box.clone().intersect(itemB.box);
+      return { ...clash, distance: 0, point: overlap.getCenter(new THREE.Vector3()).toArray() };
+    }
+    if (type === "clearance") {
+      const hit = geometryA.boundsTree.closestPointToGeometry(geometryB, identity, closestA, closestB, 0, tolerance);
+      if (!hit || hit.distance > tolerance) return null;
+      const point = closestA.point.clone().add(closestB.point).multiplyScalar(0.5);
+      return { ...clash, distance: hit.distance, point: point.toArray() };
+    }
+    return null;
+  };
+
+  /**
+   * Run one clash test
+   * @param {object} test
+   * @param {object} test.a - ModelIdMap
+   * @param {object} test.b - ModelIdMap
+   * @param {'hard'|'clearance'} test.type
+   * @param {number} test.tolerance - Meters
+   * @param {{ signal?: AbortSignal, onProgress?: (progress: number) => void }} [options]
+   * @returns {Promise<Array<{ a: { modelId, localId }, b: { modelId, localId }, distance: number, point: number[] }>>}
+   *   Distance is 0 for intersecting elements; point is where to look at
+   */
+  const detect = async ({ a, b, type, tolerance }, { signal, onProgress } = {}) => {
+    const [itemsA, itemsB] = await Promise.all([getItemBoxes(a), getItemBoxes(b)]);
+    const pairs = type === "clearance"
+      ? findCandidates(itemsA, itemsB, tolerance, 0)
+      : findCandidates(itemsA, itemsB, 0, tolerance);
+    onProgress?.(0);
+
+    // Pairs left to test per item, to release its geometry after the last one
+    const remaining = new Map();
+    for (const pair of pairs) {
+      for (const { modelId, localId } of pair) {
+        const key = itemKey(modelId, localId);
+        remaining.set(key, (remaining.get(key) ?? 0) + 1);
+      }
+    }
+
+    const geometries = new Map();
+    const clashes = [];
+
+    try {
+      for (let start = 0; start < pairs.length; start += PAIRS_PER_CHUNK) {
+        const chunk = pairs.slice(start, start + PAIRS_PER_CHUNK);
+        await loadGeometries(chunk.flat(), geometries, signal);
+
+        for (let i = 0; i < chunk.length; i++) {
+          if ((start + i) % PAIRS_PER_FRAME === 0) {
+            signal?.throwIfAborted();
+            onProgress?.((start + i) / pairs.length);
+            await nextFrame();
+          }
+
+          const [itemA, itemB] = chunk[i];
+          const keyA = itemKey(itemA.modelId, itemA.localId);
+          const keyB = itemKey(itemB.modelId, itemB.localId);
+          const geometryA = geometries.get(keyA);
+          const geometryB = geometries.get(keyB);
+          const clash = geometryA && geometryB && testPair(itemA, itemB, geometryA, geometryB, type, tolerance);
+          if (clash) clashes.push(clash);
+
+          for (const key of [keyA, keyB]) {
+            const left = remaining.get(key) - 1;
+            if (left > 0) {
+              remaining.set(key, left);
+              continue;
+            }
+            remaining.delete(key);
+            releaseGeometry(geometries.get(key));
+            geometries.delete(key);
+          }
+        }
+      }
+      onProgress?.(1);
+    } finally {
+      for (const geometry of geometries.values()) releaseGeometry(geometry);
+    }
+
+    return clashes;
+  };
+
+  return {
+    detect,
+  };
+}
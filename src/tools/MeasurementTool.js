@@ -0,0 +1,334 @@
+/**
+ * Measurement Tool
+ * Length and area measurements from components-front, a three-click angle
+ * measurement, and bounding dimensions for a selection. Every measurement
+ * is registered with a name and the models it was taken on, so the panel
+ * can rename and delete it, model removal can clean it up and moving a
+ * model takes its measurements along.
+ */
+import * as OBC from "@thatopen/components";
+import * as OBCF from "@thatopen/components-front";
+import * as FRAGS from "@thatopen/fragments";
+import * as THREE from "three";
+
+const MEASURE_COLOR = new THREE.Color(0x4ade80);
+
+// Vertex and edge snapping first, faces as a fallback
+const SNAPPINGS = [FRAGS.SnappingClass.POINT, FRAGS.SnappingClass.LINE, FRAGS.SnappingClass.FACE];
+
+const TYPE_LABELS = {
+  length: "Length",
+  area: "Area",
+  angle: "Angle",
+  dimension: "Dimension",
+};
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world - Its renderer must render CSS2D labels (OBCF.RendererWith2D)
+ * @param {{ onChange?: () => void }} [options] - Called whenever measurements or the mode change
+ */
+export function setupMeasurementTool(components, world, { onChange } = {}) {
+  const caster = components.get(OBC.Raycasters).get(world);
+
+  const length = components.get(OBCF.LengthMeasurement);
+  length.world = world;
+  length.color = MEASURE_COLOR;
+  length.snappings = SNAPPINGS;
+
+  const area = components.get(OBCF.AreaMeasurement);
+  area.world = world;
+  area.color = MEASURE_COLOR;
+  area.snappings = SNAPPINGS;
+
+  const picker = new OBCF.GraphicVertexPicker(components);
+  picker.world = world;
+
+  let mode = null; // 'length' | 'area' | 'angle' | null
+  const measurements = new Map(); // id -> { id, type, name, value, modelIds, remove, move, setVisible }
+  const counters = { length: 0, area: 0, angle: 0, dimension: 0 };
+
+  // Models hit while the current measurement is being drawn
+  let pendingModelIds = new Set();
+  // Set while element dimensions are added, so they register as 'dimension'
+  let addingDimension = null;
+  // Points picked so far for the angle in progress
+  let anglePoints = [];
+  // Measurement whose line or area is being replaced by a moved copy
+  let moving = null;
+  let visible = true;
+
+  const notify = () => onChange?.();
+
+  const register = (type, { value, modelIds, remove, move, setVisible }) => {
+    const id = crypto.randomUUID();
+    measurements.set(id, {
+      id,
+      type,
+      name: `${TYPE_LABELS[type]} ${++counters[type]}`,
+      value,
+      modelIds: new Set(modelIds),
+      remove,
+      move,
+      setVisible,
+    });
+    notify();
+  };
+
+  // Lines and areas can't be moved in place: a moved copy replaces them
+  const lineHandlers = (line) => ({
+    value: `${line.value.toFixed(2)} m`,
+    remove: () => length.list.delete(line),
+    move: (matrix) => {
+      const moved = new OBCF.Line(line.start.clone().applyMatrix4(matrix), line.end.clone().applyMatrix4(matrix));
+      length.list.delete(line);
+      length.list.add(moved);
+    },
+  });
+
+  const areaHandlers = (measuredArea) => ({
+    value: `${measuredArea.value.toFixed(2)} m²`,
+    remove: () => area.list.delete(measuredArea),
+    move: (matrix) => {
+      const moved = new OBCF.Area([...measuredArea.points].map((point) => point.clone().applyMatrix4(matrix)));
+      area.list.delete(measuredArea);
+      area.list.add(moved);
+    },
+  });
+
+  length.list.onItemAdded.add((line) => {
+    if (moving) {
+      Object.assign(moving, lineHandlers(line));
+      return;
+    }
+    const type = addingDimension ? "dimension" : "length";
+    const modelIds = addingDimension ?? pendingModelIds;
+    pendingModelIds = new Set();
+    register(type, { modelIds, ...lineHandlers(line) });
+  });
+
+  area.list.onItemAdded.add((measuredArea) => {
+    if (moving) {
+      Object.assign(moving, areaHandlers(measuredArea));
+      return;
+    }
+    const modelIds = pendingModelIds;
+    pendingModelIds = new Set();
+    register("area", { modelIds, ...areaHandlers(measuredArea) });
+  });
+
+  // --- Angle (not provided by components-front) ---
+
+  const createAngleLabel = (text) => {
+    const element = document.createElement("div");
+    element.className = "measure-label";
+    element.textContent = text;
+    return element;
+  };
+
+  const createAngle = ([a, b, c]) => {
+    const degrees = THREE.MathUtils.radToDeg(
+      new THREE.Vector3().subVectors(a, b).angleTo(new THREE.Vector3().subVectors(c, b))
+    );
+
+    const geometry = new THREE.BufferGeometry().setFromPoints([a, b, c]);
+    const material = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+    const line = new THREE.Line(geometry, material);
+    line.renderOrder = 1;
+    world.scene.three.add(line);
+
+    const label = new OBCF.Mark(world, createAngleLabel(`${degrees.toFixed(1)}°`));
+    label.three.position.copy(b);
+
+    const modelIds = pendingModelIds;
+    pendingModelIds = new Set();
+    register("angle", {
+      value: `${degrees.toFixed(1)}°`,
+      modelIds,
+      remove: () => {
+        world.scene.three.remove(line);
+        geometry.dispose();
+        material.dispose();
+        label.dispose();
+      },
+      move: (matrix) => {
+        geometry.applyMatrix4(matrix);
+        label.three.position.applyMatrix4(matrix);
+      },
+      setVisible: (visible) => {
+        line.visible = visible;
+        label.visible = visible;
+      },
+    });
+  };
+
+  const pickAnglePoint = async () => {
+    const result = await picker.get({ snappingClasses: SNAPPINGS });
+    if (!result?.point) return;
+    anglePoints.push(result.point.clone());
+    if (anglePoints.length === 3) {
+      createAngle(anglePoints);
+      anglePoints = [];
+    }
+    notify();
+  };
+
+  // --- Modes ---
+
+  /**
+   * Switch the active measurement mode; null leaves measuring
+   * @param {'length'|'area'|'angle'|null} nextMode
+   */
+  const setMode = (nextMode) => {
+    if (mode === "length") length.cancelCreation();
+    if (mode === "area") area.cancelCreation();
+    anglePoints = [];
+    pendingModelIds = new Set();
+
+    mode = nextMode;
+    length.enabled = mode === "length";
+    area.enabled = mode === "area";
+    picker.enabled = mode === "angle";
+    notify();
+  };
+
+  /**
+   * Handle a viewport click while a mode is active.
+   * Returns true if the click was consumed by the tool.
+   */
+  const handleClick = async () => {
+    if (!mode) return false;
+
+    const hit = await caster.castRay();
+    if (hit?.fragments) pendingModelIds.add(hit.fragments.modelId);
+
+    if (mode === "length") length.create();
+    if (mode === "area") await area.create();
+    if (mode === "angle") await pickAnglePoint();
+    return true;
+  };
+
+  /**
+   * Close the polygon of an area measurement in progress
+   */
+  const finish = () => {
+    if (mode === "area") area.endCreation();
+  };
+
+  const cancel = () => {
+    if (mode === "length") length.cancelCreation();
+    if (mode === "area") area.cancelCreation();
+    anglePoints = [];
+    pendingModelIds = new Set();
+    notify();
+  };
+
+  /**
+   * Add X, Y and Z dimension lines along the edges of a bounding box
+   * @param {THREE.Box3} box
+   * @param {Iterable<string>} modelIds - Models the measured elements belong to
+   */
+  const measureBox = (box, modelIds) => {
+    const { min, max } = box;
+    addingDimension = new Set(modelIds);
+    try {
+      length.list.add(
+        new OBCF.Line(min.clone(), new THREE.Vector3(max.x, min.y, min.z)),
+        new OBCF.Line(min.clone(), new THREE.Vector3(min.x, max.y, min.z)),
+        new OBCF.Line(min.clone(), new THREE.Vector3(min.x, min.y, max.z))
+      );
+    } finally {
+      addingDimension = null;
+    }
+  };
+
+  const rename = (id, name) => {
+    const measurement = measurements.get(id);
+    if (!measurement) return;
+    measurement.name = name.trim() || measurement.name;
+    notify();
+  };
+
+  const remove = (id) => {
+    const measurement = measurements.get(id);
+    if (!measurement) return;
+    measurements.delete(id);
+    measurement.remove();
+    notify();
+  };
+
+  /**
+   * Delete every measurement taken on a model that is being removed
+   */
+  const removeForModel = (modelId) => {
+    for (const measurement of Array.from(measurements.values())) {
+      if (measurement.modelIds.has(modelId)) remove(measurement.id);
+    }
+  };
+
+  /**
+   * Apply a model's move to the measurements taken on that model only.
+   * Measurements spanning several models stay where they are.
+   * @param {string} modelId
+   * @param {THREE.Matrix4} matrix - World transform from the old placement to the new one
+   */
+  const moveForModel = (modelId, matrix) => {
+    for (const measurement of measurements.values()) {
+      if (measurement.modelIds.size !== 1 || !measurement.modelIds.has(modelId)) continue;
+      moving = measurement;
+      try {
+        measurement.move(matrix);
+      } finally {
+        moving = null;
+      }
+    }
+    // Moved copies are drawn visible
+    if (!visible) setVisible(false);
+    notify();
+  };
+
+  const clear = () => {
+    setMode(null);
+    for (const id of Array.from(measurements.keys())) remove(id);
+  };
+
+  /**
+   * Show or hide every measurement, lines and labels
+   */
+  const setVisible = (nextVisible) => {
+    visible = nextVisible;
+    length.visible = visible;
+    area.visible = visible;
+    for (const measurement of measurements.values()) measurement.setVisible?.(visible);
+  };
+
+  /**
+   * @returns {Array<{ id, type, name, value }>}
+   */
+  const list = () =>
+    Array.from(measurements.values(), ({ id, type, name, value }) => ({ id, type, name, value }));
+
+  return {
+    get mode() {
+      return mode;
+    },
+    get pendingAnglePoints() {
+      return anglePoints.length;
+    },
+    get visible() {
+      return visible;
+    },
+    setMode,
+    handleClick,
+    finish,
+    cancel,
+    measureBox,
+    rename,
+    remove,
+    removeForModel,
+    moveForModel,
+    clear,
+    setVisible,
+    list,
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Note Tool
+ * Pins on element surfaces. Each pin is anchored to an element GUID and a
+ * point in its model's local coordinates, and drawn as a CSS2D marker that
+ * is parented to the model, so it follows the camera and the model.
+ */
+import * as OBC from "@thatopen/components";
+import * as OBCF from "@thatopen/components-front";
+import * as THREE from "three";
+
+// Camera distance when jumping to a note
+const FOCUS_DISTANCE = 8;
+
+/**
+ * @typedef {object} Note
+ * @property {string} id
+ * @property {string} guid - Element the note is pinned to
+ * @property {number[]} point - Hit point in model coordinates
+ * @property {string} title
+ * @property {string} text
+ * @property {string} author
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world - Its renderer must render CSS2D labels (OBCF.RendererWith2D)
+ * @param {{ onOpen?: (modelId: string, noteId: string) => void, onChange?: () => void }} [options]
+ */
+export function setupNoteTool(components, world, { onOpen, onChange } = {}) {
+  const fragments = components.get(OBC.FragmentsManager);
+
+  // modelId -> Map(noteId -> { note, mark, element })
+  const pins = new Map();
+  let activeId = null;
+
+  const notify = () => onChange?.();
+
+  const createPin = (modelId, note) => {
+    const model = fragments.list.get(modelId);
+    if (!model) return null;
+
+    const element = document.createElement("div");
+    element.className = "note-pin";
+    element.title = note.title;
+    // Keep clicks on the pin from orbiting the camera or selecting behind it
+    for (const type of ["pointerdown", "mousedown"]) {
+      element.addEventListener(type, (event) => event.stopPropagation());
+    }
+    element.addEventListener("click", (event) => {
+      event.stopPropagation();
+      onOpen?.(modelId, note.id);
+    });
+
+    const mark = new OBCF.Mark(world, element, model.object);
+    mark.three.position.fromArray(note.point);
+    return { note, mark, element };
+  };
+
+  const disposePin = (pin) => {
+    pin.mark.dispose();
+  };
+
+  const updateNumbers = () => {
+    let index = 0;
+    for (const [, modelPins] of pins) {
+      for (const [, pin] of modelPins) {
+        pin.element.textContent = String(++index);
+        pin.element.classList.toggle("active", pin.note.id === activeId);
+      }
+    }
+  };
+
+  /**
+   * Replace the notes of a model
+   * @param {string} modelId
+   * @param {Note[]} notes
+   */
+  const setNotes = (modelId, notes) => {
+    removeForModel(modelId, { silent: true });
+    const modelPins = new Map();
+    for (const note of notes) {
+      const pin = createPin(modelId, note);
+      if (pin) modelPins.set(note.id, pin);
+    }
+    pins.set(modelId, modelPins);
+    updateNumbers();
+    notify();
+  };
+
+  /**
+   * Add or replace one note
+   */
+  const put = (modelId, note) => {
+    if (!pins.has(modelId)) pins.set(modelId, new Map());
+    const modelPins = pins.get(modelId);
+    const existing = modelPins.get(note.id);
+    if (existing) {
+      existing.note = note;
+      existing.element.title = note.title;
+      existing.mark.three.position.fromArray(note.point);
+    } else {
+      const pin = createPin(modelId, note);
+      if (pin) modelPins.set(note.id, pin);
+    }
+    updateNumbers();
+    notify();
+  };
+
+  const remove = (modelId, noteId) => {
+    const pin = pins.get(modelId)?.get(noteId);
+    if (!pin) return;
+    disposePin(pin);
+    pins.get(modelId).delete(noteId);
+    if (activeId === noteId) activeId = null;
+    updateNumbers();
+    notify();
+  };
+
+  const removeForModel = (modelId, { silent = false } = {}) => {
+    const modelPins = pins.get(modelId);
+    if (!modelPins) return;
+    for (const [noteId, pin] of modelPins) {
+      disposePin(pin);
+      if (activeId === noteId) activeId = null;
+    }
+    pins.delete(modelId);
+    if (silent) return;
+    updateNumbers();
+    notify();
+  };
+
+  const get = (modelId, noteId) => pins.get(modelId)?.get(noteId)?.note ?? null;
+
+  /**
+   * Highlight one pin (or none)
+   */
+  const setActive = (noteId) => {
+    activeId = noteId;
+    updateNumbers();
+    notify();
+  };
+
+  /**
+   * Convert a world-space hit point into the model's coordinates
+   */
+  const toModelPoint = (modelId, point) => {
+    const model = fragments.list.get(modelId);
+    if (!model) return null;
+    return model.object.worldToLocal(point.clone()).toArray();
+  };
+
+  /**
+   * Fly the camera to a note, keeping the current viewing direction
+   */
+  const focus = async (modelId, noteId) => {
+    const pin = pins.get(modelId)?.get(noteId);
+    if (!pin) return;
+    const target = pin.mark.three.getWorldPosition(new THREE.Vector3());
+    const controls = world.camera.controls;
+    const position = controls.getPosition(new THREE.Vector3());
+    const direction = position.sub(controls.getTarget(new THREE.Vector3())).normalize();
+    const eye = target.clone().addScaledVector(direction, FOCUS_DISTANCE);
+    await controls.setLookAt(eye.x, eye.y, eye.z, target.x, target.y, target.z, true);
+    setActive(noteId);
+  };
+
+  /**
+   * Notes for the list panel, in pin number order
+   */
+  const list = () => {
+    const result = [];
+    for (const [modelId, modelPins] of pins) {
+      for (const [, pin] of modelPins) {
+        result.push({ modelId, number: result.length + 1, ...pin.note });
+      }
+    }
+    return result;
+  };
+
+  return {
+    get activeId() {
+      return activeId;
+    },
+    setNotes,
+    put,
+    remove,
+    removeForModel,
+    get,
+    setActive,
+    toModelPoint,
+    focus,
+    list,
+  };
+}
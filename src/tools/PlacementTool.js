@@ -0,0 +1,212 @@
+/**
+ * Placement Tool
+ * Moves whole models so federated models with different origins line up.
+ * A placement is a translation, a rotation about the vertical axis and a
+ * uniform scale, written in IFC axes (X east, Y north, Z up, metres and
+ * degrees) and applied to model.object, which fragments raycasting, boxes
+ * and highlighting all read through its world matrix.
+ *
+ * Alignment picks three point pairs: a point on the model to move, then the
+ * matching point on a reference model. The placement that best maps the
+ * first points onto the second ones (least squares) replaces the current one.
+ */
+import * as OBC from "@thatopen/components";
+import * as OBCF from "@thatopen/components-front";
+import * as THREE from "three";
+
+export const DEFAULT_PLACEMENT = Object.freeze({ x: 0, y: 0, z: 0, rotation: 0, scale: 1 });
+
+export const ALIGN_PAIR_COUNT = 3;
+
+// Three.js is Y-up, IFC is Z-up
+const toIfc = (vector) => ({ x: vector.x, y: -vector.z, z: vector.y });
+
+export const isDefaultPlacement = (placement) =>
+  !placement || Object.keys(DEFAULT_PLACEMENT).every((key) => placement[key] === DEFAULT_PLACEMENT[key]);
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world - Its renderer must render CSS2D labels (OBCF.RendererWith2D)
+ * @param {{ onChange?: () => void }} [options] - Called whenever the alignment picks change
+ */
+export function setupPlacementTool(components, world, { onChange } = {}) {
+  const fragments = components.get(OBC.FragmentsManager);
+  const caster = components.get(OBC.Raycasters).get(world);
+
+  // { modelId, pairs: [{ from, to }], marks } while picking alignment points, else null.
+  // `from` is in the moving model's coordinates, `to` in world coordinates.
+  let align = null;
+
+  const notify = () => onChange?.();
+
+  /**
+   * Move a model to a placement
+   * @param {string} modelId
+   * @param {typeof DEFAULT_PLACEMENT} placement
+   * @returns {Promise<THREE.Matrix4|null>} World transform from the previous placement to the new one
+   */
+  const apply = async (modelId, placement) => {
+    const model = fragments.list.get(modelId);
+    if (!model) return null;
+    const previous = model.object.matrixWorld.clone();
+    const { x, y, z, rotation, scale } = { ...DEFAULT_PLACEMENT, ...placement };
+    model.object.position.set(x, z, -y);
+    model.object.rotation.set(0, THREE.MathUtils.degToRad(rotation), 0);
+    model.object.scale.setScalar(scale);
+    model.object.updateMatrixWorld(true);
+    await fragments.core.update(true);
+    return model.object.matrixWorld.clone().multiply(previous.invert());
+  };
+
+  const addMark = (label, className, position, parent) => {
+    const element = document.createElement("div");
+    element.className = `align-point ${className}`;
+    element.textContent = label;
+    const mark = new OBCF.Mark(world, element, parent);
+    mark.three.position.copy(position);
+    align.marks.push(mark);
+  };
+
+  const disposeMarks = () => {
+    for (const mark of align?.marks ?? []) mark.dispose();
+  };
+
+  /**
+   * Start picking point pairs for a model
+   */
+  const startAlign = (modelId) => {
+    cancelAlign({ silent: true });
+    align = { modelId, pairs: [], marks: [] };
+    notify();
+  };
+
+  const cancelAlign = ({ silent = false } = {}) => {
+    disposeMarks();
+    align = null;
+    if (!silent) notify();
+  };
+
+  /**
+   * Handle a viewport click while alignment is armed.
+   * Returns true if the click was consumed by the tool.
+   */
+  const handleClick = async () => {
+    if (!align) return false;
+    const hit = await caster.castRay();
+    if (!hit?.fragments) return true;
+
+    const model = fragments.list.get(align.modelId);
+    const last = align.pairs[align.pairs.length - 1];
+    const number = align.pairs.length + (last && !last.to ? 0 : 1);
+
+    if (!last || last.to) {
+      // Source point: must be on the model being moved
+      if (hit.fragments.modelId !== align.modelId || align.pairs.length === ALIGN_PAIR_COUNT) return true;
+      const from = model.object.worldToLocal(hit.point.clone());
+      align.pairs.push({ from, to: null });
+      addMark(String(number), "source", from, model.object);
+    } else {
+      // Target point: on any other model
+      if (hit.fragments.modelId === align.modelId) return true;
+      last.to = hit.point.clone();
+      addMark(`${number}′`, "target", last.to);
+    }
+    notify();
+    return true;
+  };
+
+  /**
+   * Drop the last picked point
+   */
+  const undoAlignPoint = () => {
+    const last = align?.pairs[align.pairs.length - 1];
+    if (!last) return;
+    if (last.to) last.to = null;
+    else align.pairs.pop();
+    align.marks.pop().dispose();
+    notify();
+  };
+
+  /**
+   * Placement mapping the picked source points onto the target points.
+   * The horizontal part is a 2D similarity (rotation and scale as one complex
+   * factor k), the vertical part a shift once the scale is known.
+   * @param {{ scale?: boolean }} [options] - Solve for scale too, else keep 1
+   * @returns {{ placement: typeof DEFAULT_PLACEMENT, error: number }} RMS error in metres
+   */
+  const solveAlign = ({ scale: withScale = false } = {}) => {
+    const pairs = align?.pairs.filter((pair) => pair.to) ?? [];
+    if (pairs.length < ALIGN_PAIR_COUNT) throw new Error(`Pick ${ALIGN_PAIR_COUNT} point pairs first`);
+
+    const sources = pairs.map((pair) => toIfc(pair.from));
+    const targets = pairs.map((pair) => toIfc(pair.to));
+    const mean = (points) => ({
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+      z: points.reduce((sum, p) => sum + p.z, 0) / points.length,
+    });
+    const sourceCenter = mean(sources);
+    const targetCenter = mean(targets);
+
+    // k = Σ conj(a)·b / Σ |a|², with a and b the centred horizontal points
+    let re = 0;
+    let im = 0;
+    let norm = 0;
+    sources.forEach((source, i) => {
+      const ax = source.x - sourceCenter.x;
+      const ay = source.y - sourceCenter.y;
+      const bx = targets[i].x - targetCenter.x;
+      const by = targets[i].y - targetCenter.y;
+      re += ax * bx + ay * by;
+      im += ax * by - ay * bx;
+      norm += ax * ax + ay * ay;
+    });
+    if (norm < 1e-6) throw new Error("The source points are too close together in plan");
+
+    const angle = Math.atan2(im, re);
+    const scale = withScale ? Math.hypot(re, im) / norm : 1;
+    const cos = Math.cos(angle) * scale;
+    const sin = Math.sin(angle) * scale;
+    const transform = ({ x, y, z }) => ({ x: x * cos - y * sin, y: x * sin + y * cos, z: z * scale });
+
+    const centerMoved = transform(sourceCenter);
+    const placement = {
+      x: targetCenter.x - centerMoved.x,
+      y: targetCenter.y - centerMoved.y,
+      z: targetCenter.z - centerMoved.z,
+      rotation: THREE.MathUtils.radToDeg(angle),
+      scale,
+    };
+
+    const squared = sources.reduce((sum, source, i) => {
+      const moved = transform(source);
+      return sum
+        + (moved.x + placement.x - targets[i].x) ** 2
+        + (moved.y + placement.y - targets[i].y) ** 2
+        + (moved.z + placement.z - targets[i].z) ** 2;
+    }, 0);
+
+    return { placement, error: Math.sqrt(squared / sources.length) };
+  };
+
+  return {
+    get align() {
+      if (!align) return null;
+      return {
+        modelId: align.modelId,
+        pairCount: align.pairs.filter((pair) => pair.to).length,
+        // 'source' or 'target': what the next click picks, null when done
+        next: align.pairs.length === ALIGN_PAIR_COUNT && align.pairs[ALIGN_PAIR_COUNT - 1].to
+          ? null
+          : align.pairs.length === 0 || align.pairs[align.pairs.length - 1].to ? "source" : "target",
+        pointCount: align.marks.length,
+      };
+    },
+    apply,
+    startAlign,
+    cancelAlign,
+    handleClick,
+    undoAlignPoint,
+    solveAlign,
+  };
+}
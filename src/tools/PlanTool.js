@@ -0,0 +1,230 @@
+/**
+ * Plan Tool
+ * Storey floor plans: lists the storeys the classifier found, and opening
+ * one switches to an orthographic top-down camera, cuts the model at a set
+ * height above the storey elevation and hides the storeys above it.
+ */
+import * as OBC from "@thatopen/components";
+import * as THREE from "three";
+
+// Classification filled by classifier.byIfcBuildingStorey()
+const STOREY_CLASSIFICATION = "Storeys";
+
+// Cut height above the storey elevation, in meters (a usual plan cut)
+const DEFAULT_CUT_HEIGHT = 1.2;
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world - Its camera must be an OBC.OrthoPerspectiveCamera
+ * @param {{ onChange?: () => void }} [options] - Called when the plan list or the open plan change
+ */
+export function setupPlanTool(components, world, { onChange } = {}) {
+  const fragments = components.get(OBC.FragmentsManager);
+  const classifier = components.get(OBC.Classifier);
+  const hider = components.get(OBC.Hider);
+
+  // Keeps what is below the cut: three.js keeps the side the normal points to
+  const cutPlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+
+  let plans = []; // [{ id, modelId, name, elevation }] sorted by model, then elevation
+  let cutHeight = DEFAULT_CUT_HEIGHT;
+  // hiddenItems: the items the plan hid, so closing it leaves items hidden before untouched
+  let active = null; // { plan, hiddenItems, camera: { position, target } }
+
+  const notify = () => onChange?.();
+
+  /**
+   * Storey elevations of a model, keyed by storey name.
+   * Same convention as OBC.Views: IFC elevation shifted by the model's coordinates,
+   * then moved with the model's placement.
+   */
+  const getStoreyElevations = async (model) => {
+    const storeyIds = Object.values(await model.getItemsOfCategories([/BUILDINGSTOREY/])).flat();
+    if (storeyIds.length === 0) return new Map();
+
+    const storeys = await model.getItemsData(storeyIds);
+    const [, coordHeight] = await model.getCoordinates();
+    const elevations = new Map();
+    for (const storey of storeys) {
+      const name = storey.Name?.value;
+      const elevation = storey.Elevation?.value;
+      if (name === undefined || typeof elevation !== "number") continue;
+      const point = new THREE.Vector3(0, elevation + coordHeight, 0).applyMatrix4(model.object.matrixWorld);
+      elevations.set(name, point.y);
+    }
+    return elevations;
+  };
+
+  /**
+   * Rebuild the plan list from the storey classification.
+   * Call after models are classified or removed.
+   */
+  const refresh = async () => {
+    const groups = classifier.list.get(STOREY_CLASSIFICATION);
+    const next = [];
+
+    for (const [modelId, model] of fragments.list) {
+      const names = Array.from(groups ?? [])
+        .filter(([, group]) => group.map[modelId]?.size > 0)
+        .map(([name]) => name);
+      if (names.length === 0) continue;
+
+      const elevations = await getStoreyElevations(model);
+      for (const name of names) {
+        next.push({
+          id: `${modelId}:${name}`,
+          modelId,
+          name,
+          elevation: elevations.get(name) ?? null,
+        });
+      }
+    }
+
+    const byModel = (a, b) => a.modelId.localeCompare(b.modelId);
+    plans = next.sort((a, b) => byModel(a, b) || (a.elevation ?? 0) - (b.elevation ?? 0));
+
+    if (active && !plans.some((plan) => plan.id === active.plan.id)) {
+      await close();
+    }
+    notify();
+  };
+
+  const updateCut = () => {
+    if (!active) return;
+    cutPlane.constant = active.plan.elevation + cutHeight;
+  };
+
+  /**
+   * Items of the storeys above `plan` in the same model
+   */
+  const getItemsAbove = async (plan) => {
+    const groups = classifier.list.get(STOREY_CLASSIFICATION);
+    const items = {};
+    for (const other of plans) {
+      if (other.modelId !== plan.modelId || other.elevation === null) continue;
+      if (other.elevation <= plan.elevation) continue;
+      const localIds = groups?.get(other.name)?.map[plan.modelId];
+      if (!localIds) continue;
+      items[plan.modelId] ??= new Set();
+      for (const localId of localIds) items[plan.modelId].add(localId);
+    }
+    return items;
+  };
+
+  /**
+   * The items of a ModelIdMap that are currently visible
+   */
+  const getVisibleItems = async (items) => {
+    const result = {};
+    for (const [modelId, localIds] of Object.entries(items)) {
+      const model = fragments.list.get(modelId);
+      if (!model) continue;
+      const ids = Array.from(localIds);
+      const visible = await model.getVisible(ids);
+      const visibleIds = ids.filter((_, i) => visible[i]);
+      if (visibleIds.length > 0) result[modelId] = new Set(visibleIds);
+    }
+    return result;
+  };
+
+  /**
+   * Switch to the floor plan of one storey
+   */
+  const open = async (id) => {
+    const plan = plans.find((candidate) => candidate.id === id);
+    if (!plan || plan.elevation === null) return;
+
+    if (active) await restoreItems();
+
+    const controls = world.camera.controls;
+    if (!active) {
+      active = {
+        camera: {
+          position: controls.getPosition(new THREE.Vector3()),
+          target: controls.getTarget(new THREE.Vector3()),
+        },
+      };
+    }
+    active.plan = plan;
+    active.hiddenItems = await getVisibleItems(await getItemsAbove(plan));
+
+    updateCut();
+    world.renderer.setPlane(true, cutPlane);
+    if (Object.keys(active.hiddenItems).length > 0) {
+      await hider.set(false, active.hiddenItems);
+    }
+
+    // Top-down over the model footprint
+    const model = fragments.list.get(plan.modelId);
+    const box = model.box.clone();
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const height = plan.elevation + cutHeight + Math.max(size.x, size.z);
+
+    await world.camera.projection.set("Orthographic");
+    world.camera.set("Plan");
+    await controls.setLookAt(center.x, height, center.z, center.x, plan.elevation, center.z, false);
+    await controls.fitToBox(box, false);
+
+    notify();
+  };
+
+  const restoreItems = async () => {
+    // Skip models removed while the plan was open
+    const items = Object.fromEntries(
+      Object.entries(active?.hiddenItems ?? {}).filter(([modelId]) => fragments.list.has(modelId))
+    );
+    if (Object.keys(items).length > 0) {
+      await hider.set(true, items);
+    }
+  };
+
+  /**
+   * Leave plan mode and go back to the 3D camera used before
+   * @param {{ restoreCamera?: boolean }} [options]
+   */
+  const close = async ({ restoreCamera = true } = {}) => {
+    if (!active) return;
+    const { camera } = active;
+
+    await restoreItems();
+    world.renderer.setPlane(false, cutPlane);
+    active = null;
+
+    world.camera.set("Orbit");
+    await world.camera.projection.set("Perspective");
+    if (restoreCamera) {
+      const { position, target } = camera;
+      await world.camera.controls.setLookAt(
+        position.x, position.y, position.z,
+        target.x, target.y, target.z,
+        false
+      );
+    }
+    notify();
+  };
+
+  /**
+   * @param {number} height - Cut height above the storey elevation, in meters
+   */
+  const setCutHeight = (height) => {
+    if (!Number.isFinite(height)) return;
+    cutHeight = height;
+    updateCut();
+    notify();
+  };
+
+  return {
+    get activeId() {
+      return active?.plan.id ?? null;
+    },
+    get cutHeight() {
+      return cutHeight;
+    },
+    list: () => plans,
+    refresh,
+    open,
+    close,
+    setCutHeight,
+  };
+}
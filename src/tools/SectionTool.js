@@ -0,0 +1,200 @@
+/**
+ * Section Tool
+ * Section planes picked on model faces and an axis-aligned section box,
+ * both built on the OBC Clipper so planes stay draggable.
+ */
+import * as OBC from "@thatopen/components";
+import * as THREE from "three";
+
+// SimplePlane.type used to tell section box planes from free planes
+const BOX_PLANE_TYPE = "section-box";
+
+// Inward normals: three.js keeps the side a clipping plane's normal points to
+const BOX_FACES = [
+  { title: "Box -X", normal: new THREE.Vector3(1, 0, 0), corner: "min" },
+  { title: "Box +X", normal: new THREE.Vector3(-1, 0, 0), corner: "max" },
+  { title: "Box -Y", normal: new THREE.Vector3(0, 1, 0), corner: "min" },
+  { title: "Box +Y", normal: new THREE.Vector3(0, -1, 0), corner: "max" },
+  { title: "Box -Z", normal: new THREE.Vector3(0, 0, 1), corner: "min" },
+  { title: "Box +Z", normal: new THREE.Vector3(0, 0, -1), corner: "max" },
+];
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world
+ * @param {{ onChange?: () => void }} [options] - Called whenever planes change
+ */
+export function setupSectionTool(components, world, { onChange } = {}) {
+  const clipper = components.get(OBC.Clipper);
+  clipper.setup({ color: new THREE.Color(0x60a5fa), opacity: 0.15 });
+  clipper.enabled = true;
+
+  let placing = false;
+  let planeCount = 0;
+
+  const notify = () => onChange?.();
+  clipper.list.onItemSet.add(notify);
+  clipper.list.onItemUpdated.add(notify);
+  clipper.list.onItemDeleted.add(notify);
+
+  /**
+   * Arm the tool: the next click on a face creates a plane there
+   */
+  const startPlacement = () => {
+    placing = true;
+    notify();
+  };
+
+  const cancelPlacement = () => {
+    placing = false;
+    notify();
+  };
+
+  /**
+   * Handle a viewport click while placement is armed.
+   * Returns true if the click was consumed by the tool.
+   */
+  const handleClick = async () => {
+    if (!placing) return false;
+    placing = false;
+
+    const plane = await clipper.create(world);
+    if (plane) {
+      plane.title = `Plane ${++planeCount}`;
+    }
+    notify();
+    return true;
+  };
+
+  /**
+   * Replace the current section box with one around `box`
+   * @param {THREE.Box3} box
+   * @param {number} [padding] - Margin added on every side, in model units
+   */
+  const createBox = (box, padding = 0.5) => {
+    removeBox();
+    const padded = box.clone().expandByScalar(padding);
+
+    for (const face of BOX_FACES) {
+      const point = padded[face.corner].clone();
+      const id = clipper.createFromNormalAndCoplanarPoint(world, face.normal.clone(), point);
+      const plane = clipper.list.get(id);
+      plane.type = BOX_PLANE_TYPE;
+      plane.title = face.title;
+    }
+    notify();
+  };
+
+  const removeBox = () => {
+    clipper.deleteAll(new Set([BOX_PLANE_TYPE]));
+  };
+
+  /**
+   * Turn a plane around so it keeps the other half of the model
+   */
+  const flip = (id) => {
+    const plane = clipper.list.get(id);
+    if (!plane) return;
+    const normal = plane.normal.clone().negate();
+    const point = plane.helper.position.clone();
+    plane.setFromNormalAndCoplanarPoint(normal, point);
+    notify();
+  };
+
+  /**
+   * Enable or disable clipping for one plane without deleting it
+   */
+  const toggle = (id) => {
+    const plane = clipper.list.get(id);
+    if (plane) plane.enabled = !plane.enabled;
+  };
+
+  const remove = (id) => {
+    clipper.list.delete(id);
+  };
+
+  /**
+   * Show or hide the plane gizmos (clipping stays active)
+   */
+  const setHelpersVisible = (visible) => {
+    clipper.visible = visible;
+    notify();
+  };
+
+  /**
+   * Remove every plane and the section box
+   */
+  const clear = () => {
+    placing = false;
+    clipper.deleteAll();
+    notify();
+  };
+
+  /**
+   * Serializable copy of every plane, for viewpoints
+   * @returns {Array<{ normal: number[], point: number[], title: string, enabled: boolean, isBox: boolean }>}
+   */
+  const getState = () =>
+    Array.from(clipper.list.values(), (plane) => ({
+      normal: plane.normal.toArray(),
+      point: plane.helper.position.toArray(),
+      title: plane.title,
+      enabled: plane.enabled,
+      isBox: plane.type === BOX_PLANE_TYPE,
+    }));
+
+  /**
+   * Replace all planes with the ones from getState()
+   */
+  const setState = (planes) => {
+    placing = false;
+    clipper.deleteAll();
+    for (const state of planes) {
+      const id = clipper.createFromNormalAndCoplanarPoint(
+        world,
+        new THREE.Vector3().fromArray(state.normal),
+        new THREE.Vector3().fromArray(state.point)
+      );
+      const plane = clipper.list.get(id);
+      if (state.isBox) plane.type = BOX_PLANE_TYPE;
+      plane.title = state.title ?? `Plane ${++planeCount}`;
+      plane.enabled = state.enabled ?? true;
+    }
+    notify();
+  };
+
+  /**
+   * Current planes for the UI
+   * @returns {Array<{ id: string, title: string, enabled: boolean, isBox: boolean }>}
+   */
+  const list = () =>
+    Array.from(clipper.list, ([id, plane]) => ({
+      id,
+      title: plane.title,
+      enabled: plane.enabled,
+      isBox: plane.type === BOX_PLANE_TYPE,
+    }));
+
+  return {
+    clipper,
+    get isPlacing() {
+      return placing;
+    },
+    get helpersVisible() {
+      return clipper.visible;
+    },
+    startPlacement,
+    cancelPlacement,
+    handleClick,
+    createBox,
+    removeBox,
+    flip,
+    toggle,
+    remove,
+    setHelpersVisible,
+    clear,
+    getState,
+    setState,
+    list,
+  };
+}
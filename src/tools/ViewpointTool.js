@@ -0,0 +1,137 @@
+/**
+ * Viewpoint Tool
+ * Captures and restores the view state: camera, hidden elements, selection
+ * and section planes. Elements are stored by IFC GUID rather than fragment
+ * local id, so a state still applies after the models are reloaded.
+ *
+ * Visibility follows the BCF convention: a default (visible or hidden) and
+ * the GUIDs that are the exception, whichever list is shorter.
+ */
+import * as OBC from "@thatopen/components";
+import * as OBCF from "@thatopen/components-front";
+import * as THREE from "three";
+
+const THUMBNAIL_WIDTH = 160;
+
+/**
+ * @typedef {object} ViewState
+ * @property {{ position: number[], target: number[] }} camera
+ * @property {string[]} selection - Selected GUIDs
+ * @property {{ defaultVisible: boolean, exceptions: string[] }} visibility
+ * @property {Array<object>} planes - From sectionTool.getState()
+ */
+
+/**
+ * @param {OBC.Components} components
+ * @param {OBC.World} world
+ * @param {{ sectionTool: ReturnType<import("./SectionTool.js").setupSectionTool> }} options
+ */
+export function setupViewpointTool(components, world, { sectionTool }) {
+  const fragments = components.get(OBC.FragmentsManager);
+  const highlighter = components.get(OBCF.Highlighter);
+
+  const toGuids = async (model, localIds) =>
+    (await model.getGuidsByLocalIds(localIds)).filter(Boolean);
+
+  /**
+   * Local ids of the given GUIDs, per loaded model (GUIDs not found are skipped)
+   * @param {string[]} guids
+   * @returns {Promise<Record<string, Set<number>>>} ModelIdMap
+   */
+  const resolveGuids = async (guids) => {
+    const map = {};
+    if (guids.length === 0) return map;
+    for (const [modelId, model] of fragments.list) {
+      const localIds = (await model.getLocalIdsByGuids(guids)).filter((id) => id !== null);
+      if (localIds.length > 0) map[modelId] = new Set(localIds);
+    }
+    return map;
+  };
+
+  /**
+   * @returns {Promise<ViewState>}
+   */
+  const captureState = async () => {
+    const controls = world.camera.controls;
+
+    const selection = [];
+    for (const [modelId, localIds] of Object.entries(highlighter.selection.select ?? {})) {
+      const model = fragments.list.get(modelId);
+      if (model) selection.push(...await toGuids(model, Array.from(localIds)));
+    }
+
+    const hidden = [];
+    const visible = [];
+    for (const [, model] of fragments.list) {
+      hidden.push(...await toGuids(model, await model.getItemsByVisibility(false)));
+      visible.push(...await toGuids(model, await model.getItemsByVisibility(true)));
+    }
+    const defaultVisible = hidden.length <= visible.length;
+
+    return {
+      camera: {
+        position: controls.getPosition(new THREE.Vector3()).toArray(),
+        target: controls.getTarget(new THREE.Vector3()).toArray(),
+      },
+      selection,
+      visibility: { defaultVisible, exceptions: defaultVisible ? hidden : visible },
+      planes: sectionTool.getState(),
+    };
+  };
+
+  /**
+   * Restore a captured state
+   * @param {ViewState} state
+   * @param {{ animate?: boolean }} [options]
+   */
+  const applyState = async (state, { animate = true } = {}) => {
+    const { defaultVisible, exceptions } = state.visibility;
+    const exceptionMap = await resolveGuids(exceptions);
+    for (const [modelId, model] of fragments.list) {
+      await model.setVisible(undefined, defaultVisible);
+      const ids = exceptionMap[modelId];
+      if (ids) await model.setVisible(Array.from(ids), !defaultVisible);
+    }
+
+    sectionTool.setState(state.planes ?? []);
+
+    const selection = await resolveGuids(state.selection);
+    if (Object.keys(selection).length > 0) {
+      await highlighter.highlightByID("select", selection, true, false);
+    } else {
+      await highlighter.clear("select");
+    }
+
+    const [px, py, pz] = state.camera.position;
+    const [tx, ty, tz] = state.camera.target;
+    await fragments.core.update(true);
+    await world.camera.controls.setLookAt(px, py, pz, tx, ty, tz, animate);
+  };
+
+  /**
+   * Small JPEG of the viewport, taken right after the next render
+   * (the WebGL drawing buffer is only readable until the frame is presented)
+   * @returns {Promise<string>} Data URL
+   */
+  const captureThumbnail = () => new Promise((resolve) => {
+    const renderer = world.renderer;
+    const onRendered = () => {
+      renderer.onAfterUpdate.remove(onRendered);
+      const source = renderer.three.domElement;
+      const thumbnail = document.createElement("canvas");
+      thumbnail.width = THUMBNAIL_WIDTH;
+      thumbnail.height = Math.round((THUMBNAIL_WIDTH * source.height) / source.width);
+      thumbnail.getContext("2d").drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+      resolve(thumbnail.toDataURL("image/jpeg", 0.8));
+    };
+    renderer.onAfterUpdate.add(onRendered);
+    renderer.needsUpdate = true;
+  });
+
+  return {
+    captureState,
+    applyState,
+    captureThumbnail,
+    resolveGuids,
+  };
+}
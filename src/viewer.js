@@ -1,6 +1,39 @@
 // src/viewer.js
 import { setupContextMenu } from "./components/ContextMenu.js";
+import { copyToClipboard, showToast } from "./components/Toast.js";
 import { setupNavbar } from "./components/Navbar.js";
+import {
+  getCachedEntry,
+  getCachedFragments,
+  hashBuffer,
+  listCachedModels,
+  putCachedModel,
+  removeCachedModel,
+  updateCachedEntry,
+} from "./services/FragmentCache.js";
+import { WEB_IFC_WASM_PATH } from "./config.js";
+import { api, isBackendUnavailable } from "./services/ApiClient.js";
+import { checkWasmAvailable, convertIFC } from "./services/IfcConverter.js";
+import { getLocalElementData } from "./services/LocalProperties.js";
+import { setupSectionTool } from "./tools/SectionTool.js";
+import { setupMeasurementTool } from "./tools/MeasurementTool.js";
+import { setupPlanTool } from "./tools/PlanTool.js";
+import { setupViewpointTool } from "./tools/ViewpointTool.js";
+import { setupBcfTool, BCF_VERSIONS } from "./tools/BcfTool.js";
+import { setupNoteTool } from "./tools/NoteTool.js";
+import { setupCaptureTool } from "./tools/CaptureTool.js";
+import { setupPlacementTool, DEFAULT_PLACEMENT, ALIGN_PAIR_COUNT, isDefaultPlacement } from "./tools/PlacementTool.js";
+import { setupClashTool, CLASH_TYPES } from "./tools/ClashTool.js";
+import { listViewpoints, putViewpoint, deleteViewpoint } from "./services/ViewpointStore.js";
+import { listClassificationGroups, combineGroups, countItems } from "./services/ClassificationGroups.js";
+import { buildLegend } from "./services/ColorByProperty.js";
+import { comparePsets, formatPropertyValue } from "./services/PropertyCompare.js";
+import { elementToCSV, elementToJSON, rowsToCSV } from "./services/PropertyExport.js";
+import { listSavedQueries, saveQuery, deleteSavedQuery } from "./services/SavedQueries.js";
+import { downloadBlob } from "./services/Download.js";
+import { DIFF_STATUSES, compareBounds, buildDiffItems, diffToCSV } from "./services/ModelDiff.js";
+import { CLASH_STATUSES, clashKey, readClashStatuses, writeClashStatuses, statusAfterRun } from "./services/ClashStore.js";
+import { TAKEOFF_LEVELS, DEFAULT_TAKEOFF_LEVELS, listQuantityNames, buildTakeoff, takeoffToCSV, takeoffToXLSX } from "./services/QuantityTakeoff.js";
 import "./styles/global.css";
 
 // Initialize Navbar
@@ -8,9 +41,9 @@ setupNavbar('viewer');
 
 import * as OBC from "@thatopen/components";
 import * as OBCF from "@thatopen/components-front";
-import * as FRAGS from "@thatopen/fragments";
 import * as BUI from "@thatopen/ui";
 import * as BUIC from "@thatopen/ui-obc";
+import * as FRAGS from "@thatopen/fragments";
 import Stats from "stats.js";
 import * as THREE from "three";
 import * as WEBIFC from "web-ifc";
@@ -18,7 +51,8 @@ import * as WEBIFC from "web-ifc";
 // ========================================
 // CONFIGURATION
 // ========================================
-const API_BASE_URL = "http://localhost:8000"; // Change this to your backend URL
+// Backend URL, timeouts and WASM path live in src/config.js
+console.log("🔌 Backend:", api.baseUrl);
 
 // ========================================
 // 1. Setup Container and Components
@@ -34,8 +68,10 @@ const world = worlds.create();
 world.scene = new OBC.SimpleScene(components);
 world.scene.setup();
 world.scene.three.background = new THREE.Color(0x2a2a2a);
-world.renderer = new OBC.SimpleRenderer(components, container);
-world.camera = new OBC.SimpleCamera(components);
+// RendererWith2D also renders the CSS2D labels of measurements
+world.renderer = new OBCF.RendererWith2D(components, container);
+// OrthoPerspectiveCamera so floor plans can switch to a top-down orthographic view
+world.camera = new OBC.OrthoPerspectiveCamera(components);
 world.camera.controls.setLookAt(50, 30, 50, 0, 0, 0);
 components.init();
 
@@ -55,66 +91,195 @@ highlighter.events.select.onHighlight.add(async (selection) => {
 
 highlighter.events.select.onClear.add(() => {
     console.log("🧹 Clear Event");
+    selectionController?.abort();
+    selectedItems = [];
+    activeItemIndex = 0;
+    compareData = null;
+    elementDataCache.clear();
     selectedElementData = null;
     updateProperties();
 });
 
+// Multi-selection state: every selected element, flattened across models
+let selectedItems = []; // [{ modelId, localId, name, category }]
+let activeItemIndex = 0;
+let propertiesView = 'details'; // 'details' or 'compare'
+let compareData = null; // { pending } while loading, then { psets, count, failed }
+let selectionController = null;
+
+// Compare fetches element data one request per element; keep it bounded
+const COMPARE_LIMIT = 100;
+const COMPARE_CONCURRENCY = 6;
+
+// Element data for the current selection, so switching items is instant
+const elementDataCache = new Map(); // `${modelId}:${localId}` -> element data
+const itemKey = (item) => `${item.modelId}:${item.localId}`;
+
+/**
+ * Fetch properties for one element from the backend, or from the fragments
+ * when the model is local only or the backend is unreachable
+ */
+async function fetchElementData(item, { signal } = {}) {
+  const key = itemKey(item);
+  if (elementDataCache.has(key)) return elementDataCache.get(key);
+
+  const model = fragments.list.get(item.modelId);
+  const modelInfo = loadedModels.get(item.modelId);
+  if (!model || !modelInfo) throw new Error("Model is no longer loaded");
+
+  const [localData] = await model.getItemsData([item.localId]);
+  const guid = localData?._guid?.value;
+  let data;
+
+  if (modelInfo.localOnly || !guid) {
+    // Degraded mode: read attributes and psets from the fragments
+    data = await getLocalElementData(model, item.localId);
+  } else {
+    try {
+      data = await api.getElementByGUID(modelInfo.backendModelId, guid, { signal });
+    } catch (error) {
+      if (isBackendModelGone(error)) {
+        markBackendModelGone(item.modelId);
+      } else if (isBackendUnavailable(error)) {
+        // Backend went away after the model loaded: fall back to local data
+        console.warn("⚠️ Backend unreachable, using local element data:", error);
+      } else {
+        throw error;
+      }
+      data = await getLocalElementData(model, item.localId);
+    }
+  }
+
+  data = { ...data, localData };
+  elementDataCache.set(key, data);
+  return data;
+}
+
+/**
+ * Flatten a highlighter selection into a list with names for the panel
+ */
+async function collectSelectionItems(selection) {
+  const items = [];
+  for (const [modelId, localIds] of Object.entries(selection)) {
+    const model = fragments.list.get(modelId);
+    if (!model || !loadedModels.has(modelId)) continue;
+
+    const ids = Array.from(localIds);
+    const itemsData = await model.getItemsData(ids);
+    ids.forEach((localId, i) => {
+      items.push({
+        modelId,
+        localId,
+        name: itemsData[i]?.Name?.value ?? null,
+        category: itemsData[i]?._category?.value ?? null,
+      });
+    });
+  }
+  return items;
+}
+
 async function updateSelectionUI(selection) {
+    selectionController?.abort();
+
     if (!selection || Object.keys(selection).length === 0) {
+        selectedItems = [];
         selectedElementData = null;
+        compareData = null;
         updateProperties();
         return;
     }
 
-    // For properties, just picking the first selected element for now
-    // In multi-select, a list would be better, but user just asked for "allow multiple selection"
-    const modelId = Object.keys(selection)[0];
-    const fragIds = selection[modelId];
-    if (!fragIds || fragIds.size === 0) return;
-    
-    const fragId = Array.from(fragIds)[0];
-    
-    // Get local element data for GUID
-    const model = fragments.list.get(modelId);
-    if (!model) return;
+    const controller = new AbortController();
+    selectionController = controller;
 
-    const [localData] = await model.getItemsData([fragId]);
-    
-    // Find backend model ID
-    const modelInfo = Array.from(loadedModels.entries())
-      .find(([frontendId]) => frontendId === modelId);
-    
-    if (modelInfo && localData._guid?.value) {
-      const backendModelId = modelInfo[1].backendModelId;
-      const guid = localData._guid.value;
-      
-      console.log("🎯 Selected element GUID:", guid);
-      
-      // Fetch detailed data from backend
-      isLoadingElement = true;
+    const activeItem = selectedItems[activeItemIndex];
+    const items = await collectSelectionItems(selection);
+    if (controller.signal.aborted) return;
+
+    // Drop cached data for elements that left the selection
+    const keys = new Set(items.map(itemKey));
+    for (const key of elementDataCache.keys()) {
+      if (!keys.has(key)) elementDataCache.delete(key);
+    }
+
+    // Keep showing the same element if it is still part of the selection
+    selectedItems = items;
+    const keptIndex = activeItem ? items.findIndex((item) => itemKey(item) === itemKey(activeItem)) : -1;
+    activeItemIndex = Math.max(keptIndex, 0);
+    compareData = null;
+
+    if (selectedItems.length === 0) {
+      selectedElementData = null;
       updateProperties();
-      
+      return;
+    }
+
+    await Promise.all([
+      showActiveItem(controller.signal),
+      propertiesView === 'compare' && selectedItems.length > 1 ? loadCompareData(controller.signal) : null,
+    ]);
+}
+
+/**
+ * Load properties for the element currently shown in the Data tab
+ */
+async function showActiveItem(signal = selectionController?.signal) {
+  const item = selectedItems[activeItemIndex];
+  if (!item) return;
+
+  isLoadingElement = !elementDataCache.has(itemKey(item));
+  updateProperties();
+
+  let data;
+  try {
+    data = await fetchElementData(item, { signal });
+    console.log("📋 Element data:", data);
+  } catch (error) {
+    // A newer selection superseded this one and will update the panel
+    if (error.name === "AbortError") return;
+    console.error("❌ Error fetching element from backend:", error);
+    data = { error: error.message };
+  }
+
+  // The user may have switched to another element meanwhile
+  if (selectedItems[activeItemIndex] !== item) return;
+  selectedElementData = data;
+  isLoadingElement = false;
+  updateProperties();
+}
+
+/**
+ * Fetch every selected element (up to COMPARE_LIMIT) and merge their psets
+ */
+async function loadCompareData(signal = selectionController?.signal) {
+  const items = selectedItems.slice(0, COMPARE_LIMIT);
+  compareData = { pending: true };
+  updateProperties();
+
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
       try {
-        const backendData = await getElementByGUID(backendModelId, guid);
-        console.log("📋 Backend element data:", backendData);
-        
-        selectedElementData = {
-          ...backendData,
-          localData: localData,
-          selectionCount: Object.values(selection).reduce((acc, set) => acc + set.size, 0)
-        };
-        
+        results[index] = await fetchElementData(items[index], { signal });
       } catch (error) {
-        console.error("❌ Error fetching element from backend:", error);
-        selectedElementData = { 
-          error: error.message,
-          localData: localData 
-        };
+        if (error.name === "AbortError") return;
+        console.warn("⚠️ Could not load element for compare:", error);
+        results[index] = null;
       }
-      
-      isLoadingElement = false;
-      updateProperties();
     }
+  };
+  await Promise.all(Array.from({ length: COMPARE_CONCURRENCY }, worker));
+  if (signal?.aborted) return;
+
+  const elements = results.filter((data) => data && !data.error);
+  compareData = {
+    psets: comparePsets(elements),
+    count: elements.length,
+    failed: items.length - elements.length,
+  };
+  updateProperties();
 }
 
 
@@ -129,8 +294,11 @@ const fragments = components.get(OBC.FragmentsManager);
 fragments.init(workerUrl);
 
 // Add camera reset function
-const resetCamera = () => {
+const resetCamera = async () => {
+  await planTool.close({ restoreCamera: false });
   world.camera.controls.setLookAt(50, 30, 50, 0, 0, 0);
+  sectionTool.clear();
+  measureTool.clear();
   console.log("📸 Camera reset to default position");
 };
 
@@ -145,6 +313,14 @@ world.onCameraChanged.add((camera) => {
   fragments.core.update(true);
 });
 
+// Switching projection swaps the three.js camera without a world camera change
+world.camera.projection.onChanged.add((camera) => {
+  for (const [, model] of fragments.list) {
+    model.useCamera(camera);
+  }
+  fragments.core.update(true);
+});
+
 fragments.list.onItemSet.add(({ value: model }) => {
   model.useCamera(world.camera.three);
   world.scene.three.add(model.object);
@@ -152,484 +328,3617 @@ fragments.list.onItemSet.add(({ value: model }) => {
 });
 
 // ========================================
-// 4. IFC Conversion Setup
-// ========================================
-const serializer = new FRAGS.IfcImporter();
-serializer.wasm = { 
-  absolute: true, 
-  path: "https://unpkg.com/web-ifc@0.0.72/" 
-};
-
-// Track loaded models with backend model_id
-const loadedModels = new Map(); // frontendId -> { backendModelId, name, timestamp, file }
-
-// ========================================
-// 5. API Functions
+// 3b. Section Planes & Section Box
 // ========================================
+const sectionTool = setupSectionTool(components, world, {
+  onChange: () => onToolChange()
+});
 
 /**
- * Upload IFC to backend and get model_id
+ * Bounding box of the current highlighter selection across models
  */
-async function uploadIFCToBackend(file) {
-  const formData = new FormData();
-  formData.append("file", file);
-  
-  const response = await fetch(`${API_BASE_URL}/upload-ifc`, {
-    method: "POST",
-    body: formData
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Backend error: ${response.statusText}`);
+async function getSelectionBox() {
+  const selection = highlighter.selection.select;
+  const box = new THREE.Box3();
+  for (const [modelId, localIds] of Object.entries(selection || {})) {
+    const model = fragments.list.get(modelId);
+    if (!model || localIds.size === 0) continue;
+    box.union(await model.getMergedBox(Array.from(localIds)));
   }
-  
-  return await response.json();
+  return box.isEmpty() ? null : box;
 }
 
-/**
- * Get element details from backend by GUID
- */
-async function getElementByGUID(backendModelId, guid) {
-  const response = await fetch(`${API_BASE_URL}/get-element-by-guid`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model_id: backendModelId,
-      guid: guid
-    })
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Backend error: ${response.statusText}`);
-  }
-  
-  return await response.json();
-}
+// ========================================
+// 3c. Measurements
+// ========================================
+const measureTool = setupMeasurementTool(components, world, {
+  onChange: () => onToolChange()
+});
 
 /**
- * Remove model from backend
+ * While a tool is waiting for clicks, clicks must not select elements
  */
-async function removeModelFromBackend(backendModelId) {
-  const response = await fetch(`${API_BASE_URL}/remove-model/${backendModelId}`, {
-    method: "DELETE"
-  });
+function onToolChange() {
+  highlighter.enabled = !sectionTool.isPlacing && !measureTool.mode && !placementTool.align;
+  updateExplorer();
+}
 
-  if (!response.ok) {
-    throw new Error(`Backend error: ${response.statusText}`);
-  }
+// Enter or double click closes an area polygon, Escape drops the measurement in progress
+window.addEventListener("keydown", (event) => {
+  if (!measureTool.mode || event.target.closest?.("input, textarea, bim-text-input")) return;
+  if (event.key === "Enter") measureTool.finish();
+  if (event.key === "Escape") measureTool.cancel();
+});
+container.addEventListener("dblclick", () => measureTool.finish());
 
-  return await response.json();
-}
+// Escape leaves alignment picking
+window.addEventListener("keydown", (event) => {
+  if (event.key !== "Escape" || !placementTool.align) return;
+  if (event.target.closest?.("input, textarea, bim-text-input")) return;
+  placementTool.cancelAlign();
+});
 
 // ========================================
-// 6. Load Local IFC File
+// 3d. Floor Plans
 // ========================================
-const loadLocalIFC = async (file) => {
-  try {
-    // Step 1: Upload to backend
-    console.log("📤 Uploading IFC to backend...");
-    const backendResponse = await uploadIFCToBackend(file);
-    console.log("✅ Backend uploaded:", backendResponse);
-    
-    // Step 2: Convert IFC to Fragments for 3D viewer
-    console.log("🔄 Converting IFC to Fragments...");
-    const buffer = await file.arrayBuffer();
-    const ifcBytes = new Uint8Array(buffer);
-    
-    const fragmentBytes = await serializer.process({
-      bytes: ifcBytes,
-      progressCallback: (progress) => {
-        console.log(`Progress: ${(progress * 100).toFixed(1)}%`);
-      },
-    });
-    
-    // Step 3: Load fragments into scene
-    const frontendModelId = `${file.name.split(".")[0]}_${Date.now()}`;
-    const model = await fragments.core.load(fragmentBytes, {
-      modelId: frontendModelId
-    });
-
-    // Step 4: Store both IDs
-    loadedModels.set(frontendModelId, {
-      backendModelId: backendResponse.model_id,
-      name: file.name,
-      timestamp: new Date().toLocaleString(),
-      file: file,
-      projectName: backendResponse.project_name,
-      totalElements: backendResponse.total_elements
-    });
+const planTool = setupPlanTool(components, world, {
+  onChange: () => updateExplorer()
+});
 
-    // Step 5: Classify Model
-    console.log("📂 Classifying model:", frontendModelId);
-    if (classifier && WEBIFC) {
-      // v3 API: passing modelId regex to ensure we only classify what we just loaded
-      // byModel() without args classifies all, which is also fine, but let's be specific for clarity if needed.
-      // Actually, passing correct config format:
-      await classifier.byModel({ modelIds: [new RegExp(frontendModelId)] });
-      await classifier.byCategory({ modelIds: [new RegExp(frontendModelId)] });
-      await classifier.byIfcBuildingStorey({ modelIds: [new RegExp(frontendModelId)] });
-      
-      console.log("✅ Classification complete.");
-      console.log("📂 Classifier List:", classifier.list);
-      // Check if it's a Map or Object
-      if (classifier.list instanceof Map) {
-         console.log("📂 Classifier List Keys (Map):", Array.from(classifier.list.keys()));
-      } else {
-         console.log("📂 Classifier List Keys (Object):", Object.keys(classifier.list));
-      }
-    } else {
-        console.warn("⚠️ Classifier or WEBIFC not available. Skipping classification.");
-    }
+// ========================================
+// 3e. Saved Viewpoints
+// ========================================
+const viewpointTool = setupViewpointTool(components, world, { sectionTool });
 
-    console.log("✅ Model loaded successfully");
+// Viewpoints saved on any loaded model (keyed by model content hash)
+let viewpoints = [];
+let viewpointName = "";
 
-    return { model, frontendModelId };
-    
+async function refreshViewpoints() {
+  const hashes = Array.from(loadedModels.values(), (info) => info.cacheHash).filter(Boolean);
+  try {
+    viewpoints = hashes.length > 0 ? await listViewpoints(hashes) : [];
   } catch (error) {
-    console.error("❌ Error loading IFC:", error);
-    throw error;
+    console.warn("⚠️ Could not read saved viewpoints:", error);
   }
-};
+  updateExplorer();
+}
 
 // ========================================
-// 7. Setup Raycaster with Backend Integration
+// 3f. BCF Issues
 // ========================================
-const casters = components.get(OBC.Raycasters);
-const caster = casters.get(world);
+const bcfTool = setupBcfTool(components, world, {
+  viewpointTool,
+  onChange: () => updateExplorer()
+});
 
-let selectedElementData = null;
-let isLoadingElement = false;
+// Name or email recorded as the author of BCF topics, comments and notes
+const AUTHOR_KEY = "bim-viewer-author";
 
-// Initialize Hider & Classifier
-let hider, classifier;
-try {
-    hider = components.get(OBC.Hider);
-    classifier = components.get(OBC.Classifier);
-    if (!WEBIFC) throw new Error("WEBIFC module not loaded");
-} catch(e) {
-    console.warn("Failed to initialize Hider/Classifier or WEBIFC", e);
-}
+const newBcfDraft = () => ({ title: "", type: "Issue", status: "Active", priority: "", comment: "" });
 
-// Track mouse for drag detection
-let mouseDownPosition = { x: 0, y: 0 };
-let isMouseDown = false;
+let bcfDraft = newBcfDraft();
+let authorName = localStorage.getItem(AUTHOR_KEY) ?? "";
+let bcfVersion = "3";
+let bcfExpandedTopic = null;
+let bcfCommentDraft = "";
 
-container.addEventListener("mousedown", (event) => {
-  isMouseDown = true;
-  mouseDownPosition = { x: event.clientX, y: event.clientY };
+// ========================================
+// 3g. Notes
+// ========================================
+// Notes are stored by the backend per model (/notes), so local-only models have none
+const noteTool = setupNoteTool(components, world, {
+  onOpen: (modelId, noteId) => openNote(modelId, noteId),
+  onChange: () => updateExplorer()
 });
 
-container.addEventListener("mousemove", (event) => {
-  if (isMouseDown) {
-    const deltaX = Math.abs(event.clientX - mouseDownPosition.x);
-    const deltaY = Math.abs(event.clientY - mouseDownPosition.y);
-    
-    if (deltaX > 5 || deltaY > 5) {
-      isMouseDown = false;
-    }
+// Element hit by the last right click: { modelId, localId, point } or null
+let noteAnchor = null;
+// Note shown in the note card: { modelId, note, draft, editing, title, text, saving } or null.
+// New notes have no `note` yet, only the `draft` anchor ({ guid, point }).
+let noteCard = null;
+
+async function refreshNotes(frontendModelId) {
+  const info = loadedModels.get(frontendModelId);
+  if (!info || info.localOnly) return;
+  try {
+    const notes = await api.listNotes(info.backendModelId);
+    // The model may have been removed while loading
+    if (loadedModels.has(frontendModelId)) noteTool.setNotes(frontendModelId, notes);
+  } catch (error) {
+    console.warn("⚠️ Could not load notes:", error);
   }
-});
+}
+
+function openNote(modelId, noteId) {
+  const note = noteTool.get(modelId, noteId);
+  if (!note) return;
+  noteTool.setActive(noteId);
+  noteCard = { modelId, note, draft: null, editing: false, title: note.title, text: note.text, saving: false };
+  updateNoteCard();
+}
+
+function closeNoteCard() {
+  noteCard = null;
+  noteTool.setActive(null);
+  updateNoteCard();
+}
 
 /**
- * Handle selection logic (reusable for click and context menu)
- * Returns 'true' if an element was selected, 'false' if cleared/missed
+ * Open an empty note card pinned to the last right-clicked point
  */
-async function handleSelection(event) {
-  const result = await caster.castRay();
-  
-  if (!result) {
-    // If not holding Ctrl, click on empty space clears selection
-    if (!event?.ctrlKey) {
-        highlighter.clear("select");
-    }
-    return false;
+async function startNote() {
+  if (!noteAnchor) return;
+  const { modelId, localId, point } = noteAnchor;
+  const info = loadedModels.get(modelId);
+  const model = fragments.list.get(modelId);
+  if (!info || !model) return;
+  if (info.localOnly) {
+    showToast("Notes are stored on the backend, which this model is not on", { type: "error" });
+    return;
   }
-  
-  const modelIdMap = { 
-    [result.fragments.modelId]: new Set([result.localId]) 
+
+  const [guid] = await model.getGuidsByLocalIds([localId]);
+  if (!guid) {
+    showToast("This element has no GUID to pin a note to", { type: "error" });
+    return;
+  }
+  noteTool.setActive(null);
+  noteCard = {
+    modelId,
+    note: null,
+    draft: { guid, point: noteTool.toModelPoint(modelId, point) },
+    editing: true,
+    title: "",
+    text: "",
+    saving: false,
   };
+  updateNoteCard();
+}
 
-  // Highlighter Logic:
-  // - If Ctrl is held, WE DO NOT REMOVE PREVIOUS (removePrevious = false).
-  // - If Ctrl is NOT held, WE REMOVE PREVIOUS (removePrevious = true).
-  // - zoomToSelection = false (for manual 3D click, usually purely visual)
-  const removePrevious = !event?.ctrlKey;
-  await highlighter.highlightByID("select", modelIdMap, removePrevious, false);
+async function saveNote() {
+  const { modelId, note, draft } = noteCard;
+  const title = noteCard.title.trim();
+  if (!title) {
+    showToast("Give the note a title", { type: "error" });
+    return;
+  }
+  const info = loadedModels.get(modelId);
+  if (!info || info.localOnly) return;
 
-  return true;
+  noteCard.saving = true;
+  updateNoteCard();
+  try {
+    if (authorName.trim()) localStorage.setItem(AUTHOR_KEY, authorName.trim());
+    const saved = note
+      ? await api.updateNote(info.backendModelId, note.id, { title, text: noteCard.text })
+      : await api.createNote(info.backendModelId, {
+        ...draft,
+        title,
+        text: noteCard.text,
+        author: authorName.trim() || null,
+      });
+    if (!loadedModels.has(modelId)) return;
+    noteTool.put(modelId, saved);
+    openNote(modelId, saved.id);
+  } catch (error) {
+    console.error("❌ Error saving note:", error);
+    showToast(`Failed to save note: ${error.message}`, { type: "error" });
+    if (noteCard) noteCard.saving = false;
+    updateNoteCard();
+  }
 }
 
-// Setup Context Menu
-const contextMenu = setupContextMenu(container, {
-  onIsolate: async () => {
-    const selection = highlighter.selection.select;
-    if (selection && Object.keys(selection).length > 0) {
-      hider.isolate(selection);
-      console.log("👁️ Element isolated");
-    }
-  },
-  onHide: async () => {
-    const selection = highlighter.selection.select;
-    if (selection && Object.keys(selection).length > 0) {
-       hider.set(false, selection);
-       console.log("🙈 Element hidden");
-       highlighter.clear("select"); // Clear selection after hiding
-    }
-  },
-  onShowAll: async () => {
-     hider.set(true);
-     console.log("👀 Showing all elements");
+async function deleteNote(modelId, noteId) {
+  const info = loadedModels.get(modelId);
+  if (!info || info.localOnly) return;
+  try {
+    await api.deleteNote(info.backendModelId, noteId);
+    noteTool.remove(modelId, noteId);
+    if (noteCard?.note?.id === noteId) closeNoteCard();
+  } catch (error) {
+    console.error("❌ Error deleting note:", error);
+    showToast(`Failed to delete note: ${error.message}`, { type: "error" });
   }
-});
+}
 
-container.addEventListener("mouseup", async (event) => {
-  if (!isMouseDown) return;
-  isMouseDown = false;
-  
-  if (event.button !== 0) return; // Only process left click here
-  
-  await handleSelection(event);
-});
+const [noteCardUI, updateNoteCard] = BUI.Component.create(() => {
+  if (!noteCard) return BUI.html`<div class="note-card hidden"></div>`;
+  const { modelId, note, editing, saving } = noteCard;
+  const number = note && noteTool.list().find((item) => item.id === note.id)?.number;
 
-container.addEventListener("contextmenu", async (event) => {
-    event.preventDefault();
-    
-    // Select element under cursor if not already selected (optional, but good UX)
-    // Actually, usually right click selects the item under it if not selected.
-    await handleSelection(event);
-    
-    // Show menu regardless
-    // But maybe check if we have a selection now?
-    const hasSelection = Object.keys(highlighter.selection.select || {}).length > 0;
-    
-    // We could conditionally show the menu, but showing it always with disabled actions is also a pattern.
-    // For now, just show it. Logic inside actions checks selection.
-    contextMenu.show(event.clientX, event.clientY);
-});
+  return BUI.html`
+    <div class="note-card">
+      <div class="note-card-header">
+        <span class="note-card-title">${note ? `📌 ${number}. ${note.title}` : '📌 New note'}</span>
+        <span class="note-card-close" title="Close" @click=${closeNoteCard}>✕</span>
+      </div>
+      ${editing ? BUI.html`
+        <div style="display: flex; flex-direction: column; gap: 4px;">
+          <input 
+            class="query-value"
+            type="text"
+            placeholder="Title"
+            .value=${noteCard.title}
+            @input=${(e) => { noteCard.title = e.target.value; }} />
+          <textarea 
+            class="query-value"
+            rows="4"
+            placeholder="Note"
+            .value=${noteCard.text}
+            @input=${(e) => { noteCard.text = e.target.value; }}></textarea>
+          ${!note ? BUI.html`
+            <input 
+              class="query-value"
+              type="text"
+              placeholder="Author (optional)"
+              .value=${authorName}
+              @input=${(e) => { authorName = e.target.value; }} />
+          ` : ''}
+          <div style="display: flex; gap: 4px;">
+            <bim-button label="Save" icon="solar:diskette-bold" ?disabled=${saving} @click=${saveNote}></bim-button>
+            <bim-button 
+              label="Cancel" 
+              @click=${() => note ? openNote(modelId, note.id) : closeNoteCard()}>
+            </bim-button>
+          </div>
+        </div>
+      ` : BUI.html`
+        ${note.text ? BUI.html`<div class="note-card-text">${note.text}</div>` : ''}
+        <div class="note-card-meta">
+          ${note.author || 'Anonymous'} • ${new Date(note.created_at).toLocaleString()}
+          ${note.updated_at !== note.created_at ? ' (edited)' : ''}
+        </div>
+        <div class="note-card-meta">
+          ${loadedModels.get(modelId)?.name ?? modelId} • <span class="copyable" title="Copy GUID" @click=${() => copyToClipboard(note.guid)}>${note.guid}</span>
+        </div>
+        <div style="display: flex; gap: 4px; margin-top: 8px;">
+          <bim-button 
+            label="Edit" 
+            icon="solar:pen-bold"
+            @click=${() => { noteCard.editing = true; updateNoteCard(); }}>
+          </bim-button>
+          <bim-button 
+            label="Delete" 
+            icon="solar:trash-bin-trash-bold"
+            @click=${() => deleteNote(modelId, note.id)}>
+          </bim-button>
+        </div>
+      `}
+    </div>
+  `;
+}, {});
 
 // ========================================
-// 8. UI Panels: Explorer (Left) & Properties (Right)
+// 3h. Capture
+// ========================================
+const captureTool = setupCaptureTool(world, { measureTool });
+
+// Sizes are either a multiple of the viewport or fixed pixels
+const CAPTURE_PRESETS = [
+  { id: "x1", label: "Viewport", scale: 1 },
+  { id: "x2", label: "Viewport ×2", scale: 2 },
+  { id: "x4", label: "Viewport ×4", scale: 4 },
+  { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+  { id: "1440p", label: "2560 × 1440", width: 2560, height: 1440 },
+  { id: "4k", label: "3840 × 2160", width: 3840, height: 2160 },
+];
+
+let captureSettings = { preset: "x2", transparent: false, overlays: true, titleBlock: true };
+let capturing = false;
+
+const captureSize = () => {
+  const preset = CAPTURE_PRESETS.find((p) => p.id === captureSettings.preset);
+  if (preset.width) return { width: preset.width, height: preset.height };
+  return {
+    width: Math.round(container.clientWidth * preset.scale),
+    height: Math.round(container.clientHeight * preset.scale),
+  };
+};
+
+/**
+ * Render the view with the current settings
+ * @returns {Promise<Blob>} PNG
+ */
+async function captureView() {
+  const names = Array.from(loadedModels.values(), (info) => info.name);
+  const titleBlock = captureSettings.titleBlock ? {
+    title: names.length > 0 ? names.join(", ") : "Untitled view",
+    subtitle: new Date().toLocaleString(),
+  } : null;
+  return captureTool.capture({
+    ...captureSize(),
+    transparent: captureSettings.transparent,
+    overlays: captureSettings.overlays,
+    titleBlock,
+  });
+}
+
+// ========================================
+// 3i. Model Placement
+// ========================================
+const placementTool = setupPlacementTool(components, world, {
+  onChange: () => onToolChange()
+});
+
+// Model whose placement editor is open in the Files tab
+let placementModelId = null;
+let alignWithScale = false;
+
+/**
+ * Move a model, take the measurements taken on it along, and store the
+ * placement with its metadata
+ */
+async function setModelPlacement(frontendModelId, placement) {
+  const info = loadedModels.get(frontendModelId);
+  if (!info) return;
+  info.placement = { ...DEFAULT_PLACEMENT, ...placement };
+  const matrix = await placementTool.apply(frontendModelId, info.placement);
+  if (matrix) measureTool.moveForModel(frontendModelId, matrix);
+  storePlacement(info);
+  // Storey elevations follow the model
+  await planTool.refresh();
+  updateExplorer();
+}
+
+/**
+ * Keep a model's placement with its cache entry and its backend model, so
+ * it opens in place next time, here or for anyone uploading the same IFC
+ */
+function storePlacement(info) {
+  if (info.cacheHash) {
+    updateCachedEntry(info.cacheHash, { placement: info.placement })
+      .catch((error) => console.warn("⚠️ Could not update fragment cache:", error));
+  }
+  if (!info.localOnly) {
+    api.setPlacement(info.backendModelId, info.placement)
+      .catch((error) => console.warn("⚠️ Could not store placement on the backend:", error));
+  }
+}
+
+/**
+ * Once a model is linked to a backend model, keep the placement it was
+ * given here, or take the one stored on the backend
+ */
+async function linkPlacement(frontendModelId, backendPlacement) {
+  const info = loadedModels.get(frontendModelId);
+  if (!isDefaultPlacement(info.placement)) {
+    storePlacement(info);
+  } else if (!isDefaultPlacement(backendPlacement)) {
+    await setModelPlacement(frontendModelId, backendPlacement);
+  }
+}
+
+async function applyAlignment() {
+  const { modelId } = placementTool.align;
+  try {
+    const { placement, error } = placementTool.solveAlign({ scale: alignWithScale });
+    placementTool.cancelAlign();
+    await setModelPlacement(modelId, placement);
+    showToast(`Aligned ${loadedModels.get(modelId)?.name} (RMS error ${error.toFixed(3)} m)`);
+  } catch (error) {
+    showToast(`Failed to align: ${error.message}`, { type: "error" });
+  }
+}
+
+// ========================================
+// 4. IFC Conversion Setup
+// ========================================
+// Conversion runs in a dedicated worker (see services/IfcConverter.js)
+const ifcWasm = { 
+  absolute: true, 
+  path: WEB_IFC_WASM_PATH 
+};
+
+// Labels for the load progress bar, keyed by load stage / importer process
+const LOAD_STAGE_LABELS = {
+  reading: "Reading file",
+  uploading: "Uploading to backend",
+  geometries: "Converting geometries",
+  attributes: "Converting attributes",
+  relations: "Converting relations",
+  conversion: "Writing fragments",
+  loading: "Loading fragments",
+  classifying: "Classifying",
+};
+
+// Active load: { fileName, stage, progress } or null when idle
+let loadProgress = null;
+// Last download or cache load failure shown in the Load Models section
+let loadError = null;
+let loadAbortController = null;
+
+const setLoadProgress = (changes) => {
+  const next = changes && { ...loadProgress, ...changes };
+  // Progress callbacks fire per entity; only re-render on visible changes
+  if (
+    next && loadProgress &&
+    next.stage === loadProgress.stage &&
+    Math.floor(next.progress * 100) === Math.floor(loadProgress.progress * 100)
+  ) {
+    loadProgress = next;
+    return;
+  }
+  loadProgress = next;
+  updateExplorer();
+};
+
+// Track loaded models with backend model_id
+const loadedModels = new Map(); // frontendId -> { backendModelId, name, timestamp, file }
+
+// ========================================
+// 6. Load Local IFC File
+// ========================================
+
+/**
+ * Look up converted fragments in the IndexedDB cache.
+ * Cache failures (quota, private mode) never block a load.
+ */
+async function readFragmentCache(hash) {
+  try {
+    const entry = await getCachedEntry(hash);
+    if (!entry) return null;
+    return await getCachedFragments(hash);
+  } catch (error) {
+    console.warn("⚠️ Fragment cache unavailable:", error);
+    return null;
+  }
+}
+
+/**
+ * Load fragment bytes into the scene, register the model and classify it.
+ * Without a backendResponse the model is registered as local only.
+ */
+async function loadFragments(fragmentBytes, { name, file = null, backendResponse, cacheHash = null, onStage }) {
+  // Step 1: Load fragments into scene
+  onStage?.("loading");
+  const frontendModelId = `${name.split(".")[0]}_${Date.now()}`;
+  const model = await fragments.core.load(fragmentBytes, {
+    modelId: frontendModelId
+  });
+
+  // Step 2: Store both IDs
+  loadedModels.set(frontendModelId, {
+    backendModelId: backendResponse?.model_id ?? null,
+    localOnly: !backendResponse,
+    name: name,
+    timestamp: new Date().toLocaleString(),
+    file: file,
+    cacheHash: cacheHash,
+    projectName: backendResponse?.project_name ?? null,
+    totalElements: backendResponse?.total_elements ?? null,
+    placement: { ...DEFAULT_PLACEMENT }
+  });
+  if (!backendResponse) scheduleBackendSync();
+
+  // Restore the placement stored with the cached model, or on the backend
+  const cachedPlacement = cacheHash && (await getCachedEntry(cacheHash).catch(() => null))?.placement;
+  const storedPlacement = cachedPlacement ?? backendResponse?.placement;
+  if (!isDefaultPlacement(storedPlacement)) {
+    loadedModels.get(frontendModelId).placement = { ...DEFAULT_PLACEMENT, ...storedPlacement };
+    await placementTool.apply(frontendModelId, storedPlacement);
+  }
+
+  // Step 3: Classify Model
+  onStage?.("classifying");
+  console.log("📂 Classifying model:", frontendModelId);
+  if (classifier && WEBIFC) {
+    // v3 API: passing modelId regex to ensure we only classify what we just loaded
+    // byModel() without args classifies all, which is also fine, but let's be specific for clarity if needed.
+    // Actually, passing correct config format:
+    await classifier.byModel({ modelIds: [new RegExp(frontendModelId)] });
+    await classifier.byCategory({ modelIds: [new RegExp(frontendModelId)] });
+    await classifier.byIfcBuildingStorey({ modelIds: [new RegExp(frontendModelId)] });
+    await planTool.refresh();
+    await refreshClassificationGroups();
+    refreshPropertyKeys();
+    refreshViewpoints();
+    refreshNotes(frontendModelId);
+    
+    console.log("✅ Classification complete.");
+    console.log("📂 Classifier List:", classifier.list);
+    // Check if it's a Map or Object
+    if (classifier.list instanceof Map) {
+       console.log("📂 Classifier List Keys (Map):", Array.from(classifier.list.keys()));
+    } else {
+       console.log("📂 Classifier List Keys (Object):", Object.keys(classifier.list));
+    }
+  } else {
+      console.warn("⚠️ Classifier or WEBIFC not available. Skipping classification.");
+  }
+
+  console.log("✅ Model loaded successfully");
+
+  return { model, frontendModelId };
+}
+
+/**
+ * Convert and load an IFC file, uploading it to the backend unless it came
+ * from there (backendModel: the backend's entry for it)
+ */
+const loadLocalIFC = async (file, { signal, backendModel = null } = {}) => {
+  const onStage = (stage, progress = 0) => setLoadProgress({ stage, progress });
+  // Backend model this call uploaded, removed again if the load doesn't finish
+  let uploadedModelId = null;
+  // Why the backend refused the file, shown on the model card
+  let uploadError = null;
+
+  try {
+    setLoadProgress({ fileName: file.name, stage: "reading", progress: 0 });
+    const buffer = await file.arrayBuffer();
+    const ifcBytes = new Uint8Array(buffer);
+    const cacheHash = await hashBuffer(buffer);
+    let fragmentBytes = await readFragmentCache(cacheHash);
+
+    // A missing WASM file fails the load before anything reaches the backend
+    if (!fragmentBytes) await checkWasmAvailable(ifcWasm, { signal });
+
+    // Step 1: Upload to backend (optional: the model still loads without it)
+    let backendResponse = backendModel;
+    if (!backendResponse) {
+      console.log("📤 Uploading IFC to backend...");
+      onStage("uploading");
+      try {
+        backendResponse = await api.uploadIFC(file, { signal });
+        uploadedModelId = backendResponse.model_id;
+        console.log("✅ Backend uploaded:", backendResponse);
+      } catch (error) {
+        if (error.name === "AbortError") throw error;
+        if (!isBackendUnavailable(error)) {
+          // The backend answered and refused the file: say so, and don't retry it
+          console.error("❌ Backend rejected IFC:", error);
+          showToast(`Backend rejected ${file.name}: ${error.message}. It opens without backend features.`, { type: "error" });
+          uploadError = error.message;
+        } else {
+          console.warn("⚠️ Backend unavailable, loading in local-only mode:", error);
+        }
+      }
+    }
+    
+    // Step 2: Reuse cached fragments, or convert IFC to Fragments for 3D viewer
+    if (fragmentBytes) {
+      console.log("⚡ Fragment cache hit:", cacheHash);
+      const changes = backendResponse
+        ? { backend: backendResponse, lastOpenedAt: Date.now() }
+        : { lastOpenedAt: Date.now() };
+      updateCachedEntry(cacheHash, changes)
+        .catch((error) => console.warn("⚠️ Could not update fragment cache:", error));
+    } else {
+      console.log("🔄 Converting IFC to Fragments...");
+      fragmentBytes = await convertIFC(ifcBytes, {
+        wasm: ifcWasm,
+        signal,
+        onProgress: (progress, stage) => onStage(stage ?? "conversion", progress),
+      });
+
+      try {
+        await putCachedModel(cacheHash, fragmentBytes, {
+          name: file.name,
+          size: file.size,
+          backend: backendResponse
+        });
+        console.log("💾 Fragments cached:", cacheHash);
+      } catch (error) {
+        console.warn("⚠️ Could not write fragment cache:", error);
+      }
+    }
+
+    signal?.throwIfAborted();
+    
+    const result = await loadFragments(fragmentBytes, {
+      name: file.name,
+      file,
+      backendResponse,
+      cacheHash,
+      onStage
+    });
+    if (uploadError) loadedModels.get(result.frontendModelId).syncError = uploadError;
+    await refreshCachedModels();
+    return result;
+    
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.log("🛑 IFC load cancelled:", file.name);
+    } else {
+      console.error("❌ Error loading IFC:", error);
+    }
+    if (uploadedModelId) api.removeModel(uploadedModelId).catch(() => {});
+    throw error;
+  } finally {
+    setLoadProgress(null);
+  }
+};
+
+/**
+ * Reopen a model straight from the fragment cache, without the source IFC.
+ * Properties resolve against the backend model_id stored with the entry
+ * while the backend still holds it, and against local data otherwise.
+ */
+const loadCachedModel = async (hash) => {
+  const entry = await getCachedEntry(hash);
+  const fragmentBytes = entry && await getCachedFragments(hash);
+  if (!fragmentBytes) {
+    await refreshCachedModels();
+    throw new Error("Cached model no longer exists");
+  }
+
+  // The backend keeps models in memory, so the cached model_id may be gone
+  let backendResponse = null;
+  try {
+    const backendIds = (await api.listModels()).map((m) => m.model_id);
+    if (entry.backend && backendIds.includes(entry.backend.model_id)) {
+      backendResponse = entry.backend;
+    }
+  } catch (error) {
+    console.warn("⚠️ Backend unreachable, opening cached model in local-only mode:", error);
+  }
+
+  const result = await loadFragments(fragmentBytes, {
+    name: entry.name,
+    backendResponse,
+    cacheHash: hash
+  });
+  await updateCachedEntry(hash, { lastOpenedAt: Date.now() });
+  await refreshCachedModels();
+  return result;
+};
+
+/**
+ * Load a .frag file exported from this viewer, skipping conversion.
+ * It opens local only until it is attached to a backend model. The file
+ * is cached under its own hash, so its placement, viewpoints and clash
+ * statuses have a key that survives reloads.
+ */
+const loadFragFile = async (file, { signal } = {}) => {
+  try {
+    setLoadProgress({ fileName: file.name, stage: "reading", progress: 0 });
+    const buffer = await file.arrayBuffer();
+    const fragmentBytes = new Uint8Array(buffer);
+    const cacheHash = await hashBuffer(buffer);
+    signal?.throwIfAborted();
+
+    try {
+      if (await getCachedEntry(cacheHash)) {
+        await updateCachedEntry(cacheHash, { lastOpenedAt: Date.now() });
+      } else {
+        await putCachedModel(cacheHash, fragmentBytes, { name: file.name, size: file.size, backend: null });
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not write fragment cache:", error);
+    }
+
+    const result = await loadFragments(fragmentBytes, {
+      name: file.name,
+      backendResponse: null,
+      cacheHash,
+      onStage: (stage, progress = 0) => setLoadProgress({ stage, progress })
+    });
+    loadedModels.get(result.frontendModelId).fromFragments = true;
+    await refreshCachedModels();
+    return result;
+  } finally {
+    setLoadProgress(null);
+  }
+};
+
+/**
+ * Link a loaded model to a model the backend already holds, so properties,
+ * edits and notes come from the backend
+ */
+async function attachBackendModel(frontendId, backendModelId) {
+  const info = loadedModels.get(frontendId);
+  if (!info) return;
+  const backendModel = (await api.listModels()).find((m) => m.model_id === backendModelId);
+  if (!backendModel) throw new Error("The backend no longer holds this model");
+
+  Object.assign(info, {
+    backendModelId,
+    localOnly: false,
+    // Uploaded by someone else, so removing this model leaves it on the backend
+    attached: true,
+    syncError: null,
+    projectName: backendModel.project_name,
+    totalElements: backendModel.total_elements
+  });
+  if (info.cacheHash) {
+    updateCachedEntry(info.cacheHash, { backend: backendModel })
+      .catch((error) => console.warn("⚠️ Could not update fragment cache:", error));
+  }
+  await linkPlacement(frontendId, backendModel.placement);
+  await refreshBackendData(frontendId);
+  updateExplorer();
+}
+
+/**
+ * Re-read a model's properties after it was linked to the backend
+ */
+async function refreshBackendData(frontendId) {
+  for (const key of elementDataCache.keys()) {
+    if (key.startsWith(`${frontendId}:`)) elementDataCache.delete(key);
+  }
+  // Refresh properties if the selection belongs to the model
+  const selection = highlighter.selection.select;
+  if (selection && selection[frontendId]) {
+    await updateSelectionUI(selection);
+  }
+  refreshPropertyKeys();
+  refreshNotes(frontendId);
+}
+
+// ========================================
+// 6a. Load Queue
+// ========================================
+// Picked and dropped files load one after another, so federated projects
+// can be opened in one go without converting several models at once
+
+// Queue status shown for each load stage
+const LOAD_STAGE_STATUS = {
+  reading: "uploading",
+  uploading: "uploading",
+  geometries: "converting",
+  attributes: "converting",
+  relations: "converting",
+  conversion: "converting",
+  loading: "converting",
+  classifying: "classifying",
+};
+
+// { id, file, status: 'queued'|'loading'|'done'|'failed', error }
+let loadQueue = [];
+let activeQueueEntry = null;
+
+/**
+ * Status of a queue entry, with the load stage for the active one
+ */
+const queueStatus = (entry) =>
+  entry === activeQueueEntry ? LOAD_STAGE_STATUS[loadProgress?.stage] ?? "uploading" : entry.status;
+
+const isFragFile = (file) => /\.frag$/i.test(file.name);
+
+function enqueueFiles(files) {
+  const modelFiles = files.filter((file) => /\.ifc$/i.test(file.name) || isFragFile(file));
+  const skipped = files.filter((file) => !modelFiles.includes(file));
+  if (skipped.length > 0) {
+    showToast(`Skipped files that are not IFC or .frag: ${skipped.map((file) => file.name).join(", ")}`, { type: "error" });
+  }
+
+  for (const file of modelFiles) {
+    loadQueue.push({ id: crypto.randomUUID(), file, status: "queued", error: null });
+  }
+  updateExplorer();
+  processLoadQueue();
+}
+
+async function processLoadQueue() {
+  if (activeQueueEntry) return;
+
+  let entry;
+  while ((entry = loadQueue.find((item) => item.status === "queued"))) {
+    activeQueueEntry = entry;
+    entry.status = "loading";
+    loadAbortController = new AbortController();
+    updateExplorer();
+    try {
+      const load = isFragFile(entry.file) ? loadFragFile : loadLocalIFC;
+      await load(entry.file, { signal: loadAbortController.signal });
+      entry.status = "done";
+    } catch (error) {
+      entry.status = "failed";
+      entry.error = error.name === "AbortError" ? "Cancelled" : error.message;
+    }
+    loadAbortController = null;
+    activeQueueEntry = null;
+    updateExplorer();
+  }
+}
+
+function retryQueueEntry(id) {
+  const entry = loadQueue.find((item) => item.id === id);
+  if (!entry || entry.status !== "failed") return;
+  entry.status = "queued";
+  entry.error = null;
+  updateExplorer();
+  processLoadQueue();
+}
+
+function removeQueueEntry(id) {
+  loadQueue = loadQueue.filter((item) => item.id !== id || item === activeQueueEntry);
+  updateExplorer();
+}
+
+function clearFinishedQueueEntries() {
+  loadQueue = loadQueue.filter((item) => item.status !== "done");
+  updateExplorer();
+}
+
+// The whole viewport takes dropped files
+let dragDepth = 0;
+const isFileDrag = (event) => event.dataTransfer?.types.includes("Files");
+
+container.addEventListener("dragenter", (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  dragDepth++;
+  container.classList.add("drop-target");
+});
+container.addEventListener("dragover", (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "copy";
+});
+container.addEventListener("dragleave", (event) => {
+  if (!isFileDrag(event)) return;
+  dragDepth = Math.max(0, dragDepth - 1);
+  if (dragDepth === 0) container.classList.remove("drop-target");
+});
+container.addEventListener("drop", (event) => {
+  if (!isFileDrag(event)) return;
+  event.preventDefault();
+  dragDepth = 0;
+  container.classList.remove("drop-target");
+  enqueueFiles(Array.from(event.dataTransfer.files));
+});
+
+// ========================================
+// 6b. Backend Sync for Local-Only Models
+// ========================================
+const BACKEND_SYNC_INTERVAL = 15000;
+let backendSyncTimer = null;
+
+/**
+ * Poll the backend while local-only models are loaded, and upload them
+ * once it is reachable again. Models reopened from the cache have no file
+ * to upload: they are linked to the backend's copy of the same IFC once
+ * someone uploads it.
+ */
+function scheduleBackendSync() {
+  if (backendSyncTimer) return;
+  backendSyncTimer = setInterval(syncLocalModels, BACKEND_SYNC_INTERVAL);
+}
+
+// The backend keeps models in memory, so after a restart it no longer knows their model_id
+const isBackendModelGone = (error) => error.status === 404 && error.detail === "Model not found";
+
+/**
+ * Switch a model the backend dropped to local only, and sync it again
+ */
+function markBackendModelGone(frontendId) {
+  const info = loadedModels.get(frontendId);
+  if (!info || info.localOnly) return;
+  console.warn("⚠️ Backend no longer holds model, switching to local-only mode:", info.name);
+  Object.assign(info, { backendModelId: null, localOnly: true, attached: false });
+  scheduleBackendSync();
+  updateExplorer();
+}
+
+async function syncLocalModels() {
+  const pending = Array.from(loadedModels.entries())
+    .filter(([, info]) => info.localOnly && !info.syncError && (info.file || info.cacheHash && !info.fromFragments));
+
+  if (pending.length === 0) {
+    clearInterval(backendSyncTimer);
+    backendSyncTimer = null;
+    return;
+  }
+
+  if (!await api.ping()) return;
+
+  let backendModels = null;
+  for (const [frontendId, info] of pending) {
+    try {
+      if (!info.file) {
+        // The cache key is the IFC's SHA-256, the backend's content_hash
+        backendModels ??= await api.listModels();
+        const match = backendModels.find((model) => model.content_hash === info.cacheHash);
+        if (match) {
+          console.log("🔗 Linking cached model to the backend's copy:", info.name);
+          await attachBackendModel(frontendId, match.model_id);
+        }
+        continue;
+      }
+
+      console.log("🔁 Syncing local-only model with backend:", info.name);
+      const backendResponse = await api.uploadIFC(info.file);
+      // The model may have been removed while uploading
+      if (!loadedModels.has(frontendId)) {
+        api.removeModel(backendResponse.model_id).catch(() => {});
+        continue;
+      }
+
+      Object.assign(info, {
+        backendModelId: backendResponse.model_id,
+        localOnly: false,
+        projectName: backendResponse.project_name,
+        totalElements: backendResponse.total_elements
+      });
+
+      if (info.cacheHash) {
+        updateCachedEntry(info.cacheHash, { backend: backendResponse })
+          .catch((error) => console.warn("⚠️ Could not update fragment cache:", error));
+      }
+      console.log("✅ Model synced with backend:", info.name);
+      await linkPlacement(frontendId, backendResponse.placement);
+      await refreshBackendData(frontendId);
+    } catch (error) {
+      if (isBackendUnavailable(error)) return;
+      // The backend answered but rejected the file: don't retry it forever
+      console.error("❌ Backend rejected local-only model:", info.name, error);
+      info.syncError = error.message;
+    }
+  }
+
+  updateExplorer();
+}
+
+// Cached model metadata shown in the Files tab
+let cachedModels = [];
+// Backend models offered for a local-only model: { frontendModelId, backendModels } or null
+let attachChoices = null;
+
+async function refreshCachedModels() {
+  try {
+    cachedModels = await listCachedModels();
+  } catch (error) {
+    console.warn("⚠️ Could not list fragment cache:", error);
+    cachedModels = [];
+  }
+  updateExplorer();
+}
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// ========================================
+// 6c. Open from the Analysis Page
+// ========================================
+// Chart segments on the Analysis page link to
+// viewer.html?model=<backend model_id>, with the segment as type, storey,
+// pset and has_pset parameters. The model comes from the fragment cache or
+// is downloaded from the backend, then the segment's elements are isolated.
+
+/**
+ * Load a model the backend holds, unless it is loaded already
+ * @returns {Promise<string>} Frontend model id
+ */
+async function openBackendModel(backendModelId) {
+  for (const [frontendId, info] of loadedModels) {
+    if (info.backendModelId === backendModelId) return frontendId;
+  }
+
+  const backendModel = (await api.listModels()).find((m) => m.model_id === backendModelId);
+  if (!backendModel) throw new Error("The backend no longer holds this model");
+
+  const cached = (await listCachedModels().catch(() => []))
+    .find((entry) => entry.backend?.model_id === backendModelId);
+  let result;
+  if (cached) {
+    result = await loadCachedModel(cached.hash);
+  } else {
+    setLoadProgress({ fileName: backendModel.filename, stage: "reading", progress: 0 });
+    const blob = await api.downloadIFC(backendModelId);
+    const file = new File([blob], backendModel.filename);
+    result = await loadLocalIFC(file, { backendModel });
+  }
+  // Uploaded elsewhere, so removing it here leaves it on the backend
+  loadedModels.get(result.frontendModelId).attached = true;
+  return result.frontendModelId;
+}
+
+async function openFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const backendModelId = params.get("model");
+  if (!backendModelId) return;
+
+  const filter = {};
+  for (const key of ["type", "storey", "pset"]) {
+    if (params.has(key)) filter[key] = params.get(key);
+  }
+  if (params.has("has_pset")) filter.has_pset = params.get("has_pset") !== "0";
+
+  try {
+    const frontendId = await openBackendModel(backendModelId);
+    updateExplorer();
+    if (Object.keys(filter).length === 0) return;
+
+    const guids = await api.getAnalyticsElements(backendModelId, filter);
+    const localIds = (await fragments.list.get(frontendId).getLocalIdsByGuids(guids)).filter((id) => id !== null);
+    if (localIds.length === 0) {
+      showToast("No elements to isolate in this segment", { type: "error" });
+      return;
+    }
+    const items = { [frontendId]: new Set(localIds) };
+    await applyGroupAction("isolate", items);
+    await applyGroupAction("select", items);
+    showToast(`Isolated ${localIds.length} element${localIds.length === 1 ? "" : "s"}`);
+  } catch (error) {
+    setLoadProgress(null);
+    console.error("❌ Error opening model from URL:", error);
+    showToast(`Could not open the model: ${error.message}`, { type: "error" });
+  }
+}
+
+// ========================================
+// 7. Setup Raycaster with Backend Integration
+// ========================================
+const casters = components.get(OBC.Raycasters);
+const caster = casters.get(world);
+
+let selectedElementData = null;
+let isLoadingElement = false;
+
+// Initialize Hider & Classifier
+let hider, classifier;
+try {
+    hider = components.get(OBC.Hider);
+    classifier = components.get(OBC.Classifier);
+    if (!WEBIFC) throw new Error("WEBIFC module not loaded");
+} catch(e) {
+    console.warn("Failed to initialize Hider/Classifier or WEBIFC", e);
+}
+
+// Track mouse for drag detection
+let mouseDownPosition = { x: 0, y: 0 };
+let isMouseDown = false;
+
+container.addEventListener("mousedown", (event) => {
+  isMouseDown = true;
+  mouseDownPosition = { x: event.clientX, y: event.clientY };
+});
+
+container.addEventListener("mousemove", (event) => {
+  if (isMouseDown) {
+    const deltaX = Math.abs(event.clientX - mouseDownPosition.x);
+    const deltaY = Math.abs(event.clientY - mouseDownPosition.y);
+    
+    if (deltaX > 5 || deltaY > 5) {
+      isMouseDown = false;
+    }
+  }
+});
+
+/**
+ * Handle selection logic (reusable for click and context menu)
+ * Returns 'true' if an element was selected, 'false' if cleared/missed
+ */
+async function handleSelection(event) {
+  const result = await caster.castRay();
+  
+  if (!result) {
+    // If not holding Ctrl, click on empty space clears selection
+    if (!event?.ctrlKey) {
+        highlighter.clear("select");
+    }
+    return null;
+  }
+  
+  const modelIdMap = { 
+    [result.fragments.modelId]: new Set([result.localId]) 
+  };
+
+  // Highlighter Logic:
+  // - If Ctrl is held, WE DO NOT REMOVE PREVIOUS (removePrevious = false).
+  // - If Ctrl is NOT held, WE REMOVE PREVIOUS (removePrevious = true).
+  // - zoomToSelection = false (for manual 3D click, usually purely visual)
+  const removePrevious = !event?.ctrlKey;
+  await highlighter.highlightByID("select", modelIdMap, removePrevious, false);
+
+  return result;
+}
+
+// Setup Context Menu
+const contextMenu = setupContextMenu(container, {
+  onIsolate: async () => {
+    const selection = highlighter.selection.select;
+    if (selection && Object.keys(selection).length > 0) {
+      hider.isolate(selection);
+      console.log("👁️ Element isolated");
+    }
+  },
+  onHide: async () => {
+    const selection = highlighter.selection.select;
+    if (selection && Object.keys(selection).length > 0) {
+       hider.set(false, selection);
+       console.log("🙈 Element hidden");
+       highlighter.clear("select"); // Clear selection after hiding
+    }
+  },
+  onShowAll: async () => {
+     hider.set(true);
+     console.log("👀 Showing all elements");
+  },
+  onAddNote: () => startNote()
+});
+
+// ========================================
+// 7b. Classification Groups
+// ========================================
+// Resolved classifier groups for the Groups tab, and the groups checked
+// there to build a combined filter
+let classificationGroups = [];
+const checkedGroups = new Map(); // classification name -> Set of group names
+
+async function refreshClassificationGroups() {
+  if (!classifier) return;
+  classificationGroups = await listClassificationGroups(classifier);
+
+  // Drop checks on groups that went away with a removed model
+  for (const [classificationName, names] of checkedGroups) {
+    const groups = classificationGroups.find((c) => c.name === classificationName)?.groups ?? [];
+    for (const name of names) {
+      if (!groups.some((group) => group.name === name)) names.delete(name);
+    }
+  }
+  updateExplorer();
+}
+
+/**
+ * Apply a visibility or selection action to a set of items
+ * @param {'show'|'hide'|'isolate'|'select'} action
+ * @param {object} items - ModelIdMap
+ */
+async function applyGroupAction(action, items) {
+  if (!items || countItems(items) === 0) return;
+  if (action === "show") await hider.set(true, items);
+  if (action === "hide") await hider.set(false, items);
+  if (action === "isolate") await hider.isolate(items);
+  if (action === "select") await highlighter.highlightByID("select", items, true, true);
+}
+
+// ========================================
+// 7c. Color By Property
+// ========================================
+// Each legend entry is a highlighter style named COLOR_STYLE_PREFIX + index,
+// so selection highlighting still draws on top of the colors
+const COLOR_STYLE_PREFIX = "color-by:";
+
+let propertyKeys = []; // [{ pset, name }] across backend models, also used by queries
+let colorByChoice = null; // "pset/name" picked in the Groups tab
+let colorBy = null; // { pset, name, legend, hidden: Set<entry index>, skippedModels }
+let colorByLoading = false;
+
+const propertyKeyId = ({ pset, name }) => `${pset}/${name}`;
+
+/**
+ * Collect the property names of every backend model
+ */
+async function refreshPropertyKeys() {
+  const keys = new Map();
+  for (const modelInfo of loadedModels.values()) {
+    if (modelInfo.localOnly) continue;
+    try {
+      for (const key of await api.listPropertyKeys(modelInfo.backendModelId)) {
+        keys.set(propertyKeyId(key), key);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not list properties of ${modelInfo.name}:`, error);
+    }
+  }
+  propertyKeys = Array.from(keys.values());
+  if (colorByChoice && !keys.has(colorByChoice)) colorByChoice = null;
+  updateExplorer();
+}
+
+/**
+ * Color every element by the value of one property
+ */
+async function applyColorBy(pset, name) {
+  await clearColorBy();
+  await clearDiff();
+
+  const values = [];
+  const skippedModels = [];
+  for (const [frontendModelId, modelInfo] of loadedModels) {
+    const model = fragments.list.get(frontendModelId);
+    if (!model) continue;
+    if (modelInfo.localOnly) {
+      skippedModels.push(modelInfo.name);
+      continue;
+    }
+
+    const valuesByGuid = await api.getPropertyValues(modelInfo.backendModelId, pset, name);
+    const guids = Object.keys(valuesByGuid);
+    const localIds = await model.getLocalIdsByGuids(guids);
+    guids.forEach((guid, i) => {
+      if (localIds[i] === null) return;
+      values.push({ modelId: frontendModelId, localId: localIds[i], value: valuesByGuid[guid] });
+    });
+  }
+
+  const legend = buildLegend(values);
+  for (const [i, entry] of legend.entries.entries()) {
+    const styleName = `${COLOR_STYLE_PREFIX}${i}`;
+    highlighter.styles.set(styleName, {
+      color: new THREE.Color(entry.color),
+      renderedFaces: FRAGS.RenderedFaces.TWO,
+      opacity: 1,
+      transparent: false,
+    });
+    await highlighter.highlightByID(styleName, entry.items, true, false);
+  }
+
+  colorBy = { pset, name, legend, hidden: new Set(), skippedModels };
+  updateColorLegend();
+}
+
+/**
+ * Show or hide the elements of one legend entry
+ */
+async function toggleColorEntry(index) {
+  if (!colorBy) return;
+  const entry = colorBy.legend.entries[index];
+  const visible = colorBy.hidden.has(index);
+  if (visible) colorBy.hidden.delete(index);
+  else colorBy.hidden.add(index);
+  await hider.set(visible, entry.items);
+  updateColorLegend();
+}
+
+/**
+ * Restore the original materials and show anything hidden from the legend
+ */
+async function clearColorBy() {
+  if (!colorBy) return;
+  const { legend, hidden } = colorBy;
+  colorBy = null;
+
+  for (const index of hidden) {
+    const items = Object.fromEntries(
+      Object.entries(legend.entries[index].items).filter(([modelId]) => fragments.list.has(modelId))
+    );
+    if (Object.keys(items).length > 0) await hider.set(true, items);
+  }
+  for (let i = 0; i < legend.entries.length; i++) {
+    highlighter.styles.delete(`${COLOR_STYLE_PREFIX}${i}`);
+  }
+  updateColorLegend();
+}
+
+async function onApplyColorBy(key) {
+  colorByLoading = true;
+  updateExplorer();
+  try {
+    await applyColorBy(key.pset, key.name);
+  } catch (error) {
+    console.error("❌ Error coloring by property:", error);
+    showToast(`Failed to color by ${key.name}: ${error.message}`, { type: "error" });
+  } finally {
+    colorByLoading = false;
+    updateExplorer();
+  }
+}
+
+const [colorLegendUI, updateColorLegend] = BUI.Component.create(() => {
+  if (!colorBy) return BUI.html`<div class="color-legend hidden"></div>`;
+  const { pset, name, legend, hidden, skippedModels } = colorBy;
+
+  return BUI.html`
+    <div class="color-legend">
+      <div class="color-legend-title" title="${pset} / ${name}">
+        ${pset === 'Attributes' ? name : `${pset}.${name}`}
+      </div>
+      ${legend.entries.length === 0 ? BUI.html`
+        <div class="color-legend-empty">No element has this property.</div>
+      ` : legend.entries.map((entry, i) => BUI.html`
+        <div 
+          class="color-legend-entry ${hidden.has(i) ? 'hidden-entry' : ''}"
+          title=${hidden.has(i) ? 'Click to show' : 'Click to hide'}
+          @click=${() => toggleColorEntry(i)}>
+          <span class="color-legend-swatch" style="background: ${entry.color};"></span>
+          <span class="color-legend-label">${entry.label}</span>
+          <span class="color-legend-count">${entry.count}</span>
+        </div>
+      `)}
+      ${skippedModels.length > 0 ? BUI.html`
+        <div class="color-legend-empty">Not colored (local only): ${skippedModels.join(', ')}</div>
+      ` : ''}
+      <bim-button 
+        label="Reset colors" 
+        icon="solar:restart-bold"
+        @click=${() => clearColorBy()}>
+      </bim-button>
+    </div>
+  `;
+}, {});
+
+// ========================================
+// 7d. Query Builder
+// ========================================
+// Rules are AND-combined and evaluated by the backend (/search), which
+// returns GUIDs that are mapped back onto the fragments
+const QUERY_OPERATORS = [
+  { id: "equals", label: "is" },
+  { id: "not_equals", label: "is not" },
+  { id: "contains", label: "contains" },
+  { id: "not_contains", label: "does not contain" },
+  { id: "is_empty", label: "is empty" },
+  { id: "is_not_empty", label: "is not empty" },
+  { id: "greater_than", label: ">" },
+  { id: "less_than", label: "<" },
+];
+const VALUELESS_OPERATORS = new Set(["is_empty", "is_not_empty"]);
+
+const newQueryRule = () => ({ pset: "Attributes", name: "Type", operator: "equals", value: "" });
+
+let queryRules = [newQueryRule()];
+let queryResults = null; // { items: [{ modelId, localId, guid, name, type, storey }], map, skippedModels }
+let queryRunning = false;
+let queryName = "";
+let savedQueries = listSavedQueries();
+
+async function runQuery() {
+  const rules = queryRules.map(({ pset, name, operator, value }) => ({
+    pset,
+    name,
+    operator,
+    value: VALUELESS_OPERATORS.has(operator) ? null : value,
+  }));
+
+  const items = [];
+  const skippedModels = [];
+  for (const [frontendModelId, modelInfo] of loadedModels) {
+    const model = fragments.list.get(frontendModelId);
+    if (!model) continue;
+    if (modelInfo.localOnly) {
+      skippedModels.push(modelInfo.name);
+      continue;
+    }
+
+    const results = await api.search(modelInfo.backendModelId, rules);
+    const localIds = await model.getLocalIdsByGuids(results.map((result) => result.guid));
+    results.forEach((result, i) => {
+      if (localIds[i] === null) return;
+      items.push({ modelId: frontendModelId, localId: localIds[i], ...result });
+    });
+  }
+
+  const map = {};
+  for (const { modelId, localId } of items) (map[modelId] ??= new Set()).add(localId);
+  queryResults = { items, map, skippedModels };
+}
+
+function exportQueryResults() {
+  if (!queryResults) return;
+  const rows = [["Model", "GUID", "Name", "Class", "Storey"]];
+  for (const item of queryResults.items) {
+    rows.push([loadedModels.get(item.modelId)?.name ?? item.modelId, item.guid, item.name, item.type, item.storey]);
+  }
+  const blob = new Blob([rowsToCSV(rows)], { type: "text/csv" });
+  downloadBlob(blob, `${queryName.trim() || "query"}_results.csv`);
+}
+
+// ========================================
+// 7e. Model Diff
+// ========================================
+// Two loaded revisions compared by GlobalId. Added and modified elements are
+// colored in the revised model, deleted ones in the base model, whose other
+// elements are hidden so they don't overlap the revised model.
+const DIFF_STYLE_PREFIX = "diff:";
+const DIFF_COLORS = { added: 0x22c55e, deleted: 0xef4444, modified: 0xf59e0b };
+
+let diffBaseId = null; // Frontend model ids picked in the Diff tab
+let diffRevisedId = null;
+// { baseId, revisedId, items: [{ status, guid, name, type, storey, changes, modelId, localId }], maps: { status -> ModelIdMap } }
+let diffResult = null;
+let diffRunning = false;
+let diffFilter = "all"; // 'all' or one of DIFF_STATUSES
+let diffExpandedGuid = null;
+
+async function runDiff() {
+  const baseInfo = loadedModels.get(diffBaseId);
+  const revisedInfo = loadedModels.get(diffRevisedId);
+  if (!baseInfo || !revisedInfo) throw new Error("Pick two loaded models");
+  if (diffBaseId === diffRevisedId) throw new Error("Pick two different models");
+  if (baseInfo.localOnly || revisedInfo.localOnly) throw new Error("Both models must be on the backend");
+
+  await clearDiff();
+  const baseModel = fragments.list.get(diffBaseId);
+  const revisedModel = fragments.list.get(diffRevisedId);
+  const report = await api.compareModels(baseInfo.backendModelId, revisedInfo.backendModelId);
+  const shared = [...report.modified, ...report.unchanged].map((record) => record.guid);
+  const boundsChanges = await compareBounds(baseModel, revisedModel, shared);
+
+  const items = buildDiffItems(report, boundsChanges);
+  for (const [modelId, model, statuses] of [
+    [diffBaseId, baseModel, ["deleted"]],
+    [diffRevisedId, revisedModel, ["added", "modified"]],
+  ]) {
+    const modelItems = items.filter((item) => statuses.includes(item.status));
+    const localIds = await model.getLocalIdsByGuids(modelItems.map((item) => item.guid));
+    modelItems.forEach((item, i) => Object.assign(item, { modelId, localId: localIds[i] }));
+  }
+
+  const maps = Object.fromEntries(DIFF_STATUSES.map((status) => [status, {}]));
+  for (const item of items) {
+    if (item.localId === null) continue;
+    (maps[item.status][item.modelId] ??= new Set()).add(item.localId);
+  }
+
+  await clearColorBy();
+  await hider.set(false, { [diffBaseId]: new Set(await baseModel.getLocalIds()) });
+  if (maps.deleted[diffBaseId]) await hider.set(true, maps.deleted);
+  for (const status of DIFF_STATUSES) {
+    const styleName = `${DIFF_STYLE_PREFIX}${status}`;
+    highlighter.styles.set(styleName, {
+      color: new THREE.Color(DIFF_COLORS[status]),
+      renderedFaces: FRAGS.RenderedFaces.TWO,
+      opacity: 1,
+      transparent: false,
+    });
+    if (Object.keys(maps[status]).length > 0) {
+      await highlighter.highlightByID(styleName, maps[status], true, false);
+    }
+  }
+
+  diffResult = { baseId: diffBaseId, revisedId: diffRevisedId, items, maps };
+  diffFilter = "all";
+  diffExpandedGuid = null;
+}
+
+/**
+ * Restore the materials and show the base model again
+ */
+async function clearDiff() {
+  if (!diffResult) return;
+  const { baseId } = diffResult;
+  diffResult = null;
+  for (const status of DIFF_STATUSES) {
+    highlighter.styles.delete(`${DIFF_STYLE_PREFIX}${status}`);
+  }
+  const baseModel = fragments.list.get(baseId);
+  if (baseModel) await hider.set(true, { [baseId]: new Set(await baseModel.getLocalIds()) });
+}
+
+function exportDiff() {
+  if (!diffResult) return;
+  const name = (id) => (loadedModels.get(id)?.name ?? id).replace(/\.(ifc|frag)$/i, "");
+  const blob = new Blob([diffToCSV(diffResult.items)], { type: "text/csv" });
+  downloadBlob(blob, `diff_${name(diffResult.baseId)}_${name(diffResult.revisedId)}.csv`);
+}
+
+// ========================================
+// 7f. Clash Detection
+// ========================================
+// A test compares two sides, each a classifier group (optionally limited to
+// one model) or a snapshot of the selection. Statuses are stored per model pair.
+const clashTool = setupClashTool(components);
+const CLASH_SELECTION = "selection";
+
+const newClashSide = () => ({ source: "", modelId: "", selection: null });
+const newClashDraft = () => ({ name: "", a: newClashSide(), b: newClashSide(), type: "hard", tolerance: 0 });
+
+let clashDraft = newClashDraft();
+// [{ id, name, a, b, type, tolerance (mm), results: [{ id, a, b, distance, point, status }] | null }]
+let clashTests = [];
+let clashRun = null; // { testId, progress, controller } while a test runs
+let activeClashTestId = null;
+let activeClashId = null;
+let clashStatusFilter = "open"; // 'open' (new and active), 'all' or one status
+
+const groupSourceKey = (classification, group) => `${classification}/${group}`;
+
+/**
+ * Classifier group picked by its groupSourceKey()
+ */
+function findGroupBySource(source) {
+  for (const classification of classificationGroups) {
+    const group = classification.groups.find((g) => groupSourceKey(classification.name, g.name) === source);
+    if (group) return { classification: classification.name, group };
+  }
+  return null;
+}
+
+// Clashes are stored against the content hash, which survives reloads and
+// tells apart different files with the same name
+const clashModelKey = (frontendModelId) => loadedModels.get(frontendModelId)?.cacheHash ?? frontendModelId;
+
+/**
+ * ModelIdMap of one side of a test
+ */
+function resolveClashSide(side) {
+  if (side.source === CLASH_SELECTION) return side.selection ?? {};
+  const found = findGroupBySource(side.source);
+  if (!found) return {};
+  const { items } = found.group;
+  if (!side.modelId) return items;
+  return items[side.modelId] ? { [side.modelId]: items[side.modelId] } : {};
+}
+
+function describeClashSide(side) {
+  if (side.source === CLASH_SELECTION) return `Selection (${countItems(side.selection ?? {})})`;
+  const [classification, ...rest] = side.source.split("/");
+  const group = rest.join("/");
+  const groupName = classification === "Models" ? loadedModels.get(group)?.name ?? group : group;
+  const model = side.modelId ? ` in ${loadedModels.get(side.modelId)?.name ?? side.modelId}` : "";
+  return `${groupName}${model}`;
+}
+
+/**
+ * Name, class and GUID of the elements involved in clashes
+ */
+async function readClashElements(clashes) {
+  const byModel = new Map();
+  for (const clash of clashes) {
+    for (const { modelId, localId } of [clash.a, clash.b]) {
+      if (!byModel.has(modelId)) byModel.set(modelId, new Set());
+      byModel.get(modelId).add(localId);
+    }
+  }
+
+  const elements = new Map(); // `${modelId}:${localId}` -> { guid, name, type }
+  for (const [modelId, localIds] of byModel) {
+    const ids = Array.from(localIds);
+    const data = await fragments.list.get(modelId).getItemsData(ids, { attributesDefault: false, attributes: ["Name"] });
+    ids.forEach((localId, i) => {
+      elements.set(`${modelId}:${localId}`, {
+        guid: data[i]?._guid?.value ?? String(localId),
+        name: data[i]?.Name?.value ?? null,
+        type: data[i]?._category?.value ?? null,
+      });
+    });
+  }
+  return elements;
+}
+
+async function runClashTest(test) {
+  const a = resolveClashSide(test.a);
+  const b = resolveClashSide(test.b);
+  if (countItems(a) === 0) throw new Error("Side A has no elements");
+  if (countItems(b) === 0) throw new Error("Side B has no elements");
+
+  clashRun = { testId: test.id, progress: 0, controller: new AbortController() };
+  updateExplorer();
+  try {
+    const clashes = await clashTool.detect(
+      { a, b, type: test.type, tolerance: test.tolerance / 1000 },
+      {
+        signal: clashRun.controller.signal,
+        onProgress: (progress) => {
+          if (Math.floor(progress * 100) === Math.floor(clashRun.progress * 100)) return;
+          clashRun.progress = progress;
+          updateExplorer();
+        },
+      },
+    );
+
+    const elements = await readClashElements(clashes);
+    const results = clashes.map((clash) => {
+      const a = { ...clash.a, ...elements.get(`${clash.a.modelId}:${clash.a.localId}`) };
+      const b = { ...clash.b, ...elements.get(`${clash.b.modelId}:${clash.b.localId}`) };
+      return { id: clashKey(a.guid, b.guid), a, b, distance: clash.distance, point: clash.point };
+    });
+
+    // New the first time a clash is found, active afterwards
+    const byModelPair = new Map();
+    for (const result of results) {
+      const pair = [clashModelKey(result.a.modelId), clashModelKey(result.b.modelId)];
+      const key = pair.join("|");
+      if (!byModelPair.has(key)) byModelPair.set(key, { pair, results: [] });
+      byModelPair.get(key).results.push(result);
+    }
+    for (const { pair, results: pairResults } of byModelPair.values()) {
+      const stored = readClashStatuses(...pair);
+      const statuses = {};
+      for (const result of pairResults) {
+        result.status = statusAfterRun(stored[result.id]);
+        statuses[result.id] = result.status;
+      }
+      writeClashStatuses(...pair, statuses);
+    }
+
+    test.results = results.sort((x, y) => x.distance - y.distance || (x.a.name ?? "").localeCompare(y.a.name ?? ""));
+    activeClashTestId = test.id;
+    activeClashId = null;
+  } finally {
+    clashRun = null;
+  }
+}
+
+function setClashStatus(result, status) {
+  result.status = status;
+  writeClashStatuses(clashModelKey(result.a.modelId), clashModelKey(result.b.modelId), { [result.id]: status });
+  updateExplorer();
+}
+
+/**
+ * Select both elements of a clash and fit the camera around them
+ */
+async function zoomToClash(result) {
+  activeClashId = result.id;
+  const items = {};
+  for (const { modelId, localId } of [result.a, result.b]) {
+    if (!fragments.list.has(modelId)) continue;
+    (items[modelId] ??= new Set()).add(localId);
+  }
+  await highlighter.highlightByID("select", items, true, true);
+  updateExplorer();
+}
+
+// ========================================
+// 7g. Quantity Takeoff
+// ========================================
+// Quantities come from the backend for a whole model or a classifier group;
+// they are regrouped here, so changing the grouping needs no new request.
+let takeoffSource = ""; // groupSourceKey() of the group to take off
+let takeoffLevels = [...DEFAULT_TAKEOFF_LEVELS];
+// { label, elements: [{ modelId, localId, guid, ..., quantities }], units, root } or null
+let takeoffResult = null;
+let takeoffRunning = false;
+let takeoffQuantity = null; // Quantity shown in the tree; exports have all of them
+const takeoffExpanded = new Set(); // Keys of expanded takeoff nodes
+
+async function runTakeoff() {
+  const found = findGroupBySource(takeoffSource);
+  if (!found) throw new Error("Pick a model or group");
+
+  const wholeModel = found.classification === "Models";
+  const elements = [];
+  const units = {};
+  let skipped = 0;
+  for (const [modelId, localIds] of Object.entries(found.group.items)) {
+    const info = loadedModels.get(modelId);
+    const model = fragments.list.get(modelId);
+    if (!info || !model) continue;
+    if (info.localOnly) {
+      skipped++;
+      continue;
+    }
+    const guids = wholeModel
+      ? null
+      : (await model.getGuidsByLocalIds(Array.from(localIds))).filter((guid) => guid !== null);
+    if (guids?.length === 0) continue;
+
+    const report = await api.getQuantities(info.backendModelId, guids);
+    const foundIds = await model.getLocalIdsByGuids(report.elements.map((element) => element.guid));
+    report.elements.forEach((element, i) => {
+      if (foundIds[i] !== null) elements.push({ ...element, modelId, localId: foundIds[i] });
+    });
+    Object.assign(units, report.units);
+  }
+  if (elements.length === 0 && skipped > 0) throw new Error("The models are not on the backend");
+
+  const quantityNames = listQuantityNames(units);
+  takeoffResult = {
+    label: wholeModel ? loadedModels.get(found.group.name)?.name ?? found.group.name : found.group.name,
+    elements,
+    units,
+    root: buildTakeoff(elements, takeoffLevels),
+  };
+  if (!quantityNames.includes(takeoffQuantity)) takeoffQuantity = quantityNames[0] ?? null;
+  takeoffExpanded.clear();
+}
+
+function setTakeoffLevel(index, level) {
+  const levels = [...takeoffLevels];
+  levels[index] = level;
+  // A cleared level drops the levels below it too; a repeated level is dropped
+  const cut = levels.indexOf("");
+  takeoffLevels = (cut === -1 ? levels : levels.slice(0, cut)).filter((key, i, all) => all.indexOf(key) === i);
+  if (takeoffResult) {
+    takeoffResult.root = buildTakeoff(takeoffResult.elements, takeoffLevels);
+    takeoffExpanded.clear();
+  }
+}
+
+/**
+ * ModelIdMap of the elements counted in a takeoff node
+ */
+function takeoffItems(node) {
+  const items = {};
+  for (const { modelId, localId } of node.elements) {
+    (items[modelId] ??= new Set()).add(localId);
+  }
+  return items;
+}
+
+async function exportTakeoff(format) {
+  if (!takeoffResult) return;
+  const { root, units, label } = takeoffResult;
+  const name = `takeoff_${label.replace(/\.(ifc|frag)$/i, "").replace(/[^\w.-]+/g, "_")}`;
+  if (format === "xlsx") {
+    downloadBlob(await takeoffToXLSX(root, takeoffLevels, units), `${name}.xlsx`);
+  } else {
+    downloadBlob(new Blob([takeoffToCSV(root, takeoffLevels, units)], { type: "text/csv" }), `${name}.csv`);
+  }
+}
+
+container.addEventListener("mouseup", async (event) => {
+  if (!isMouseDown) return;
+  isMouseDown = false;
+  
+  if (event.button !== 0) return; // Only process left click here
+
+  // An armed section tool takes the click to place a plane
+  if (await sectionTool.handleClick()) return;
+  // So does an active measurement mode
+  if (await measureTool.handleClick()) return;
+  // And picking alignment points
+  if (await placementTool.handleClick()) return;
+  
+  await handleSelection(event);
+});
+
+container.addEventListener("contextmenu", async (event) => {
+    event.preventDefault();
+    
+    // Select element under cursor if not already selected (optional, but good UX)
+    // Actually, usually right click selects the item under it if not selected.
+    const hit = await handleSelection(event);
+    // Remembered for "Add note here"
+    noteAnchor = hit ? { modelId: hit.fragments.modelId, localId: hit.localId, point: hit.point.clone() } : null;
+    
+    // Show menu regardless
+    // But maybe check if we have a selection now?
+    const hasSelection = Object.keys(highlighter.selection.select || {}).length > 0;
+    
+    // We could conditionally show the menu, but showing it always with disabled actions is also a pattern.
+    // For now, just show it. Logic inside actions checks selection.
+    contextMenu.show(event.clientX, event.clientY, { hasPoint: !!noteAnchor });
+});
+
+// ========================================
+// 8. UI Panels: Explorer (Left) & Properties (Right)
 // ========================================
 BUI.Manager.init();
 
-// --- 8b. Right Panel: Properties ---
-let propertiesTab = 'data'; // 'data' or 'actions'
+// --- 8b. Right Panel: Properties ---
+let propertiesTab = 'data'; // 'data' or 'actions'
+let compareOnlyDifferences = false;
+let propertyFilter = '';
+// Pset sections the user collapsed; kept across selections
+const collapsedPsets = new Set();
+// Inline edit in progress: { pset, name, value, saving, error } or null
+let editingProperty = null;
+
+// "Quantities" is assembled by the backend from all quantity sets and has no
+// entity of its own; "id" is the pset's entity id added by ifcopenshell.
+const isEditableProperty = (psetName, key, value) =>
+  psetName !== 'Quantities' && key !== 'id' && (value === null || typeof value !== 'object');
+
+// Longer selections are summarized instead of listed row by row
+const SELECTION_LIST_LIMIT = 200;
+
+/**
+ * Persist an inline edit through the backend and refresh the element
+ */
+async function saveEditedProperty() {
+  const edit = editingProperty;
+  const item = selectedItems[activeItemIndex];
+  const modelInfo = item && loadedModels.get(item.modelId);
+  if (!edit || !modelInfo || !selectedElementData?.guid) return;
+
+  editingProperty = { ...edit, saving: true, error: null };
+  updateProperties();
+
+  try {
+    const { change } = await api.updateProperty(
+      modelInfo.backendModelId, selectedElementData.guid, edit.pset, edit.name, edit.value
+    );
+    modelInfo.changes = [...(modelInfo.changes ?? []), change];
+    console.log("✏️ Property updated:", change);
+  } catch (error) {
+    console.error("❌ Error updating property:", error);
+    editingProperty = { ...edit, saving: false, error: error.message };
+    updateProperties();
+    return;
+  }
+
+  editingProperty = null;
+  elementDataCache.delete(itemKey(item));
+  compareData = null;
+  await showActiveItem();
+  updateExplorer();
+}
+
+const [propertiesUI, updateProperties] = BUI.Component.create((_) => {
+  const onTabChange = (tab) => {
+    propertiesTab = tab;
+    updateProperties();
+  };
+
+  const onIsolate = () => {
+    const selection = highlighter.selection.select;
+    if (selection && Object.keys(selection).length > 0) {
+      hider.isolate(selection);
+    }
+  };
+
+  const onHide = () => {
+    const selection = highlighter.selection.select;
+    if (selection && Object.keys(selection).length > 0) {
+       hider.set(false, selection);
+       highlighter.clear("select");
+       updateProperties(); // Clear panel content if hidden
+    }
+  };
+
+  const onShowAll = () => {
+     hider.set(true);
+  };
+
+  const onSelectItem = (index) => {
+    activeItemIndex = index;
+    editingProperty = null;
+    propertiesView = 'details';
+    showActiveItem();
+  };
+
+  const onViewChange = (view) => {
+    propertiesView = view;
+    if (view === 'compare' && !compareData) {
+      loadCompareData();
+    } else {
+      updateProperties();
+    }
+  };
+
+  const renderSelectionInfo = () => {
+    if (selectedItems.length === 0) {
+      return BUI.html`<bim-label>Nothing selected</bim-label>`;
+    }
+    if (selectedItems.length === 1) {
+      return BUI.html`<bim-label>1 element selected</bim-label>`;
+    }
+
+    const hidden = selectedItems.length - SELECTION_LIST_LIMIT;
+    return BUI.html`
+      <bim-label>${selectedItems.length} elements selected</bim-label>
+      <div class="tab-group" style="margin: 8px 0;">
+        <div class="tab-btn ${propertiesView === 'details' ? 'active' : ''}" @click=${() => onViewChange('details')}>
+          Details
+        </div>
+        <div class="tab-btn ${propertiesView === 'compare' ? 'active' : ''}" @click=${() => onViewChange('compare')}>
+          Compare
+        </div>
+      </div>
+      <div class="selection-list">
+        ${selectedItems.slice(0, SELECTION_LIST_LIMIT).map((item, index) => BUI.html`
+          <div 
+            class="selection-list-item ${propertiesView === 'details' && index === activeItemIndex ? 'active' : ''}"
+            @click=${() => onSelectItem(index)}>
+            <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${item.name || 'Unnamed'}</span>
+            <span style="color: #888; font-size: 0.7rem; flex-shrink: 0;">${item.category ?? ''}</span>
+          </div>
+        `)}
+        ${hidden > 0 ? BUI.html`<bim-label>…and ${hidden} more</bim-label>` : ''}
+      </div>
+    `;
+  };
+
+  const renderCompare = () => {
+    if (!compareData || compareData.pending) {
+      return BUI.html`
+        <div style="text-align: center; padding: 20px;">
+          <bim-label>Loading ${Math.min(selectedItems.length, COMPARE_LIMIT)} elements to compare...</bim-label>
+        </div>
+      `;
+    }
+
+    const psets = compareData.psets
+      .map((pset) => ({
+        ...pset,
+        properties: compareOnlyDifferences
+          ? pset.properties.filter((prop) => !prop.identical)
+          : pset.properties,
+      }))
+      .filter((pset) => pset.properties.length > 0);
+
+    return BUI.html`
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+        <bim-label>
+          Comparing ${compareData.count} elements
+          ${compareData.failed > 0 ? ` (${compareData.failed} failed to load)` : ''}
+          ${selectedItems.length > COMPARE_LIMIT ? ` (first ${COMPARE_LIMIT} of ${selectedItems.length})` : ''}
+        </bim-label>
+        <bim-checkbox 
+          label="Only differences" 
+          .checked=${compareOnlyDifferences}
+          @change=${(e) => { compareOnlyDifferences = e.target.checked; updateProperties(); }}>
+        </bim-checkbox>
+      </div>
+      ${psets.length === 0 ? BUI.html`<bim-label>All compared values are identical.</bim-label>` : ''}
+      ${psets.map((pset) => BUI.html`
+        <div style="margin-bottom: 20px;">
+          <div style="font-weight: 600; color: #60a5fa; margin-bottom: 10px; font-size: 0.85rem; letter-spacing: 0.05em; text-transform: uppercase;">${pset.name}</div>
+          ${pset.properties.map((prop) => BUI.html`
+            <div class="compare-row ${prop.identical ? 'compare-identical' : 'compare-different'}">
+              <span style="color: #94a3b8; font-size: 0.8rem; margin-right: 8px; margin-top: 1px;">
+                ${prop.identical ? '=' : '≠'} ${prop.name}
+              </span>
+              <span style="font-weight: 500; font-size: 0.85rem; text-align: right; max-width: 65%; word-break: break-word; line-height: 1.4;">
+                ${prop.identical
+                  ? prop.values[0].value
+                  : prop.values.map((v) => BUI.html`<div>${v.value} <span style="color: #888;">×${v.count}</span></div>`)}
+                ${prop.missing > 0 ? BUI.html`<div style="color: #888;">missing ×${prop.missing}</div>` : ''}
+              </span>
+            </div>
+          `)}
+        </div>
+      `)}
+    `;
+  };
+
+  const canEdit = () => {
+    const item = selectedItems[activeItemIndex];
+    const modelInfo = item && loadedModels.get(item.modelId);
+    return Boolean(modelInfo && !modelInfo.localOnly && selectedElementData?.source !== 'local');
+  };
+
+  const isEditing = (psetName, key) =>
+    editingProperty?.pset === psetName && editingProperty?.name === key;
+
+  /**
+   * A property value that copies on click and, where supported, edits inline
+   */
+  const renderValue = (psetName, key, value, style) => {
+    const displayValue = formatPropertyValue(value);
+
+    if (isEditing(psetName, key)) {
+      return BUI.html`
+        <div class="property-editor">
+          <input 
+            type="text"
+            .value=${editingProperty.value ?? ''}
+            ?disabled=${editingProperty.saving}
+            @input=${(e) => { editingProperty.value = e.target.value; }}
+            @keydown=${(e) => {
+              if (e.key === 'Enter') saveEditedProperty();
+              if (e.key === 'Escape') { editingProperty = null; updateProperties(); }
+            }} />
+          <bim-button icon="solar:check-circle-bold" tooltip-title="Save" @click=${saveEditedProperty}></bim-button>
+          <bim-button icon="solar:close-circle-bold" tooltip-title="Cancel" @click=${() => { editingProperty = null; updateProperties(); }}></bim-button>
+          ${editingProperty.error ? BUI.html`<div class="property-editor-error">${editingProperty.error}</div>` : ''}
+        </div>
+      `;
+    }
+
+    return BUI.html`
+      <span style="display: flex; align-items: start; gap: 4px; max-width: 65%; justify-content: flex-end;">
+        <span 
+          class="copyable"
+          title="Click to copy"
+          @click=${() => copyToClipboard(displayValue, key)}
+          style=${style}>${displayValue}</span>
+        ${canEdit() && isEditableProperty(psetName, key, value) ? BUI.html`
+          <span 
+            class="edit-icon" 
+            title="Edit value"
+            @click=${() => {
+              editingProperty = { pset: psetName, name: key, value: value ?? '', saving: false, error: null };
+              updateProperties();
+            }}>✎</span>
+        ` : ''}
+      </span>
+    `;
+  };
+
+  const onSelectChange = async (frontendId, change) => {
+    const model = fragments.list.get(frontendId);
+    if (!model) return;
+    const [localId] = await model.getLocalIdsByGuids([change.guid]);
+    if (localId === null || localId === undefined) return;
+    await highlighter.highlightByID("select", { [frontendId]: new Set([localId]) }, true, true);
+  };
+
+  // Edits across all loaded models, newest first; "pending" = not yet downloaded
+  const renderChangeLog = () => {
+    const entries = Array.from(loadedModels.entries())
+      .flatMap(([frontendId, info]) => (info.changes ?? []).map((change, index) => ({
+        frontendId,
+        modelName: info.name,
+        change,
+        pending: index >= (info.exportedChangeCount ?? 0),
+      })))
+      .reverse();
+    if (entries.length === 0) return '';
+
+    const pendingCount = entries.filter((entry) => entry.pending).length;
+    return BUI.html`
+      <bim-panel-section label="📝 Change Log (${pendingCount} pending)" collapsed>
+        ${entries.map(({ frontendId, modelName, change, pending }) => BUI.html`
+          <div class="change-log-item" @click=${() => onSelectChange(frontendId, change)}>
+            <div style="display: flex; justify-content: space-between; gap: 8px;">
+              <span style="color: white; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                ${change.element_name || change.element_type}
+              </span>
+              ${pending ? BUI.html`<span class="badge badge-warning">pending</span>` : ''}
+            </div>
+            <div style="color: #94a3b8;">${change.pset}.${change.name}</div>
+            <div>
+              <span style="color: #f87171; text-decoration: line-through;">${formatPropertyValue(change.old_value)}</span>
+              →
+              <span style="color: #4ade80;">${formatPropertyValue(change.new_value)}</span>
+            </div>
+            <div style="color: #666; font-size: 0.65rem;">${modelName} • ${new Date(change.timestamp).toLocaleString()}</div>
+          </div>
+        `)}
+      </bim-panel-section>
+    `;
+  };
+
+  const renderTabs = () => BUI.html`
+    <div class="tab-group">
+      <div 
+        class="tab-btn ${propertiesTab === 'data' ? 'active' : ''}" 
+        @click=${() => onTabChange('data')}>
+        Data
+      </div>
+      <div 
+        class="tab-btn ${propertiesTab === 'actions' ? 'active' : ''}" 
+        @click=${() => onTabChange('actions')}>
+        Actions
+      </div>
+    </div>
+  `;
+
+  // Content for Actions Tab
+  const renderActions = () => BUI.html`
+    <bim-panel-section label="⚡ Selection Actions">
+      <div style="display: flex; flex-direction: column; gap: 8px;">
+        <bim-button 
+          label="Isolate Selection" 
+          icon="solar:eye-bold"
+          @click=${onIsolate}>
+        </bim-button>
+        <bim-button 
+          label="Hide Selection" 
+          icon="solar:eye-closed-bold"
+          @click=${onHide}>
+        </bim-button>
+        <bim-button 
+          label="Show All" 
+          icon="solar:refresh-bold"
+          @click=${onShowAll}>
+        </bim-button>
+      </div>
+    </bim-panel-section>
+  `;
+
+  let content;
+  if (propertiesTab === 'actions') {
+      // Actions Tab Logic
+      // Check if we have a selection to enable buttons (optional visual feedback, but simple is fine)
+      content = renderActions();
+  } else {
+      // Data Tab Logic (Existing)
+      if (propertiesView === 'compare' && selectedItems.length > 1) {
+        content = renderCompare();
+      } else if (isLoadingElement) {
+        content = BUI.html`
+          <div style="text-align: center; padding: 20px;">
+            <bim-label>Loading element data from backend...</bim-label>
+          </div>
+        `;
+      } else if (!selectedElementData) {
+        content = BUI.html`
+          <bim-label>No element selected. Select an element to view properties.</bim-label>
+        `;
+      } else if (selectedElementData.error) {
+        content = BUI.html`
+          <div style="padding: 8px; background: #ffcccc; color: #cc0000; border-radius: 4px;">
+            <bim-label>Error: ${selectedElementData.error}</bim-label>
+          </div>
+        `;
+      } else {
+        const basicProps = BUI.html`
+          <div style="margin-bottom: 24px;">
+            <div style="font-weight: 600; color: #4ade80; margin-bottom: 12px; font-size: 0.9rem; letter-spacing: 0.05em; text-transform: uppercase;">
+              Basic Info
+              ${selectedElementData.source === 'local' ? BUI.html`
+                <span class="badge badge-warning" title="Backend unavailable. Showing attributes and psets stored in the model.">local data</span>
+              ` : ''}
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+              <span style="color: #cbd5e1; font-size: 0.85rem;">Name</span>
+              ${renderValue('Attributes', 'Name', selectedElementData.name, 'font-weight: 500; color: white; font-size: 0.9rem;')}
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+              <span style="color: #cbd5e1; font-size: 0.85rem;">Type</span>
+              <span style="font-weight: 500; color: white; font-size: 0.9rem;">${selectedElementData.type}</span>
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+              <span style="color: #cbd5e1; font-size: 0.85rem;">GUID</span>
+              <span 
+                class="copyable"
+                title="Click to copy"
+                @click=${() => copyToClipboard(selectedElementData.guid, 'GUID')}
+                style="font-weight: 400; font-family: monospace; font-size: 0.75rem; color: #94a3b8; background: rgba(0,0,0,0.2); padding: 2px 4px; border-radius: 4px;">${selectedElementData.guid}</span>
+            </div>
+          </div>
+        `;
+        
+        // Display Property Sets (Truncated for replacement, re-adding in next chunk if needed or assuming strict match)
+        // Wait, I need to include the rest of the file content in the replace if I replace the whole block.
+        // I will return ONLY the start of the logic here and let the existing PSET logic flow if tab is DATA.
+        // Actually, cleaner to wrap existing logic.
+        
+        const query = propertyFilter.trim().toLowerCase();
+        // Direct attributes render as a pseudo-pset so they can be filtered and edited alike
+        const groups = {
+          Attributes: selectedElementData.properties || {},
+          ...selectedElementData.psets
+        };
+        const psetElements = Object.entries(groups).map(([psetName, props]) => {
+            // A pset whose name matches keeps all its properties
+            const psetMatches = !query || psetName.toLowerCase().includes(query);
+            const entries = Object.entries(props).filter(([key, value]) =>
+              psetMatches ||
+              key.toLowerCase().includes(query) ||
+              formatPropertyValue(value).toLowerCase().includes(query)
+            );
+            if (entries.length === 0) return null;
+
+            const propItems = entries.map(([key, value]) => {
+                return BUI.html`
+                  <div style="display: flex; justify-content: space-between; align-items: start; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                    <span style="color: #94a3b8; font-size: 0.8rem; margin-right: 8px; margin-top: 1px;">${key}</span>
+                    ${renderValue(psetName, key, value, 'font-weight: 500; font-size: 0.85rem; text-align: right; word-break: break-word; color: #e2e8f0; line-height: 1.4;')}
+                  </div>
+                `;
+            });
+            
+            // While filtering, every section with matches is expanded
+            return BUI.html`
+                <details 
+                  class="pset-section"
+                  ?open=${query !== '' || !collapsedPsets.has(psetName)}
+                  @toggle=${(e) => {
+                    if (query) return;
+                    if (e.target.open) collapsedPsets.delete(psetName);
+                    else collapsedPsets.add(psetName);
+                  }}>
+                <summary style="font-weight: 600; color: #60a5fa; font-size: 0.85rem; letter-spacing: 0.05em; text-transform: uppercase;">
+                  ${psetName}
+                  <span style="margin-left: auto; color: #888; font-weight: 400; font-size: 0.7rem;">${entries.length}</span>
+                </summary>
+                ${propItems}
+                </details>
+            `;
+        }).filter(Boolean);
+
+        const toolbar = BUI.html`
+          <div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 16px;">
+            <bim-text-input 
+              placeholder="Filter properties by name or value..." 
+              debounce="150"
+              .value=${propertyFilter}
+              @input=${(e) => { propertyFilter = e.target.value; updateProperties(); }}>
+            </bim-text-input>
+            <div style="display: flex; gap: 8px;">
+              <bim-button 
+                label="Copy JSON" 
+                icon="solar:copy-bold"
+                @click=${() => copyToClipboard(elementToJSON(selectedElementData), 'Element JSON')}>
+              </bim-button>
+              <bim-button 
+                label="Copy CSV" 
+                icon="solar:copy-bold"
+                @click=${() => copyToClipboard(elementToCSV(selectedElementData), 'Element CSV')}>
+              </bim-button>
+            </div>
+          </div>
+        `;
+
+        content = BUI.html`
+            ${toolbar}
+            ${basicProps}
+            ${psetElements}
+            ${query && psetElements.length === 0 ? BUI.html`
+              <bim-label>No properties match "${propertyFilter}".</bim-label>
+            ` : ''}
+        `;
+    }
+  }
+
+  return BUI.html`
+    <bim-panel active label="Properties" class="bim-panel-base properties-panel">
+      ${renderTabs()}
+      
+      <bim-panel-section label="🎯 Selection Info">
+        ${renderSelectionInfo()}
+      </bim-panel-section>
+
+      <bim-panel-section label="${propertiesTab === 'data' ? '📋 Element Properties' : '⚡ Actions'}" style="max-height: calc(100vh - 350px); overflow-y: auto;">
+        ${content}
+      </bim-panel-section>
+
+      ${propertiesTab === 'data' ? renderChangeLog() : ''}
+    </bim-panel>
+  `;
+}, {});
+
+
+// --- 8a. Left Panel: Object Explorer & Models ---
+
+// Initialize Spatial Tree (BUIC) globally so it persists and we can debug it
+const [spatialTree] = BUIC.tables.spatialTree({
+    components,
+    models: [], // Auto-updated
+});
+spatialTree.preserveStructureOnFilter = true;
+
+const onSearchTree = (e) => {
+  spatialTree.queryString = e.target.value;
+};
+
+const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
+  const onFileSelect = (event) => {
+    const files = Array.from(event.target.files ?? []);
+    event.target.value = '';
+    if (files.length > 0) enqueueFiles(files);
+  };
+
+  const onRemoveModel = async (frontendModelId) => {
+    const modelInfo = loadedModels.get(frontendModelId);
 
-const [propertiesUI, updateProperties] = BUI.Component.create((_) => {
-  const onTabChange = (tab) => {
-    propertiesTab = tab;
-    updateProperties();
+    if (attachChoices?.frontendModelId === frontendModelId) attachChoices = null;
+    if (placementTool.align?.modelId === frontendModelId) placementTool.cancelAlign();
+    if (placementModelId === frontendModelId) placementModelId = null;
+    if ([diffResult?.baseId, diffResult?.revisedId].includes(frontendModelId)) await clearDiff();
+    if (diffBaseId === frontendModelId) diffBaseId = null;
+    if (diffRevisedId === frontendModelId) diffRevisedId = null;
+    for (const test of clashTests) {
+      test.results = test.results?.filter((result) => result.a.modelId !== frontendModelId && result.b.modelId !== frontendModelId) ?? null;
+    }
+    if (takeoffResult?.elements.some((element) => element.modelId === frontendModelId)) takeoffResult = null;
+    if (modelInfo && !modelInfo.localOnly && !modelInfo.attached) {
+      try {
+        await api.removeModel(modelInfo.backendModelId);
+        console.log("✅ Removed from backend");
+      } catch (error) {
+        console.error("⚠️ Error removing from backend:", error);
+      }
+    }
+
+    // Drop the selection before its model goes away
+    if (selectedItems.some((item) => item.modelId === frontendModelId)) {
+      await highlighter.clear("select");
+    }
+    measureTool.removeForModel(frontendModelId);
+    noteTool.removeForModel(frontendModelId);
+    if (noteCard?.modelId === frontendModelId) closeNoteCard();
+    // Colors are rebuilt for the remaining models once this one is gone
+    const recolor = colorBy && { pset: colorBy.pset, name: colorBy.name };
+    if (recolor) await clearColorBy();
+
+    const model = fragments.list.get(frontendModelId);
+    if (model) {
+      world.scene.three.remove(model.object);
+      fragments.list.delete(frontendModelId);
+      model.dispose();
+    }
+
+    loadedModels.delete(frontendModelId);
+    if (queryResults?.map[frontendModelId]) {
+      queryResults.items = queryResults.items.filter((item) => item.modelId !== frontendModelId);
+      delete queryResults.map[frontendModelId];
+    }
+    await planTool.refresh();
+    await refreshClassificationGroups();
+    refreshPropertyKeys();
+    refreshViewpoints();
+    if (recolor && loadedModels.size > 0) await onApplyColorBy(recolor);
+
+    await fragments.core.update(true);
+    updateExplorer({ tab: state.tab });
+  };
+
+  const onDownloadModel = async (frontendModelId) => {
+    const modelInfo = loadedModels.get(frontendModelId);
+    if (!modelInfo || modelInfo.localOnly) return;
+
+    try {
+      const blob = await api.downloadIFC(modelInfo.backendModelId);
+      const baseName = modelInfo.name.replace(/\.ifc$/i, "");
+      const edited = (modelInfo.changes ?? []).length > 0;
+      downloadBlob(blob, edited ? `${baseName}_modified.ifc` : `${baseName}.ifc`);
+      modelInfo.exportedChangeCount = (modelInfo.changes ?? []).length;
+      updateProperties();
+    } catch (error) {
+      console.error("❌ Error downloading IFC:", error);
+      loadError = `Failed to download ${modelInfo.name}: ${error.message}`;
+    }
+    updateExplorer();
+  };
+
+  const onDownloadFragments = async (frontendModelId) => {
+    const modelInfo = loadedModels.get(frontendModelId);
+    const model = fragments.list.get(frontendModelId);
+    if (!modelInfo || !model) return;
+
+    try {
+      const buffer = await model.getBuffer(false);
+      const baseName = modelInfo.name.replace(/\.(ifc|frag)$/i, "");
+      downloadBlob(new Blob([buffer], { type: "application/octet-stream" }), `${baseName}.frag`);
+    } catch (error) {
+      console.error("❌ Error exporting fragments:", error);
+      loadError = `Failed to export ${modelInfo.name} as .frag: ${error.message}`;
+      updateExplorer();
+    }
+  };
+
+  const onStartAttach = async (frontendModelId) => {
+    try {
+      const backendModels = await api.listModels();
+      if (backendModels.length === 0) {
+        showToast("The backend holds no models. Upload the source IFC first.", { type: "error" });
+        return;
+      }
+      attachChoices = { frontendModelId, backendModels };
+    } catch (error) {
+      showToast(`Could not list backend models: ${error.message}`, { type: "error" });
+    }
+    updateExplorer();
+  };
+
+  const onAttach = async (backendModelId) => {
+    const { frontendModelId } = attachChoices;
+    attachChoices = null;
+    try {
+      await attachBackendModel(frontendModelId, backendModelId);
+      showToast(`Attached ${loadedModels.get(frontendModelId)?.name} to the backend model`);
+    } catch (error) {
+      showToast(`Failed to attach model: ${error.message}`, { type: "error" });
+    }
+    updateExplorer();
+  };
+
+  const onSectionBox = async () => {
+    const box = await getSelectionBox();
+    if (!box) {
+      showToast("Select elements to fit the section box around", { type: "error" });
+      return;
+    }
+    sectionTool.createBox(box);
+  };
+
+  const onToggleGroupCheck = (classificationName, groupName, checked) => {
+    if (!checkedGroups.has(classificationName)) checkedGroups.set(classificationName, new Set());
+    const names = checkedGroups.get(classificationName);
+    if (checked) names.add(groupName);
+    else names.delete(groupName);
+    updateExplorer();
+  };
+
+  const onGroupAction = async (action, items) => {
+    try {
+      await applyGroupAction(action, items);
+    } catch (error) {
+      console.error(`❌ Error applying "${action}" to group:`, error);
+      showToast(`Failed to ${action} elements: ${error.message}`, { type: "error" });
+    }
+  };
+
+  const renderGroupActions = (items) => BUI.html`
+    <bim-button icon="solar:eye-bold" tooltip-title="Show" @click=${() => onGroupAction('show', items)}></bim-button>
+    <bim-button icon="solar:eye-closed-bold" tooltip-title="Hide" @click=${() => onGroupAction('hide', items)}></bim-button>
+    <bim-button icon="solar:target-bold" tooltip-title="Isolate" @click=${() => onGroupAction('isolate', items)}></bim-button>
+    <bim-button icon="solar:cursor-bold" tooltip-title="Select" @click=${() => onGroupAction('select', items)}></bim-button>
+  `;
+
+  // Models are classified by their frontend id: show the file name instead
+  const groupLabel = (classificationName, groupName) =>
+    classificationName === 'Models' ? loadedModels.get(groupName)?.name ?? groupName : groupName;
+
+  const renderGroupsTab = () => {
+    const filterItems = combineGroups(classificationGroups, checkedGroups);
+    const filterLabel = Array.from(checkedGroups)
+      .filter(([, names]) => names.size > 0)
+      .map(([classificationName, names]) =>
+        Array.from(names, (name) => groupLabel(classificationName, name)).join(' or '))
+      .join(' on ');
+
+    return BUI.html`
+      ${filterItems ? BUI.html`
+        <bim-panel-section label="🔎 Combined Filter">
+          <bim-label style="white-space: normal;">${filterLabel}</bim-label>
+          <div class="group-item">
+            <span style="flex: 1;">${countItems(filterItems)} elements</span>
+            ${renderGroupActions(filterItems)}
+          </div>
+          <bim-button 
+            label="Clear Filter" 
+            @click=${() => { checkedGroups.clear(); updateExplorer(); }}>
+          </bim-button>
+        </bim-panel-section>
+      ` : ''}
+
+      <bim-panel-section label="🎨 Color by Property">
+        ${propertyKeys.length === 0 ? BUI.html`
+          <bim-label style="white-space: normal;">Properties are listed once a model is loaded with the backend running.</bim-label>
+        ` : BUI.html`
+          <select 
+            class="color-by-select"
+            .value=${colorByChoice ?? ''}
+            @change=${(e) => { colorByChoice = e.target.value || null; updateExplorer(); }}>
+            <option value="">Choose a property…</option>
+            ${propertyKeys.map((key) => BUI.html`
+              <option value=${propertyKeyId(key)} ?selected=${colorByChoice === propertyKeyId(key)}>
+                ${key.pset === 'Attributes' ? key.name : `${key.pset} / ${key.name}`}
+              </option>
+            `)}
+          </select>
+          <div style="display: flex; gap: 8px; margin-top: 8px;">
+            <bim-button 
+              label=${colorByLoading ? 'Coloring…' : 'Apply'}
+              icon="solar:palette-bold"
+              ?disabled=${!colorByChoice || colorByLoading}
+              @click=${() => onApplyColorBy(propertyKeys.find((key) => propertyKeyId(key) === colorByChoice))}>
+            </bim-button>
+            <bim-button 
+              label="Reset colors" 
+              ?disabled=${!colorBy}
+              @click=${() => clearColorBy().then(() => updateExplorer())}>
+            </bim-button>
+          </div>
+        `}
+      </bim-panel-section>
+
+      <bim-panel-section label="🏷️ Classification Groups">
+        ${classificationGroups.length === 0 ? BUI.html`
+          <bim-label style="white-space: normal;">Load a model to browse its models, categories and storeys.</bim-label>
+        ` : BUI.html`
+          <bim-label style="white-space: normal; margin-bottom: 8px;">
+            Check groups to combine them: groups of one kind add up, different kinds narrow down.
+          </bim-label>
+          ${classificationGroups.map((classification) => BUI.html`
+            <details class="pset-section" open>
+              <summary style="font-weight: 600; color: #60a5fa; font-size: 0.85rem; letter-spacing: 0.05em; text-transform: uppercase;">
+                ${classification.name}
+                <span style="margin-left: auto; color: #888; font-weight: 400; font-size: 0.7rem;">${classification.groups.length}</span>
+              </summary>
+              ${classification.groups.map((group) => BUI.html`
+                <div class="group-item">
+                  <input 
+                    type="checkbox"
+                    .checked=${checkedGroups.get(classification.name)?.has(group.name) ?? false}
+                    @change=${(e) => onToggleGroupCheck(classification.name, group.name, e.target.checked)} />
+                  <span class="group-name" title=${groupLabel(classification.name, group.name)}>
+                    ${groupLabel(classification.name, group.name)}
+                  </span>
+                  <span class="group-count">${group.count}</span>
+                  ${renderGroupActions(group.items)}
+                </div>
+              `)}
+            </details>
+          `)}
+        `}
+      </bim-panel-section>
+    `;
+  };
+
+  const onRunQuery = async () => {
+    queryRunning = true;
+    updateExplorer();
+    try {
+      await runQuery();
+    } catch (error) {
+      console.error("❌ Error running query:", error);
+      showToast(`Query failed: ${error.message}`, { type: "error" });
+    } finally {
+      queryRunning = false;
+      updateExplorer();
+    }
+  };
+
+  const onUpdateRule = (index, changes) => {
+    queryRules[index] = { ...queryRules[index], ...changes };
+    updateExplorer();
+  };
+
+  const onSaveQuery = () => {
+    const name = queryName.trim();
+    if (!name) {
+      showToast("Name the query to save it", { type: "error" });
+      return;
+    }
+    saveQuery(name, queryRules);
+    savedQueries = listSavedQueries();
+    showToast(`Saved query "${name}"`);
+    updateExplorer();
+  };
+
+  const onLoadQuery = (saved) => {
+    queryRules = structuredClone(saved.rules);
+    queryName = saved.name;
+    queryResults = null;
+    updateExplorer();
+  };
+
+  const onDeleteQuery = (name) => {
+    deleteSavedQuery(name);
+    savedQueries = listSavedQueries();
+    updateExplorer();
+  };
+
+  const renderQueryRule = (rule, index) => {
+    const ruleKey = propertyKeyId(rule);
+    const keys = propertyKeys.some((key) => propertyKeyId(key) === ruleKey)
+      ? propertyKeys
+      : [{ pset: rule.pset, name: rule.name }, ...propertyKeys];
+
+    return BUI.html`
+      <div class="query-rule">
+        ${index > 0 ? BUI.html`<div class="query-rule-and">AND</div>` : ''}
+        <select 
+          class="color-by-select"
+          @change=${(e) => onUpdateRule(index, keys.find((key) => propertyKeyId(key) === e.target.value))}>
+          ${keys.map((key) => BUI.html`
+            <option value=${propertyKeyId(key)} ?selected=${propertyKeyId(key) === ruleKey}>
+              ${key.pset === 'Attributes' ? key.name : `${key.pset} / ${key.name}`}
+            </option>
+          `)}
+        </select>
+        <div style="display: flex; gap: 4px; margin-top: 4px;">
+          <select 
+            class="color-by-select"
+            style="width: auto;"
+            @change=${(e) => onUpdateRule(index, { operator: e.target.value })}>
+            ${QUERY_OPERATORS.map((operator) => BUI.html`
+              <option value=${operator.id} ?selected=${operator.id === rule.operator}>${operator.label}</option>
+            `)}
+          </select>
+          ${VALUELESS_OPERATORS.has(rule.operator) ? BUI.html`<span style="flex: 1;"></span>` : BUI.html`
+            <input 
+              class="query-value"
+              type="text"
+              placeholder="Value"
+              .value=${rule.value ?? ''}
+              @input=${(e) => { queryRules[index].value = e.target.value; }}
+              @keydown=${(e) => { if (e.key === 'Enter') onRunQuery(); }} />
+          `}
+          <bim-button 
+            icon="solar:trash-bin-trash-bold"
+            tooltip-title="Remove rule"
+            ?disabled=${queryRules.length === 1}
+            @click=${() => { queryRules.splice(index, 1); updateExplorer(); }}>
+          </bim-button>
+        </div>
+      </div>
+    `;
+  };
+
+  const renderQueryResults = () => {
+    if (!queryResults) return '';
+    const { items, map, skippedModels } = queryResults;
+    const hidden = items.length - SELECTION_LIST_LIMIT;
+
+    return BUI.html`
+      <bim-panel-section label="📋 Results (${items.length})">
+        ${skippedModels.length > 0 ? BUI.html`
+          <bim-label style="white-space: normal; color: #fbbf24;">Not searched (local only): ${skippedModels.join(', ')}</bim-label>
+        ` : ''}
+        ${items.length > 0 ? BUI.html`
+          <div style="display: flex; gap: 4px; margin-bottom: 8px;">
+            <bim-button label="Select" icon="solar:cursor-bold" @click=${() => onGroupAction('select', map)}></bim-button>
+            <bim-button label="Isolate" icon="solar:target-bold" @click=${() => onGroupAction('isolate', map)}></bim-button>
+            <bim-button label="CSV" icon="solar:download-bold" @click=${exportQueryResults}></bim-button>
+          </div>
+          <div class="selection-list">
+            ${items.slice(0, SELECTION_LIST_LIMIT).map((item) => BUI.html`
+              <div 
+                class="selection-list-item"
+                title=${item.guid}
+                @click=${() => onGroupAction('select', { [item.modelId]: new Set([item.localId]) })}>
+                <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${item.name || 'Unnamed'}</span>
+                <span style="color: #888; font-size: 0.7rem; flex-shrink: 0;">${item.type}${item.storey ? ` · ${item.storey}` : ''}</span>
+              </div>
+            `)}
+            ${hidden > 0 ? BUI.html`<bim-label>…and ${hidden} more</bim-label>` : ''}
+          </div>
+        ` : BUI.html`<bim-label>No elements match.</bim-label>`}
+      </bim-panel-section>
+    `;
+  };
+
+  const renderQueryTab = () => BUI.html`
+    <bim-panel-section label="🔍 Query Builder">
+      ${propertyKeys.length === 0 ? BUI.html`
+        <bim-label style="white-space: normal;">Queries run on the backend: load a model with the backend running.</bim-label>
+      ` : BUI.html`
+        ${queryRules.map(renderQueryRule)}
+        <div style="display: flex; gap: 8px; margin-top: 8px;">
+          <bim-button 
+            label="Add Rule" 
+            icon="solar:add-circle-bold"
+            @click=${() => { queryRules.push(newQueryRule()); updateExplorer(); }}>
+          </bim-button>
+          <bim-button 
+            label=${queryRunning ? 'Searching…' : 'Run'}
+            icon="solar:magnifer-bold"
+            ?disabled=${queryRunning}
+            @click=${onRunQuery}>
+          </bim-button>
+        </div>
+        <div style="display: flex; gap: 4px; margin-top: 8px;">
+          <input 
+            class="query-value"
+            type="text"
+            placeholder="Query name"
+            .value=${queryName}
+            @input=${(e) => { queryName = e.target.value; }} />
+          <bim-button label="Save" icon="solar:diskette-bold" @click=${onSaveQuery}></bim-button>
+        </div>
+      `}
+    </bim-panel-section>
+
+    ${renderQueryResults()}
+
+    ${savedQueries.length > 0 ? BUI.html`
+      <bim-panel-section label="💾 Saved Queries" collapsed>
+        ${savedQueries.map((saved) => BUI.html`
+          <div class="group-item">
+            <span class="group-name" title=${saved.rules.map((r) => `${r.pset === 'Attributes' ? r.name : `${r.pset}.${r.name}`} ${r.operator} ${r.value ?? ''}`).join(' AND ')}>
+              ${saved.name}
+            </span>
+            <bim-button icon="solar:upload-bold" tooltip-title="Load" @click=${() => onLoadQuery(saved)}></bim-button>
+            <bim-button icon="solar:trash-bin-trash-bold" tooltip-title="Delete" @click=${() => onDeleteQuery(saved.name)}></bim-button>
+          </div>
+        `)}
+      </bim-panel-section>
+    ` : ''}
+  `;
+
+  const onRunDiff = async () => {
+    diffRunning = true;
+    updateExplorer();
+    try {
+      await runDiff();
+    } catch (error) {
+      console.error("❌ Error comparing models:", error);
+      showToast(`Comparison failed: ${error.message}`, { type: "error" });
+    } finally {
+      diffRunning = false;
+      updateExplorer();
+    }
+  };
+
+  const onClearDiff = async () => {
+    await clearDiff();
+    updateExplorer();
+  };
+
+  const renderDiffModelSelect = (label, value, onChange) => BUI.html`
+    <bim-label>${label}</bim-label>
+    <select 
+      class="color-by-select"
+      @change=${(e) => { onChange(e.target.value || null); updateExplorer(); }}>
+      <option value="" ?selected=${!value}>Pick a model…</option>
+      ${Array.from(loadedModels.entries()).map(([frontendId, info]) => BUI.html`
+        <option value=${frontendId} ?selected=${frontendId === value} ?disabled=${info.localOnly}>
+          ${info.name}${info.localOnly ? ' (local only)' : ''}
+        </option>
+      `)}
+    </select>
+  `;
+
+  const renderDiffItem = (item) => {
+    const expanded = diffExpandedGuid === item.guid;
+    return BUI.html`
+      <div 
+        class="selection-list-item"
+        title=${item.guid}
+        @click=${() => {
+          if (item.localId !== null) onGroupAction('select', { [item.modelId]: new Set([item.localId]) });
+          diffExpandedGuid = expanded ? null : item.guid;
+          updateExplorer();
+        }}>
+        <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+          <span class="diff-dot ${item.status}"></span> ${item.name || 'Unnamed'}
+        </span>
+        <span style="color: #888; font-size: 0.7rem; flex-shrink: 0;">
+          ${item.type}${item.changes.length > 0 ? ` · ${item.changes.length} change${item.changes.length === 1 ? '' : 's'}` : ''}
+        </span>
+      </div>
+      ${expanded && item.changes.length > 0 ? BUI.html`
+        <div class="diff-changes">
+          ${item.changes.map((change) => BUI.html`
+            <div class="diff-change">
+              <div class="diff-change-name">${change.pset === 'Attributes' ? change.name : `${change.pset}.${change.name}`}</div>
+              <div class="diff-change-old">${change.old === null || change.old === undefined ? '—' : formatPropertyValue(change.old)}</div>
+              <div class="diff-change-new">${change.new === null || change.new === undefined ? '—' : formatPropertyValue(change.new)}</div>
+            </div>
+          `)}
+        </div>
+      ` : ''}
+    `;
+  };
+
+  const renderDiffResults = () => {
+    if (!diffResult) return '';
+    const { items, maps } = diffResult;
+    const counts = Object.fromEntries(DIFF_STATUSES.map((status) => [status, items.filter((item) => item.status === status).length]));
+    const shown = diffFilter === 'all' ? items : items.filter((item) => item.status === diffFilter);
+    const shownMap = diffFilter === 'all'
+      ? OBC.ModelIdMapUtils.join(DIFF_STATUSES.map((status) => maps[status]))
+      : maps[diffFilter];
+    const hidden = shown.length - SELECTION_LIST_LIMIT;
+
+    return BUI.html`
+      <bim-panel-section label="📋 Differences (${items.length})">
+        <div class="diff-filters">
+          <div class="diff-filter ${diffFilter === 'all' ? 'active' : ''}" @click=${() => { diffFilter = 'all'; updateExplorer(); }}>
+            All ${items.length}
+          </div>
+          ${DIFF_STATUSES.map((status) => BUI.html`
+            <div class="diff-filter ${diffFilter === status ? 'active' : ''}" @click=${() => { diffFilter = status; updateExplorer(); }}>
+              <span class="diff-dot ${status}"></span> ${status} ${counts[status]}
+            </div>
+          `)}
+        </div>
+        ${shown.length > 0 ? BUI.html`
+          <div style="display: flex; gap: 4px; margin-bottom: 8px;">
+            <bim-button label="Select" icon="solar:cursor-bold" @click=${() => onGroupAction('select', shownMap)}></bim-button>
+            <bim-button label="Isolate" icon="solar:target-bold" @click=${() => onGroupAction('isolate', shownMap)}></bim-button>
+            <bim-button label="CSV" icon="solar:download-bold" @click=${exportDiff}></bim-button>
+          </div>
+          <div class="selection-list">
+            ${shown.slice(0, SELECTION_LIST_LIMIT).map(renderDiffItem)}
+            ${hidden > 0 ? BUI.html`<bim-label>…and ${hidden} more (all are in the CSV)</bim-label>` : ''}
+          </div>
+        ` : BUI.html`<bim-label>No differences.</bim-label>`}
+      </bim-panel-section>
+    `;
+  };
+
+  const renderDiffTab = () => BUI.html`
+    <bim-panel-section label="🔀 Compare Revisions">
+      <bim-label style="white-space: normal;">
+        Matches elements by GlobalId. Modified means a different attribute, Pset value or bounding box.
+      </bim-label>
+      ${renderDiffModelSelect('Base (older) model', diffBaseId, (id) => { diffBaseId = id; })}
+      ${renderDiffModelSelect('Revised (newer) model', diffRevisedId, (id) => { diffRevisedId = id; })}
+      <div style="display: flex; gap: 8px; margin-top: 8px;">
+        <bim-button 
+          label=${diffRunning ? 'Comparing…' : 'Compare'}
+          icon="solar:magnifer-bold"
+          ?disabled=${diffRunning || !diffBaseId || !diffRevisedId || diffBaseId === diffRevisedId}
+          @click=${onRunDiff}>
+        </bim-button>
+        ${diffResult ? BUI.html`
+          <bim-button label="Clear" icon="solar:close-circle-bold" @click=${onClearDiff}></bim-button>
+        ` : ''}
+      </div>
+    </bim-panel-section>
+
+    ${renderDiffResults()}
+  `;
+
+  const copySelection = () => Object.fromEntries(
+    Object.entries(highlighter.selection.select ?? {}).map(([modelId, localIds]) => [modelId, new Set(localIds)])
+  );
+
+  const onClashSource = (side, source) => {
+    side.source = source;
+    side.selection = source === CLASH_SELECTION ? copySelection() : null;
+    if (source === CLASH_SELECTION) side.modelId = "";
+    updateExplorer();
+  };
+
+  const onAddClashTest = () => {
+    const { a, b } = clashDraft;
+    if (!a.source || !b.source) {
+      showToast("Pick what to test on both sides", { type: "error" });
+      return;
+    }
+    const test = {
+      ...clashDraft,
+      id: crypto.randomUUID(),
+      name: clashDraft.name.trim() || `${describeClashSide(a)} vs ${describeClashSide(b)}`,
+      results: null,
+    };
+    clashTests.push(test);
+    clashDraft = newClashDraft();
+    onRunClashTest(test);
+  };
+
+  const onRunClashTest = async (test) => {
+    if (clashRun) return;
+    try {
+      await runClashTest(test);
+      showToast(`${test.name}: ${test.results.length} clash${test.results.length === 1 ? '' : 'es'}`);
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("❌ Error running clash test:", error);
+        showToast(`Clash test failed: ${error.message}`, { type: "error" });
+      }
+    }
+    updateExplorer();
+  };
+
+  const onDeleteClashTest = (testId) => {
+    clashTests = clashTests.filter((test) => test.id !== testId);
+    if (activeClashTestId === testId) activeClashTestId = null;
+    updateExplorer();
+  };
+
+  const renderClashSide = (label, side) => BUI.html`
+    <div class="clash-side">
+      <bim-label>${label}</bim-label>
+      <select 
+        class="color-by-select"
+        @change=${(e) => onClashSource(side, e.target.value)}>
+        <option value="" ?selected=${!side.source}>Pick elements…</option>
+        <option value=${CLASH_SELECTION} ?selected=${side.source === CLASH_SELECTION}>
+          Current selection (${countItems(highlighter.selection.select ?? {})})
+        </option>
+        ${classificationGroups.map((classification) => BUI.html`
+          <optgroup label=${classification.name}>
+            ${classification.groups.map((group) => {
+              const key = groupSourceKey(classification.name, group.name);
+              const name = classification.name === 'Models' ? loadedModels.get(group.name)?.name ?? group.name : group.name;
+              return BUI.html`<option value=${key} ?selected=${key === side.source}>${name} (${group.count})</option>`;
+            })}
+          </optgroup>
+        `)}
+      </select>
+      ${side.source && side.source !== CLASH_SELECTION ? BUI.html`
+        <select 
+          class="color-by-select"
+          @change=${(e) => { side.modelId = e.target.value; updateExplorer(); }}>
+          <option value="" ?selected=${!side.modelId}>In any model</option>
+          ${Array.from(loadedModels.entries()).map(([frontendId, info]) => BUI.html`
+            <option value=${frontendId} ?selected=${frontendId === side.modelId}>In ${info.name}</option>
+          `)}
+        </select>
+      ` : ''}
+    </div>
+  `;
+
+  const renderClashResults = (test) => {
+    const shown = test.results.filter((result) =>
+      clashStatusFilter === 'all' ||
+      (clashStatusFilter === 'open' ? result.status !== 'resolved' : result.status === clashStatusFilter));
+    const hidden = shown.length - SELECTION_LIST_LIMIT;
+    const counts = Object.fromEntries(CLASH_STATUSES.map((status) => [status, test.results.filter((r) => r.status === status).length]));
+
+    return BUI.html`
+      <bim-panel-section label="💥 ${test.name} (${test.results.length})">
+        <select 
+          class="color-by-select"
+          @change=${(e) => { clashStatusFilter = e.target.value; updateExplorer(); }}>
+          <option value="open" ?selected=${clashStatusFilter === 'open'}>Open (${counts.new + counts.active})</option>
+          <option value="all" ?selected=${clashStatusFilter === 'all'}>All (${test.results.length})</option>
+          ${CLASH_STATUSES.map((status) => BUI.html`
+            <option value=${status} ?selected=${clashStatusFilter === status}>${status} (${counts[status]})</option>
+          `)}
+        </select>
+        ${shown.length === 0 ? BUI.html`
+          <bim-label style="margin-top: 8px;">${test.results.length === 0 ? 'No clashes found.' : 'No clashes with this status.'}</bim-label>
+        ` : BUI.html`
+          <div class="selection-list" style="margin-top: 8px;">
+            ${shown.slice(0, SELECTION_LIST_LIMIT).map((result) => BUI.html`
+              <div 
+                class="clash-item ${activeClashId === result.id ? 'active' : ''}"
+                title="Zoom to clash"
+                @click=${() => zoomToClash(result)}>
+                <div class="clash-pair">
+                  <span title=${`${result.a.type} ${result.a.guid}`}>${result.a.name || result.a.type || 'Unnamed'}</span>
+                  <span class="clash-vs">↔</span>
+                  <span title=${`${result.b.type} ${result.b.guid}`}>${result.b.name || result.b.type || 'Unnamed'}</span>
+                </div>
+                <div class="clash-meta">
+                  <span>${result.distance === 0 ? 'Intersecting' : `${(result.distance * 1000).toFixed(0)} mm apart`}</span>
+                  <select 
+                    class="clash-status ${result.status}"
+                    @click=${(e) => e.stopPropagation()}
+                    @change=${(e) => setClashStatus(result, e.target.value)}>
+                    ${CLASH_STATUSES.map((status) => BUI.html`
+                      <option value=${status} ?selected=${status === result.status}>${status}</option>
+                    `)}
+                  </select>
+                </div>
+              </div>
+            `)}
+            ${hidden > 0 ? BUI.html`<bim-label>…and ${hidden} more</bim-label>` : ''}
+          </div>
+        `}
+      </bim-panel-section>
+    `;
+  };
+
+  const renderClashTab = () => {
+    const activeTest = clashTests.find((test) => test.id === activeClashTestId);
+    return BUI.html`
+      <bim-panel-section label="💥 New Clash Test">
+        <input 
+          class="query-value"
+          type="text"
+          placeholder="Test name (optional)"
+          .value=${clashDraft.name}
+          @input=${(e) => { clashDraft.name = e.target.value; }} />
+        ${renderClashSide('Side A', clashDraft.a)}
+        ${renderClashSide('Side B', clashDraft.b)}
+        <div style="display: flex; gap: 4px; margin-top: 8px;">
+          <select 
+            class="color-by-select"
+            @change=${(e) => { clashDraft.type = e.target.value; updateExplorer(); }}>
+            ${CLASH_TYPES.map((type) => BUI.html`
+              <option value=${type} ?selected=${type === clashDraft.type}>${type === 'hard' ? 'Hard clash' : 'Clearance'}</option>
+            `)}
+          </select>
+        </div>
+        <bim-number-input 
+          label=${clashDraft.type === 'hard' ? 'Ignore overlaps up to (mm)' : 'Minimum clearance (mm)'}
+          .value=${clashDraft.tolerance}
+          min="0"
+          step="5"
+          @change=${(e) => { clashDraft.tolerance = Math.max(0, Number(e.target.value) || 0); }}>
+        </bim-number-input>
+        <bim-button 
+          label="Add & Run Test" 
+          icon="solar:play-bold"
+          ?disabled=${!!clashRun}
+          @click=${onAddClashTest}
+          style="margin-top: 8px;">
+        </bim-button>
+      </bim-panel-section>
+
+      ${clashTests.length > 0 ? BUI.html`
+        <bim-panel-section label="🧪 Tests (${clashTests.length})">
+          ${clashTests.map((test) => BUI.html`
+            <div 
+              class="clash-test ${test.id === activeClashTestId ? 'active' : ''}"
+              @click=${() => { activeClashTestId = test.id; updateExplorer(); }}>
+              <div style="flex: 1; min-width: 0;">
+                <div class="clash-test-name">${test.name}</div>
+                <div class="clash-test-meta">
+                  ${describeClashSide(test.a)} vs ${describeClashSide(test.b)} ·
+                  ${test.type === 'hard' ? 'hard' : 'clearance'} ${test.tolerance} mm
+                  ${test.results ? ` · ${test.results.filter((r) => r.status !== 'resolved').length} open` : ''}
+                </div>
+                ${clashRun?.testId === test.id ? BUI.html`
+                  <div class="load-progress-track" style="margin-top: 4px;">
+                    <div class="load-progress-bar" style="width: ${clashRun.progress * 100}%;"></div>
+                  </div>
+                ` : ''}
+              </div>
+              ${clashRun?.testId === test.id ? BUI.html`
+                <bim-button 
+                  icon="solar:close-circle-bold"
+                  tooltip-title="Cancel"
+                  @click=${(e) => { e.stopPropagation(); clashRun.controller.abort(); }}>
+                </bim-button>
+              ` : BUI.html`
+                <bim-button 
+                  icon="solar:play-bold"
+                  tooltip-title="Run"
+                  ?disabled=${!!clashRun}
+                  @click=${(e) => { e.stopPropagation(); onRunClashTest(test); }}>
+                </bim-button>
+                <bim-button 
+                  icon="solar:trash-bin-trash-bold"
+                  tooltip-title="Delete"
+                  @click=${(e) => { e.stopPropagation(); onDeleteClashTest(test.id); }}>
+                </bim-button>
+              `}
+            </div>
+          `)}
+        </bim-panel-section>
+      ` : ''}
+
+      ${activeTest?.results ? renderClashResults(activeTest) : ''}
+    `;
+  };
+
+  const onRunTakeoff = async () => {
+    takeoffRunning = true;
+    updateExplorer();
+    try {
+      await runTakeoff();
+    } catch (error) {
+      console.error("❌ Error running takeoff:", error);
+      showToast(`Takeoff failed: ${error.message}`, { type: "error" });
+    } finally {
+      takeoffRunning = false;
+      updateExplorer();
+    }
+  };
+
+  const onExportTakeoff = async (format) => {
+    try {
+      await exportTakeoff(format);
+    } catch (error) {
+      console.error("❌ Error exporting takeoff:", error);
+      showToast(`Export failed: ${error.message}`, { type: "error" });
+    }
+  };
+
+  const formatQuantity = (node) => {
+    if (!takeoffQuantity || !(takeoffQuantity in node.totals)) return '—';
+    const value = node.totals[takeoffQuantity].toLocaleString(undefined, { maximumFractionDigits: 2 });
+    return `${value} ${takeoffResult.units[takeoffQuantity]}`;
+  };
+
+  const renderTakeoffNode = (node) => {
+    const expanded = takeoffExpanded.has(node.key);
+    const items = takeoffItems(node);
+    return BUI.html`
+      <div 
+        class="takeoff-row"
+        style="padding-left: ${8 + node.level * 12}px;"
+        @click=${() => {
+          if (node.children.length === 0) return;
+          if (expanded) takeoffExpanded.delete(node.key);
+          else takeoffExpanded.add(node.key);
+          updateExplorer();
+        }}>
+        <span class="takeoff-caret">${node.children.length === 0 ? '' : expanded ? '▾' : '▸'}</span>
+        <span class="takeoff-label" title=${`${TAKEOFF_LEVELS[takeoffLevels[node.level]]}: ${node.label}`}>${node.label}</span>
+        <span class="takeoff-count">${node.count}</span>
+        <span class="takeoff-total">${formatQuantity(node)}</span>
+        <bim-button icon="solar:target-bold" tooltip-title="Isolate" @click=${(e) => { e.stopPropagation(); onGroupAction('isolate', items); }}></bim-button>
+        <bim-button icon="solar:cursor-bold" tooltip-title="Select" @click=${(e) => { e.stopPropagation(); onGroupAction('select', items); }}></bim-button>
+      </div>
+      ${expanded ? node.children.map(renderTakeoffNode) : ''}
+    `;
+  };
+
+  const renderTakeoffResults = () => {
+    if (!takeoffResult) return '';
+    const { root, units } = takeoffResult;
+    const quantityNames = listQuantityNames(units);
+    return BUI.html`
+      <bim-panel-section label="📊 ${takeoffResult.label} (${root.count})">
+        ${quantityNames.length === 0 ? BUI.html`
+          <bim-label style="white-space: normal;">These elements have no IfcElementQuantity; only counts are shown.</bim-label>
+        ` : BUI.html`
+          <select 
+            class="color-by-select"
+            @change=${(e) => { takeoffQuantity = e.target.value; updateExplorer(); }}>
+            ${quantityNames.map((name) => BUI.html`
+              <option value=${name} ?selected=${name === takeoffQuantity}>${name} (${units[name]})</option>
+            `)}
+          </select>
+        `}
+        <div style="display: flex; gap: 4px; margin: 8px 0;">
+          <bim-button label="CSV" icon="solar:download-bold" @click=${() => onExportTakeoff('csv')}></bim-button>
+          <bim-button label="XLSX" icon="solar:download-bold" @click=${() => onExportTakeoff('xlsx')}></bim-button>
+        </div>
+        <div class="takeoff-tree">
+          <div class="takeoff-row takeoff-total-row">
+            <span class="takeoff-caret"></span>
+            <span class="takeoff-label">Total</span>
+            <span class="takeoff-count">${root.count}</span>
+            <span class="takeoff-total">${formatQuantity(root)}</span>
+            <bim-button icon="solar:target-bold" tooltip-title="Isolate" @click=${() => onGroupAction('isolate', takeoffItems(root))}></bim-button>
+            <bim-button icon="solar:cursor-bold" tooltip-title="Select" @click=${() => onGroupAction('select', takeoffItems(root))}></bim-button>
+          </div>
+          ${root.children.map(renderTakeoffNode)}
+        </div>
+      </bim-panel-section>
+    `;
+  };
+
+  const renderTakeoffTab = () => BUI.html`
+    <bim-panel-section label="📐 Quantity Takeoff">
+      <bim-label style="white-space: normal;">
+        Sums the IfcElementQuantity lengths, areas and volumes of a model or classifier group.
+      </bim-label>
+      <select 
+        class="color-by-select"
+        @change=${(e) => { takeoffSource = e.target.value; updateExplorer(); }}>
+        <option value="" ?selected=${!takeoffSource}>Pick a model or group…</option>
+        ${classificationGroups.map((classification) => BUI.html`
+          <optgroup label=${classification.name}>
+            ${classification.groups.map((group) => {
+              const key = groupSourceKey(classification.name, group.name);
+              return BUI.html`<option value=${key} ?selected=${key === takeoffSource}>${groupLabel(classification.name, group.name)} (${group.count})</option>`;
+            })}
+          </optgroup>
+        `)}
+      </select>
+      <bim-label style="margin-top: 8px;">Group by</bim-label>
+      ${[0, 1, 2].map((index) => index > takeoffLevels.length ? '' : BUI.html`
+        <select 
+          class="color-by-select"
+          @change=${(e) => { setTakeoffLevel(index, e.target.value); updateExplorer(); }}>
+          ${index > 0 ? BUI.html`<option value="" ?selected=${!takeoffLevels[index]}>—</option>` : ''}
+          ${Object.entries(TAKEOFF_LEVELS).map(([key, label]) => BUI.html`
+            <option value=${key} ?selected=${takeoffLevels[index] === key}>${label}</option>
+          `)}
+        </select>
+      `)}
+      <bim-button 
+        label=${takeoffRunning ? 'Computing…' : 'Run Takeoff'}
+        icon="solar:calculator-bold"
+        ?disabled=${takeoffRunning || !takeoffSource}
+        @click=${onRunTakeoff}
+        style="margin-top: 8px;">
+      </bim-button>
+    </bim-panel-section>
+
+    ${renderTakeoffResults()}
+  `;
+
+  const onSaveViewpoint = async () => {
+    const modelHashes = Array.from(loadedModels.values(), (info) => info.cacheHash).filter(Boolean);
+    if (modelHashes.length === 0) {
+      showToast("Load a model to save viewpoints", { type: "error" });
+      return;
+    }
+
+    try {
+      const viewpoint = {
+        id: crypto.randomUUID(),
+        name: viewpointName.trim() || `Viewpoint ${viewpoints.length + 1}`,
+        modelHashes,
+        state: await viewpointTool.captureState(),
+        thumbnail: await viewpointTool.captureThumbnail(),
+        createdAt: Date.now(),
+      };
+      await putViewpoint(viewpoint);
+      viewpointName = "";
+      showToast(`Saved viewpoint "${viewpoint.name}"`);
+    } catch (error) {
+      console.error("❌ Error saving viewpoint:", error);
+      showToast(`Failed to save viewpoint: ${error.message}`, { type: "error" });
+    }
+    await refreshViewpoints();
+  };
+
+  const onRestoreViewpoint = async (viewpoint) => {
+    try {
+      await planTool.close({ restoreCamera: false });
+      await viewpointTool.applyState(viewpoint.state);
+    } catch (error) {
+      console.error("❌ Error restoring viewpoint:", error);
+      showToast(`Failed to restore viewpoint: ${error.message}`, { type: "error" });
+    }
+  };
+
+  const onDeleteViewpoint = async (id) => {
+    await deleteViewpoint(id);
+    await refreshViewpoints();
+  };
+
+  const renderViewsTab = () => BUI.html`
+    <bim-panel-section label="📷 Viewpoints">
+      <bim-label style="white-space: normal;">
+        Saves the camera, hidden elements, selection and section planes with the loaded models.
+      </bim-label>
+      <div style="display: flex; gap: 4px; margin-top: 8px;">
+        <input 
+          class="query-value"
+          type="text"
+          placeholder="Viewpoint name"
+          .value=${viewpointName}
+          @input=${(e) => { viewpointName = e.target.value; }}
+          @keydown=${(e) => { if (e.key === 'Enter') onSaveViewpoint(); }} />
+        <bim-button label="Save" icon="solar:camera-add-bold" @click=${onSaveViewpoint}></bim-button>
+      </div>
+      ${viewpoints.length === 0 ? BUI.html`
+        <bim-label style="margin-top: 8px;">No viewpoints saved for the loaded models.</bim-label>
+      ` : BUI.html`
+        <div class="viewpoint-grid">
+          ${viewpoints.map((viewpoint) => BUI.html`
+            <div class="viewpoint-card" title="Restore ${viewpoint.name}" @click=${() => onRestoreViewpoint(viewpoint)}>
+              <img src=${viewpoint.thumbnail} alt=${viewpoint.name} />
+              <div class="viewpoint-footer">
+                <span class="viewpoint-name">${viewpoint.name}</span>
+                <span 
+                  class="viewpoint-delete" 
+                  title="Delete viewpoint"
+                  @click=${(e) => { e.stopPropagation(); onDeleteViewpoint(viewpoint.id); }}>✕</span>
+              </div>
+            </div>
+          `)}
+        </div>
+      `}
+    </bim-panel-section>
+  `;
+
+  const onImportBcf = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      const count = await bcfTool.importFile(file);
+      showToast(`Imported ${count} topic${count === 1 ? '' : 's'} from ${file.name}`);
+    } catch (error) {
+      console.error("❌ Error importing BCF:", error);
+      showToast(`Failed to import ${file.name}: ${error.message}`, { type: "error" });
+    }
+    event.target.value = '';
+  };
+
+  const onExportBcf = async () => {
+    try {
+      const blob = await bcfTool.exportFile(bcfVersion);
+      downloadBlob(blob, `issues_bcf${bcfVersion}.bcfzip`);
+    } catch (error) {
+      console.error("❌ Error exporting BCF:", error);
+      showToast(`Failed to export BCF: ${error.message}`, { type: "error" });
+    }
+  };
+
+  const onCreateTopic = async () => {
+    if (!bcfDraft.title.trim()) {
+      showToast("Give the topic a title", { type: "error" });
+      return;
+    }
+    if (!authorName.trim()) {
+      showToast("Enter your email as the topic author", { type: "error" });
+      return;
+    }
+    try {
+      localStorage.setItem(AUTHOR_KEY, authorName.trim());
+      const topic = await bcfTool.createTopic({ ...bcfDraft, title: bcfDraft.title.trim(), author: authorName.trim() });
+      bcfDraft = newBcfDraft();
+      bcfExpandedTopic = topic.guid;
+      updateExplorer();
+    } catch (error) {
+      console.error("❌ Error creating topic:", error);
+      showToast(`Failed to create topic: ${error.message}`, { type: "error" });
+    }
+  };
+
+  const onRestoreTopicViewpoint = async (viewpointGuid) => {
+    try {
+      await planTool.close({ restoreCamera: false });
+      await bcfTool.restoreViewpoint(viewpointGuid);
+    } catch (error) {
+      console.error("❌ Error restoring BCF viewpoint:", error);
+      showToast(`Failed to restore viewpoint: ${error.message}`, { type: "error" });
+    }
   };
 
-  const onIsolate = () => {
-    const selection = highlighter.selection.select;
-    if (selection && Object.keys(selection).length > 0) {
-      hider.isolate(selection);
+  const onAddComment = (topicGuid) => {
+    if (!bcfCommentDraft.trim()) return;
+    if (!authorName.trim()) {
+      showToast("Enter your email as the comment author", { type: "error" });
+      return;
     }
+    const text = bcfCommentDraft.trim();
+    bcfCommentDraft = "";
+    bcfTool.addComment(topicGuid, text, authorName.trim());
   };
 
-  const onHide = () => {
-    const selection = highlighter.selection.select;
-    if (selection && Object.keys(selection).length > 0) {
-       hider.set(false, selection);
-       highlighter.clear("select");
-       updateProperties(); // Clear panel content if hidden
+  const onSetTopicStatus = (topic, status, select) => {
+    if (!authorName.trim()) {
+      showToast("Enter your email as the author of the change", { type: "error" });
+      select.value = topic.status;
+      return;
     }
+    bcfTool.updateTopic(topic.guid, { status }, authorName.trim());
   };
 
-  const onShowAll = () => {
-     hider.set(true);
+  const onToggleTopic = (topicGuid) => {
+    bcfExpandedTopic = bcfExpandedTopic === topicGuid ? null : topicGuid;
+    bcfCommentDraft = "";
+    updateExplorer();
   };
 
-  const renderTabs = () => BUI.html`
-    <div class="tab-group">
-      <div 
-        class="tab-btn ${propertiesTab === 'data' ? 'active' : ''}" 
-        @click=${() => onTabChange('data')}>
-        Data
-      </div>
-      <div 
-        class="tab-btn ${propertiesTab === 'actions' ? 'active' : ''}" 
-        @click=${() => onTabChange('actions')}>
-        Actions
-      </div>
-    </div>
-  `;
-
-  // Content for Actions Tab
-  const renderActions = () => BUI.html`
-    <bim-panel-section label="⚡ Selection Actions">
-      <div style="display: flex; flex-direction: column; gap: 8px;">
-        <bim-button 
-          label="Isolate Selection" 
-          icon="solar:eye-bold"
-          @click=${onIsolate}>
-        </bim-button>
-        <bim-button 
-          label="Hide Selection" 
-          icon="solar:eye-closed-bold"
-          @click=${onHide}>
-        </bim-button>
-        <bim-button 
-          label="Show All" 
-          icon="solar:refresh-bold"
-          @click=${onShowAll}>
-        </bim-button>
-      </div>
-    </bim-panel-section>
+  const renderBcfSelect = (options, value, onChange) => BUI.html`
+    <select class="color-by-select" @change=${(e) => onChange(e.target.value, e.target)}>
+      ${options.map((option) => BUI.html`
+        <option value=${option.value ?? option} ?selected=${(option.value ?? option) === value}>${option.label ?? option}</option>
+      `)}
+    </select>
   `;
 
-  let content;
-  if (propertiesTab === 'actions') {
-      // Actions Tab Logic
-      // Check if we have a selection to enable buttons (optional visual feedback, but simple is fine)
-      content = renderActions();
-  } else {
-      // Data Tab Logic (Existing)
-      if (isLoadingElement) {
-        content = BUI.html`
-          <div style="text-align: center; padding: 20px;">
-            <bim-label>Loading element data from backend...</bim-label>
-          </div>
-        `;
-      } else if (!selectedElementData) {
-        content = BUI.html`
-          <bim-label>No element selected. Select an element to view properties.</bim-label>
-        `;
-      } else if (selectedElementData.error) {
-        content = BUI.html`
-          <div style="padding: 8px; background: #ffcccc; color: #cc0000; border-radius: 4px;">
-            <bim-label>Error: ${selectedElementData.error}</bim-label>
+  const renderTopic = (topic) => {
+    const expanded = bcfExpandedTopic === topic.guid;
+    const snapshot = topic.viewpoints.length > 0 ? bcfTool.snapshotUrl(topic.viewpoints[0]) : null;
+    return BUI.html`
+      <div class="bcf-topic ${expanded ? 'expanded' : ''}">
+        <div class="bcf-topic-header" @click=${() => onToggleTopic(topic.guid)}>
+          ${snapshot ? BUI.html`<img src=${snapshot} alt="" />` : ''}
+          <div style="flex: 1; min-width: 0;">
+            <div class="bcf-topic-title">${topic.title || 'Untitled topic'}</div>
+            <div class="bcf-topic-meta">
+              ${topic.type ?? 'Topic'} • ${topic.status ?? '—'}${topic.priority ? ` • ${topic.priority}` : ''} • ${topic.comments.length} 💬
+            </div>
           </div>
-        `;
-      } else {
-        const basicProps = BUI.html`
-          <div style="margin-bottom: 24px;">
-            <div style="font-weight: 600; color: #4ade80; margin-bottom: 12px; font-size: 0.9rem; letter-spacing: 0.05em; text-transform: uppercase;">Basic Info</div>
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
-              <span style="color: #cbd5e1; font-size: 0.85rem;">Name</span>
-              <span style="font-weight: 500; color: white; font-size: 0.9rem;">${selectedElementData.name || 'N/A'}</span>
+        </div>
+        ${expanded ? BUI.html`
+          <div class="bcf-topic-body">
+            <div class="bcf-topic-meta">
+              ${topic.author ?? 'Unknown author'} • ${topic.date?.toLocaleString() ?? ''}
             </div>
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
-              <span style="color: #cbd5e1; font-size: 0.85rem;">Type</span>
-              <span style="font-weight: 500; color: white; font-size: 0.9rem;">${selectedElementData.type}</span>
+            ${topic.description ? BUI.html`<div class="bcf-comment-text">${topic.description}</div>` : ''}
+            <div style="display: flex; gap: 4px; margin: 8px 0;">
+              ${renderBcfSelect(bcfTool.statuses, topic.status, (status, select) => onSetTopicStatus(topic, status, select))}
+              ${topic.viewpoints.length > 0 ? BUI.html`
+                <bim-button 
+                  label="Go to View" 
+                  icon="solar:camera-bold"
+                  @click=${() => onRestoreTopicViewpoint(topic.viewpoints[0])}>
+                </bim-button>
+              ` : ''}
             </div>
-            <div style="display: flex; justify-content: space-between; align-items: center; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
-              <span style="color: #cbd5e1; font-size: 0.85rem;">GUID</span>
-              <span style="font-weight: 400; font-family: monospace; font-size: 0.75rem; color: #94a3b8; background: rgba(0,0,0,0.2); padding: 2px 4px; border-radius: 4px;">${selectedElementData.guid}</span>
+            ${topic.comments.map((comment) => BUI.html`
+              <div class="bcf-comment">
+                <div class="bcf-topic-meta">
+                  ${comment.author} • ${comment.date.toLocaleString()}
+                  ${comment.viewpoint && comment.viewpoint !== topic.viewpoints[0] && topic.viewpoints.includes(comment.viewpoint) ? BUI.html`
+                    <span class="bcf-comment-view" title="Go to this comment's view" @click=${() => onRestoreTopicViewpoint(comment.viewpoint)}>📷</span>
+                  ` : ''}
+                </div>
+                <div class="bcf-comment-text">${comment.text}</div>
+              </div>
+            `)}
+            <div style="display: flex; gap: 4px; margin-top: 8px;">
+              <input 
+                class="query-value"
+                type="text"
+                placeholder="Add a comment"
+                .value=${bcfCommentDraft}
+                @input=${(e) => { bcfCommentDraft = e.target.value; }}
+                @keydown=${(e) => { if (e.key === 'Enter') onAddComment(topic.guid); }} />
+              <bim-button icon="solar:chat-round-line-bold" tooltip-title="Comment" @click=${() => onAddComment(topic.guid)}></bim-button>
+              <bim-button icon="solar:trash-bin-trash-bold" tooltip-title="Delete topic" @click=${() => bcfTool.removeTopic(topic.guid)}></bim-button>
             </div>
           </div>
-        `;
-        
-        // Display Property Sets (Truncated for replacement, re-adding in next chunk if needed or assuming strict match)
-        // Wait, I need to include the rest of the file content in the replace if I replace the whole block.
-        // I will return ONLY the start of the logic here and let the existing PSET logic flow if tab is DATA.
-        // Actually, cleaner to wrap existing logic.
-        
-        const psetElements = Object.entries(selectedElementData.psets || {}).map(([psetName, props]) => {
-            const propItems = Object.entries(props).map(([key, value]) => {
-                const displayValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
-                return BUI.html`
-                  <div style="display: flex; justify-content: space-between; align-items: start; padding: 6px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
-                    <span style="color: #94a3b8; font-size: 0.8rem; margin-right: 8px; margin-top: 1px;">${key}</span>
-                    <span style="font-weight: 500; font-size: 0.85rem; text-align: right; max-width: 65%; word-break: break-word; color: #e2e8f0; line-height: 1.4;">${displayValue}</span>
-                  </div>
-                `;
-            });
-            
-            return BUI.html`
-                <div style="margin-bottom: 20px;">
-                <div style="font-weight: 600; color: #60a5fa; margin-bottom: 10px; font-size: 0.85rem; letter-spacing: 0.05em; text-transform: uppercase;">${psetName}</div>
-                ${propItems}
-                </div>
-            `;
-        });
-        
-        content = BUI.html`
-            ${basicProps}
-            ${psetElements}
-        `;
-    }
-  }
+        ` : ''}
+      </div>
+    `;
+  };
 
-  return BUI.html`
-    <bim-panel active label="Properties" class="bim-panel-base properties-panel">
-      ${renderTabs()}
-      
-      <bim-panel-section label="🎯 Selection Info">
-        <bim-label>State: ${propertiesTab.toUpperCase()}</bim-label>
+  const renderIssuesTab = () => {
+    const topics = bcfTool.list();
+    return BUI.html`
+      <bim-panel-section label="📋 BCF Issues">
+        <bim-label style="white-space: normal;">
+          Import and export BCF 2.1 / 3.0 (.bcfzip). Viewpoints restore camera, selection, hidden elements and clipping planes.
+        </bim-label>
+        <input
+          type="file"
+          accept=".bcfzip,.bcf"
+          @change=${onImportBcf}
+          style="margin: 8px 0; padding: 8px; background: rgba(51,51,51,0.5); border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; width: 100%; color: white;"
+        />
+        <div style="display: flex; gap: 4px;">
+          ${renderBcfSelect(BCF_VERSIONS.map((version) => ({ value: version, label: `BCF ${version === '3' ? '3.0' : version}` })), bcfVersion, (version) => { bcfVersion = version; })}
+          <bim-button 
+            label="Export" 
+            icon="solar:download-bold"
+            ?disabled=${topics.length === 0}
+            @click=${onExportBcf}>
+          </bim-button>
+        </div>
       </bim-panel-section>
 
-      <bim-panel-section label="${propertiesTab === 'data' ? '📋 Element Properties' : '⚡ Actions'}" style="max-height: calc(100vh - 350px); overflow-y: auto;">
-        ${content}
+      <bim-panel-section label="➕ New Topic from View" collapsed>
+        <div style="display: flex; flex-direction: column; gap: 4px;">
+          <input 
+            class="query-value"
+            type="email"
+            placeholder="Author (email)"
+            .value=${authorName}
+            @input=${(e) => { authorName = e.target.value; }} />
+          <input 
+            class="query-value"
+            type="text"
+            placeholder="Title"
+            .value=${bcfDraft.title}
+            @input=${(e) => { bcfDraft.title = e.target.value; }} />
+          <div style="display: flex; gap: 4px;">
+            ${renderBcfSelect(bcfTool.types, bcfDraft.type, (type) => { bcfDraft.type = type; })}
+            ${renderBcfSelect(bcfTool.statuses, bcfDraft.status, (status) => { bcfDraft.status = status; })}
+          </div>
+          ${renderBcfSelect(
+            [{ value: "", label: "No priority" }, ...bcfTool.priorities],
+            bcfDraft.priority,
+            (priority) => { bcfDraft.priority = priority; }
+          )}
+          <textarea 
+            class="query-value"
+            rows="3"
+            placeholder="Comment"
+            .value=${bcfDraft.comment}
+            @input=${(e) => { bcfDraft.comment = e.target.value; }}></textarea>
+          <bim-button 
+            label="Create Topic" 
+            icon="solar:camera-add-bold"
+            @click=${onCreateTopic}>
+          </bim-button>
+        </div>
       </bim-panel-section>
-    </bim-panel>
-  `;
-}, {});
 
+      <bim-panel-section label="🗂️ Topics (${topics.length})">
+        ${topics.length === 0 ? BUI.html`
+          <bim-label style="white-space: normal;">No topics. Import a .bcfzip or create one from the current view.</bim-label>
+        ` : BUI.html`
+          ${topics.map(renderTopic)}
+          <bim-button 
+            label="Clear All" 
+            @click=${() => bcfTool.clear()}
+            style="margin-top: 8px;">
+          </bim-button>
+        `}
+      </bim-panel-section>
+    `;
+  };
 
-// --- 8a. Left Panel: Object Explorer & Models ---
+  const onJumpToNote = async (note) => {
+    openNote(note.modelId, note.id);
+    await noteTool.focus(note.modelId, note.id);
+  };
 
-// Initialize Spatial Tree (BUIC) globally so it persists and we can debug it
-const [spatialTree] = BUIC.tables.spatialTree({
-    components,
-    models: [], // Auto-updated
-});
-spatialTree.preserveStructureOnFilter = true;
+  const renderNotesTab = () => {
+    const notes = noteTool.list();
+    const localOnly = Array.from(loadedModels.values()).filter((info) => info.localOnly);
+    return BUI.html`
+      <bim-panel-section label="📌 Notes (${notes.length})">
+        <bim-label style="white-space: normal;">
+          Right click an element and choose "Add note here". Notes are shared through the backend.
+        </bim-label>
+        ${localOnly.length > 0 ? BUI.html`
+          <bim-label style="white-space: normal; color: #fbbf24;">
+            No notes for local-only models: ${localOnly.map((info) => info.name).join(', ')}
+          </bim-label>
+        ` : ''}
+        ${notes.length === 0 ? BUI.html`
+          <bim-label style="margin-top: 8px;">No notes on the loaded models.</bim-label>
+        ` : BUI.html`
+          <div class="selection-list" style="margin-top: 8px;">
+            ${notes.map((note) => BUI.html`
+              <div 
+                class="selection-list-item ${noteTool.activeId === note.id ? 'active' : ''}"
+                title="Jump to note"
+                @click=${() => onJumpToNote(note)}>
+                <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                  <span class="note-number">${note.number}</span> ${note.title}
+                </span>
+                <span style="flex-shrink: 0; font-size: 0.7rem;">${note.author || 'Anonymous'}</span>
+              </div>
+            `)}
+          </div>
+        `}
+      </bim-panel-section>
+    `;
+  };
 
-const onSearchTree = (e) => {
-  spatialTree.queryString = e.target.value;
-};
+  const PLACEMENT_FIELDS = [
+    { key: 'x', label: 'X (m)', step: 0.1 },
+    { key: 'y', label: 'Y (m)', step: 0.1 },
+    { key: 'z', label: 'Z (m)', step: 0.1 },
+    { key: 'rotation', label: 'Rotation about Z (°)', step: 1 },
+    { key: 'scale', label: 'Scale', step: 0.01, min: 0.001 },
+  ];
 
-const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
-  const onFileSelect = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  const onPlacementInput = (frontendId, key, value) => {
+    const info = loadedModels.get(frontendId);
+    if (!info || !Number.isFinite(value) || (key === 'scale' && value <= 0)) return;
+    setModelPlacement(frontendId, { ...info.placement, [key]: value });
+  };
+
+  const renderPlacementEditor = (frontendId, info) => {
+    const align = placementTool.align?.modelId === frontendId ? placementTool.align : null;
+    const otherModels = loadedModels.size > 1;
+    return BUI.html`
+      <div class="placement-editor">
+        ${PLACEMENT_FIELDS.map((field) => BUI.html`
+          <bim-number-input 
+            label=${field.label}
+            .value=${info.placement[field.key]}
+            step=${field.step}
+            .min=${field.min}
+            @change=${(e) => onPlacementInput(frontendId, field.key, Number(e.target.value))}>
+          </bim-number-input>
+        `)}
+        <div style="display: flex; gap: 4px;">
+          <bim-button 
+            label="Reset" 
+            icon="solar:restart-bold"
+            ?disabled=${isDefaultPlacement(info.placement)}
+            @click=${() => setModelPlacement(frontendId, DEFAULT_PLACEMENT)}>
+          </bim-button>
+          ${align ? '' : BUI.html`
+            <bim-button 
+              label="Align by 3 Points" 
+              icon="solar:target-bold"
+              ?disabled=${!otherModels}
+              tooltip-title=${otherModels ? "Pick points on this model and the matching points on another model" : "Load a reference model to align to"}
+              @click=${() => placementTool.startAlign(frontendId)}>
+            </bim-button>
+          `}
+        </div>
+        ${align ? BUI.html`
+          <div class="placement-align">
+            <bim-label style="white-space: normal;">
+              ${align.next === 'source'
+                ? `Click point ${align.pairCount + 1} of ${ALIGN_PAIR_COUNT} on ${info.name}`
+                : align.next === 'target'
+                  ? `Click the matching point ${align.pairCount + 1}′ on the reference model`
+                  : `${ALIGN_PAIR_COUNT} point pairs picked`}
+            </bim-label>
+            <bim-checkbox 
+              label="Solve for scale too" 
+              .checked=${alignWithScale}
+              @change=${(e) => { alignWithScale = e.target.checked; }}>
+            </bim-checkbox>
+            <div style="display: flex; gap: 4px;">
+              <bim-button 
+                label="Apply" 
+                icon="solar:check-circle-bold"
+                ?disabled=${align.next !== null}
+                @click=${applyAlignment}>
+              </bim-button>
+              <bim-button 
+                label="Undo Point" 
+                ?disabled=${align.pointCount === 0}
+                @click=${() => placementTool.undoAlignPoint()}>
+              </bim-button>
+              <bim-button 
+                label="Cancel" 
+                icon="solar:close-circle-bold"
+                @click=${() => placementTool.cancelAlign()}>
+              </bim-button>
+            </div>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  };
 
-    event.target.disabled = true;
+  const onCapture = async (target) => {
+    if (capturing) return;
+    capturing = true;
+    updateExplorer();
     try {
-      await loadLocalIFC(file);
-      updateExplorer({ tab: state.tab });
+      const blob = await captureView();
+      if (target === 'clipboard') {
+        await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+        showToast("Image copied to clipboard");
+      } else {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+        downloadBlob(blob, `capture_${stamp}.png`);
+      }
     } catch (error) {
-      console.error("Error loading IFC:", error);
-      alert(`Failed to load IFC file: ${error.message}`);
+      console.error("❌ Error capturing view:", error);
+      showToast(`Capture failed: ${error.message}`, { type: "error" });
     }
-    event.target.disabled = false;
-    event.target.value = '';
+    capturing = false;
+    updateExplorer();
   };
 
-  const onRemoveModel = async (frontendModelId) => {
-    const modelInfo = loadedModels.get(frontendModelId);
-
-    if (modelInfo) {
-      try {
-        await removeModelFromBackend(modelInfo.backendModelId);
-        console.log("✅ Removed from backend");
-      } catch (error) {
-        console.error("⚠️ Error removing from backend:", error);
-      }
+  const onOpenPlan = async (planId) => {
+    if (planTool.activeId === planId) return;
+    try {
+      await planTool.open(planId);
+    } catch (error) {
+      console.error("❌ Error opening floor plan:", error);
+      showToast(`Failed to open floor plan: ${error.message}`, { type: "error" });
     }
+  };
 
-    const model = fragments.list.get(frontendModelId);
-    if (model) {
-      world.scene.three.remove(model.object);
-      fragments.list.delete(frontendModelId);
-      model.dispose();
+  const onMeasureSelection = async () => {
+    const box = await getSelectionBox();
+    if (!box) {
+      showToast("Select elements to measure their dimensions", { type: "error" });
+      return;
     }
+    measureTool.measureBox(box, Object.keys(highlighter.selection.select));
+  };
 
-    loadedModels.delete(frontendModelId);
+  const onToggleMeasureMode = (mode) => {
+    measureTool.setMode(measureTool.mode === mode ? null : mode);
+  };
 
-    if (lastSelectedModelIdMap && lastSelectedModelIdMap[frontendModelId]) {
-      await fragments.resetHighlight();
-      lastSelectedModelIdMap = null;
-      selectedElementData = null;
-      updateProperties(); // Update properties if selection cleared
+  const onCancelLoad = () => {
+    loadAbortController?.abort();
+  };
+
+  const onOpenCached = async (hash) => {
+    loadError = null;
+    try {
+      await loadCachedModel(hash);
+    } catch (error) {
+      console.error("Error loading cached model:", error);
+      loadError = `Failed to load cached model: ${error.message}`;
+      updateExplorer();
     }
+  };
 
-    await fragments.core.update(true);
-    updateExplorer({ tab: state.tab });
+  const onEvictCached = async (hash) => {
+    try {
+      await removeCachedModel(hash);
+    } catch (error) {
+      console.error("⚠️ Error evicting cached model:", error);
+    }
+    await refreshCachedModels();
   };
 
 
@@ -639,7 +3948,7 @@ const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
 
 
   // --- Tab Management ---
-  // Uses state.tab ('models' or 'tree')
+  // Uses state.tab ('models', 'tree', 'groups', 'query', 'views', 'plans', 'issues', 'notes', 'diff', 'clash' or 'takeoff')
   
   return BUI.html`
     <bim-panel active label="Object Explorer" class="bim-panel-base explorer-panel">
@@ -653,19 +3962,120 @@ const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
              @click=${() => { updateExplorer({ tab: 'tree' }); }}>
           Spatial Tree
         </div>
+        <div class="tab-btn ${state.tab === 'groups' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'groups' }); }}>
+          Groups
+        </div>
+        <div class="tab-btn ${state.tab === 'query' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'query' }); }}>
+          Query
+        </div>
+        <div class="tab-btn ${state.tab === 'views' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'views' }); }}>
+          Views
+        </div>
+        <div class="tab-btn ${state.tab === 'plans' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'plans' }); }}>
+          Plans
+        </div>
+        <div class="tab-btn ${state.tab === 'issues' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'issues' }); }}>
+          Issues
+        </div>
+        <div class="tab-btn ${state.tab === 'notes' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'notes' }); }}>
+          Notes
+        </div>
+        <div class="tab-btn ${state.tab === 'diff' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'diff' }); }}>
+          Diff
+        </div>
+        <div class="tab-btn ${state.tab === 'clash' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'clash' }); }}>
+          Clash
+        </div>
+        <div class="tab-btn ${state.tab === 'takeoff' ? 'active' : ''}"
+             @click=${() => { updateExplorer({ tab: 'takeoff' }); }}>
+          Takeoff
+        </div>
       </div>
     
       ${state.tab === 'models' ? BUI.html`
           <bim-panel-section label="📂 Load Models">
             <bim-label style="white-space: normal;">
-              Upload IFC to backend and view in 3D
+              Upload IFC to backend and view in 3D, or open converted .frag files. Pick several files or drop them on the viewport.
             </bim-label>
             <input
               type="file"
-              accept=".ifc"
+              accept=".ifc,.frag"
+              multiple
               @change=${onFileSelect}
               style="margin: 8px 0; padding: 8px; background: rgba(51,51,51,0.5); border: 1px solid rgba(255,255,255,0.1); border-radius: 4px; width: 100%; color: white;"
             />
+            ${loadError ? BUI.html`
+              <div class="load-error">
+                <span>${loadError}</span>
+                <bim-button 
+                  icon="solar:close-circle-bold"
+                  tooltip-title="Dismiss"
+                  @click=${() => { loadError = null; updateExplorer(); }}>
+                </bim-button>
+              </div>
+            ` : ''}
+            ${loadProgress ? BUI.html`
+              <div class="load-progress">
+                <div style="display: flex; justify-content: space-between; font-size: 0.75rem; color: #cbd5e1;">
+                  <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                    ${LOAD_STAGE_LABELS[loadProgress.stage] ?? loadProgress.stage} • ${loadProgress.fileName}
+                  </span>
+                  <span>${Math.floor((loadProgress.progress ?? 0) * 100)}%</span>
+                </div>
+                <div class="load-progress-track">
+                  <div class="load-progress-bar" style="width: ${(loadProgress.progress ?? 0) * 100}%;"></div>
+                </div>
+                ${loadAbortController && ["reading", "uploading", "geometries", "attributes", "relations", "conversion"].includes(loadProgress.stage) ? BUI.html`
+                  <bim-button 
+                    label="Cancel" 
+                    icon="solar:close-circle-bold"
+                    @click=${onCancelLoad}>
+                  </bim-button>
+                ` : ''}
+              </div>
+            ` : ''}
+            ${loadQueue.length > 0 ? BUI.html`
+              <div class="load-queue">
+                ${loadQueue.map((entry) => {
+                  const status = queueStatus(entry);
+                  return BUI.html`
+                    <div class="load-queue-item" title=${entry.error ?? entry.file.name}>
+                      <span class="load-queue-name">${entry.file.name}</span>
+                      <span class="load-queue-status ${status}">${status}</span>
+                      ${status === 'failed' ? BUI.html`
+                        <bim-button 
+                          icon="solar:restart-bold"
+                          tooltip-title="Retry"
+                          @click=${() => retryQueueEntry(entry.id)}>
+                        </bim-button>
+                      ` : ''}
+                      ${entry !== activeQueueEntry ? BUI.html`
+                        <bim-button 
+                          icon="solar:close-circle-bold"
+                          tooltip-title="Remove from queue"
+                          @click=${() => removeQueueEntry(entry.id)}>
+                        </bim-button>
+                      ` : ''}
+                    </div>
+                    ${entry.error ? BUI.html`<div class="load-queue-error">${entry.error}</div>` : ''}
+                  `;
+                })}
+                ${loadQueue.some((entry) => entry.status === 'done') ? BUI.html`
+                  <bim-button 
+                    label="Clear Finished" 
+                    @click=${clearFinishedQueueEntries}>
+                  </bim-button>
+                ` : ''}
+              </div>
+            ` : ''}
           </bim-panel-section>
 
           ${loadedModels.size > 0 ? BUI.html`
@@ -676,24 +4086,121 @@ const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
                     <div style="flex: 1; min-width: 0;">
                       <div style="font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
                         ${info.name}
+                        ${info.localOnly ? BUI.html`
+                          <span class="badge badge-warning" title=${info.syncError
+                            ? `Backend rejected this model: ${info.syncError}`
+                            : info.fromFragments
+                              ? "Loaded from .frag. Properties are read from the model until it is attached to a backend model."
+                              : info.file
+                                ? "Backend unavailable. Properties are read from the model; will sync when the backend is back."
+                                : "Reopened from the cache without its IFC, so it can't be uploaded. It links to the backend once the backend holds the same file; open the IFC again or attach it to a backend model to sync it now."}>
+                            local only
+                          </span>
+                        ` : ''}
                       </div>
                       <div style="font-size: 0.7rem; color: #888;">
-                        ${info.projectName} • ${info.totalElements} elements
+                        ${info.localOnly
+                          ? "Properties from local model data"
+                          : `${info.projectName} • ${info.totalElements} elements`}
                       </div>
                       <div style="font-size: 0.65rem; color: #666;">
                         ${info.timestamp}
+                        ${!isDefaultPlacement(info.placement) ? BUI.html`
+                          <span class="badge badge-info" title="Model moved by its placement">placed</span>
+                        ` : ''}
+                        ${(info.changes ?? []).length > (info.exportedChangeCount ?? 0) ? BUI.html`
+                          <span class="badge badge-warning">${info.changes.length - (info.exportedChangeCount ?? 0)} unsaved edits</span>
+                        ` : ''}
                       </div>
+                      ${attachChoices?.frontendModelId === frontendId ? BUI.html`
+                        <div style="display: flex; gap: 4px; margin-top: 6px;">
+                          <select 
+                            class="color-by-select"
+                            @change=${(e) => { if (e.target.value) onAttach(e.target.value); }}>
+                            <option value="">Attach to backend model…</option>
+                            ${attachChoices.backendModels.map((m) => BUI.html`
+                              <option value=${m.model_id}>${m.filename} (${m.total_elements} elements)</option>
+                            `)}
+                          </select>
+                          <bim-button 
+                            icon="solar:close-circle-bold"
+                            tooltip-title="Cancel"
+                            @click=${() => { attachChoices = null; updateExplorer(); }}>
+                          </bim-button>
+                        </div>
+                      ` : ''}
                     </div>
+                    ${info.localOnly && !info.file ? BUI.html`
+                      <bim-button 
+                        style="margin-left: 8px;"
+                        icon="solar:link-bold"
+                        tooltip-title="Attach to a model already on the backend"
+                        @click=${() => onStartAttach(frontendId)}>
+                      </bim-button>
+                    ` : ''}
+                    ${!info.localOnly ? BUI.html`
+                      <bim-button 
+                        style="margin-left: 8px;"
+                        icon="solar:download-bold"
+                        tooltip-title=${(info.changes ?? []).length > 0 ? "Download modified IFC" : "Download IFC"}
+                        @click=${() => onDownloadModel(frontendId)}>
+                      </bim-button>
+                    ` : ''}
+                    <bim-button 
+                      style="margin-left: 8px;"
+                      icon="solar:box-bold"
+                      tooltip-title="Download converted fragments (.frag)"
+                      @click=${() => onDownloadFragments(frontendId)}>
+                    </bim-button>
+                    <bim-button 
+                      style="margin-left: 8px;"
+                      icon="solar:settings-bold"
+                      ?active=${placementModelId === frontendId}
+                      tooltip-title="Placement"
+                      @click=${() => { placementModelId = placementModelId === frontendId ? null : frontendId; updateExplorer(); }}>
+                    </bim-button>
                     <bim-button 
                       style="margin-left: 8px;"
                       label="Remove" 
                       @click=${() => onRemoveModel(frontendId)}>
                     </bim-button>
                   </div>
+                  ${placementModelId === frontendId ? renderPlacementEditor(frontendId, info) : ''}
                 `;
               })}
             </bim-panel-section>
           ` : ''}
+
+          ${cachedModels.length > 0 ? BUI.html`
+            <bim-panel-section label="💾 Cached Models (${cachedModels.length})" collapsed>
+              ${cachedModels.map((entry) => BUI.html`
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: #333; border-radius: 4px; margin-bottom: 8px;">
+                  <div style="flex: 1; min-width: 0;">
+                    <div style="font-weight: 500; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                      ${entry.name}
+                    </div>
+                    <div style="font-size: 0.7rem; color: #888;">
+                      ${formatBytes(entry.size)} IFC • ${formatBytes(entry.fragmentSize)} fragments
+                    </div>
+                    <div style="font-size: 0.65rem; color: #666;">
+                      Last opened ${new Date(entry.lastOpenedAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <bim-button 
+                    style="margin-left: 8px;"
+                    label="Open" 
+                    @click=${() => onOpenCached(entry.hash)}>
+                  </bim-button>
+                  <bim-button 
+                    style="margin-left: 4px;"
+                    icon="solar:trash-bin-trash-bold"
+                    tooltip-title="Evict from cache"
+                    @click=${() => onEvictCached(entry.hash)}>
+                  </bim-button>
+                </div>
+              `)}
+            </bim-panel-section>
+          ` : ''}
           
           <bim-panel-section label="👁️ View Controls">
               <bim-button 
@@ -703,6 +4210,207 @@ const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
                 style="width: 100%; margin-top: 8px;">
               </bim-button>
           </bim-panel-section>
+
+          <bim-panel-section label="📸 Capture" collapsed>
+            <select 
+              class="color-by-select"
+              @change=${(e) => { captureSettings.preset = e.target.value; updateExplorer(); }}>
+              ${CAPTURE_PRESETS.map((preset) => BUI.html`
+                <option value=${preset.id} ?selected=${preset.id === captureSettings.preset}>${preset.label}</option>
+              `)}
+            </select>
+            <bim-label style="font-size: 0.7rem;">
+              ${(({ width, height }) => `${width} × ${height} px`)(captureSize())}
+            </bim-label>
+            <bim-checkbox 
+              label="Transparent background" 
+              .checked=${captureSettings.transparent}
+              @change=${(e) => { captureSettings.transparent = e.target.checked; }}>
+            </bim-checkbox>
+            <bim-checkbox 
+              label="Measurements and markers" 
+              .checked=${captureSettings.overlays}
+              @change=${(e) => { captureSettings.overlays = e.target.checked; }}>
+            </bim-checkbox>
+            <bim-checkbox 
+              label="Title block (model name and date)" 
+              .checked=${captureSettings.titleBlock}
+              @change=${(e) => { captureSettings.titleBlock = e.target.checked; }}>
+            </bim-checkbox>
+            <div style="display: flex; gap: 4px; margin-top: 8px;">
+              <bim-button 
+                label="Download PNG" 
+                icon="solar:download-bold"
+                ?disabled=${capturing}
+                @click=${() => onCapture('download')}>
+              </bim-button>
+              <bim-button 
+                label="Copy" 
+                icon="solar:copy-bold"
+                ?disabled=${capturing}
+                @click=${() => onCapture('clipboard')}>
+              </bim-button>
+            </div>
+          </bim-panel-section>
+
+          <bim-panel-section label="✂️ Sections">
+            <div style="display: flex; flex-direction: column; gap: 8px;">
+              ${sectionTool.isPlacing ? BUI.html`
+                <bim-label style="white-space: normal; color: #60a5fa;">Click a face in the model to place a section plane.</bim-label>
+                <bim-button 
+                  label="Cancel" 
+                  icon="solar:close-circle-bold"
+                  @click=${() => sectionTool.cancelPlacement()}>
+                </bim-button>
+              ` : BUI.html`
+                <bim-button 
+                  label="Add Section Plane" 
+                  icon="solar:scissors-bold"
+                  @click=${() => sectionTool.startPlacement()}>
+                </bim-button>
+              `}
+              <bim-button 
+                label="Section Box Around Selection" 
+                icon="solar:box-bold"
+                @click=${onSectionBox}>
+              </bim-button>
+            </div>
+            ${sectionTool.list().length > 0 ? BUI.html`
+              <div style="margin-top: 12px;">
+                ${sectionTool.list().map((plane) => BUI.html`
+                  <div class="section-plane-item ${plane.enabled ? '' : 'disabled'}">
+                    <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                      ${plane.isBox ? '📦' : '✂️'} ${plane.title}
+                    </span>
+                    <bim-button 
+                      icon=${plane.enabled ? "solar:eye-bold" : "solar:eye-closed-bold"}
+                      tooltip-title=${plane.enabled ? "Disable plane" : "Enable plane"}
+                      @click=${() => sectionTool.toggle(plane.id)}>
+                    </bim-button>
+                    <bim-button 
+                      icon="solar:refresh-bold"
+                      tooltip-title="Flip plane"
+                      @click=${() => sectionTool.flip(plane.id)}>
+                    </bim-button>
+                    <bim-button 
+                      icon="solar:trash-bin-trash-bold"
+                      tooltip-title="Delete plane"
+                      @click=${() => sectionTool.remove(plane.id)}>
+                    </bim-button>
+                  </div>
+                `)}
+                <div style="display: flex; gap: 8px; margin-top: 8px;">
+                  <bim-checkbox 
+                    label="Show gizmos" 
+                    .checked=${sectionTool.helpersVisible}
+                    @change=${(e) => sectionTool.setHelpersVisible(e.target.checked)}>
+                  </bim-checkbox>
+                  <bim-button 
+                    label="Clear All" 
+                    @click=${() => sectionTool.clear()}>
+                  </bim-button>
+                </div>
+              </div>
+            ` : ''}
+          </bim-panel-section>
+
+          <bim-panel-section label="📏 Measurements">
+            <div style="display: flex; gap: 4px;">
+              <bim-button 
+                label="Distance" 
+                icon="solar:ruler-bold"
+                ?active=${measureTool.mode === 'length'}
+                @click=${() => onToggleMeasureMode('length')}>
+              </bim-button>
+              <bim-button 
+                label="Area" 
+                icon="solar:widget-bold"
+                ?active=${measureTool.mode === 'area'}
+                @click=${() => onToggleMeasureMode('area')}>
+              </bim-button>
+              <bim-button 
+                label="Angle" 
+                icon="solar:ruler-angular-bold"
+                ?active=${measureTool.mode === 'angle'}
+                @click=${() => onToggleMeasureMode('angle')}>
+              </bim-button>
+            </div>
+            ${measureTool.mode ? BUI.html`
+              <bim-label style="white-space: normal; color: #4ade80;">
+                ${{
+                  length: 'Click two points. Vertices and edges snap.',
+                  area: 'Click the corners, then double click or press Enter to close the polygon.',
+                  angle: `Click three points, the vertex second (${measureTool.pendingAnglePoints}/3).`,
+                }[measureTool.mode]} Esc cancels.
+              </bim-label>
+            ` : ''}
+            <bim-button 
+              label="Dimensions of Selection" 
+              icon="solar:box-minimalistic-bold"
+              @click=${onMeasureSelection}
+              style="margin-top: 8px;">
+            </bim-button>
+            ${measureTool.list().length > 0 ? BUI.html`
+              <div style="margin-top: 12px;">
+                ${measureTool.list().map((measurement) => BUI.html`
+                  <div class="measurement-item">
+                    <input 
+                      type="text"
+                      title="Rename"
+                      .value=${measurement.name}
+                      @change=${(e) => measureTool.rename(measurement.id, e.target.value)} />
+                    <span class="measurement-value">${measurement.value}</span>
+                    <bim-button 
+                      icon="solar:trash-bin-trash-bold"
+                      tooltip-title="Delete measurement"
+                      @click=${() => measureTool.remove(measurement.id)}>
+                    </bim-button>
+                  </div>
+                `)}
+                <bim-button 
+                  label="Clear All" 
+                  @click=${() => measureTool.clear()}
+                  style="margin-top: 8px;">
+                </bim-button>
+              </div>
+            ` : ''}
+          </bim-panel-section>
+      ` : state.tab === 'groups' ? renderGroupsTab() : state.tab === 'query' ? renderQueryTab() : state.tab === 'views' ? renderViewsTab() : state.tab === 'issues' ? renderIssuesTab() : state.tab === 'notes' ? renderNotesTab() : state.tab === 'diff' ? renderDiffTab() : state.tab === 'clash' ? renderClashTab() : state.tab === 'takeoff' ? renderTakeoffTab() : state.tab === 'plans' ? BUI.html`
+          <bim-panel-section label="🗺️ Floor Plans">
+            <bim-number-input 
+              label="Cut height above storey (m)" 
+              .value=${planTool.cutHeight}
+              min="0" 
+              step="0.1"
+              @change=${(e) => planTool.setCutHeight(Number(e.target.value))}>
+            </bim-number-input>
+            ${planTool.list().length === 0 ? BUI.html`
+              <bim-label style="white-space: normal; margin-top: 8px;">No storeys found. Load a model with IfcBuildingStorey elements.</bim-label>
+            ` : Array.from(loadedModels.keys()).map((modelId) => {
+              const plans = planTool.list().filter((plan) => plan.modelId === modelId);
+              if (plans.length === 0) return '';
+              return BUI.html`
+                <div class="plan-model-name">${loadedModels.get(modelId).name}</div>
+                ${plans.map((plan) => BUI.html`
+                  <div 
+                    class="plan-item ${planTool.activeId === plan.id ? 'active' : ''} ${plan.elevation === null ? 'disabled' : ''}"
+                    title=${plan.elevation === null ? 'Storey has no elevation' : 'Open floor plan'}
+                    @click=${() => onOpenPlan(plan.id)}>
+                    <span>${plan.name}</span>
+                    <span class="plan-elevation">${plan.elevation === null ? '—' : `${plan.elevation.toFixed(2)} m`}</span>
+                  </div>
+                `)}
+              `;
+            })}
+            ${planTool.activeId ? BUI.html`
+              <bim-button 
+                label="Back to 3D" 
+                icon="solar:box-bold"
+                @click=${() => planTool.close()}
+                style="margin-top: 8px;">
+              </bim-button>
+            ` : ''}
+          </bim-panel-section>
       ` : BUI.html`
           <!-- Tree Tab Content (BUIC) -->
           <bim-panel-section label="🌳 Model Hierarchy">
@@ -723,6 +4431,11 @@ const [explorerUI, updateExplorer] = BUI.Component.create((state) => {
 
 document.body.append(explorerUI);
 document.body.append(propertiesUI);
+document.body.append(colorLegendUI);
+document.body.append(noteCardUI);
+
+refreshCachedModels();
+openFromUrl();
 
 // Enable Context Menu on Explorer UI (Spatial Tree)
 // We attach to spatialTree directly to ensure we catch events on the tree itself
@@ -0,0 +1,36 @@
+/**
+ * IFC Converter Worker
+ * Runs the fragments IfcImporter off the main thread and streams progress
+ * back to the page. The page cancels a conversion by terminating the worker.
+ *
+ * Messages in:  { bytes: Uint8Array, wasm: { path, absolute } }
+ * Messages out: { type: 'progress', progress, stage, className }
+ *               { type: 'done', bytes: Uint8Array }
+ *               { type: 'error', message }
+ */
+import * as FRAGS from "@thatopen/fragments";
+
+self.onmessage = async (event) => {
+  const { bytes, wasm } = event.data;
+
+  try {
+    const serializer = new FRAGS.IfcImporter();
+    serializer.wasm = wasm;
+
+    const fragmentBytes = await serializer.process({
+      bytes,
+      progressCallback: (progress, data) => {
+        self.postMessage({
+          type: 'progress',
+          progress,
+          stage: data?.process ?? null,
+          className: data?.class ?? null,
+        });
+      },
+    });
+
+    self.postMessage({ type: 'done', bytes: fragmentBytes }, [fragmentBytes.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message ?? String(error) });
+  }
+};
@@ -11,6 +11,10 @@ export default defineConfig({
     port: 5173,
     open: true
   },
+  // The IFC converter worker imports @thatopen/fragments, which needs ES output
+  worker: {
+    format: 'es',
+  },
   build: {
     outDir: 'dist',
     sourcemap: true,